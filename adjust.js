@@ -0,0 +1,262 @@
+/**
+ * adjust.js
+ *
+ * Tone adjustments applied to an image right before it is dithered (see
+ * image.js), to get photos and scans to look right on thermal paper. Like
+ * dithering.js, it works on PNG imageData (width, height and RGBA data).
+ *
+ * The adjustments always run in this order, whatever order they are given in:
+ *
+ *    - levels:     "auto" stretches the tones to the full range, ignoring the
+ *                  darkest and lightest 0.5%; "equalize" flattens the histogram
+ *    - brightness: -100 to 100, added to every pixel
+ *    - contrast:   -100 to 100, spreads the tones away from (or towards) mid-grey
+ *    - gamma:      above 1 lightens the midtones, below 1 darkens them
+ *    - sharpen:    strength of an unsharp mask, e.g. 1
+ *    - whitePoint: 0 to 255, pixels at least this light become white, which
+ *                  keeps paper texture and light backgrounds from printing
+ *    - invert:     swaps black and white
+ *
+ * The image is converted to grayscale first, as every algorithm prints
+ * grayscale anyway. Transparent pixels are left alone, so they still don't print.
+ */
+
+export const ADJUSTMENTS = [
+  "levels",
+  "brightness",
+  "contrast",
+  "gamma",
+  "sharpen",
+  "whitePoint",
+  "invert",
+];
+
+export const LEVELS_MODES = ["auto", "equalize"];
+
+// Share of the darkest and lightest pixels ignored by auto levels.
+const LEVELS_CLIP = 0.005;
+
+// Parses a number within [min, max], e.g. from a query string.
+function parseNumber(name, value, min, max) {
+  const number = typeof value === "number" ? value : Number(value);
+  if (
+    value === "" ||
+    !Number.isFinite(number) ||
+    number < min ||
+    number > max
+  ) {
+    throw new Error(`Invalid ${name}: ${value} (use ${min} to ${max})`);
+  }
+  return number;
+}
+
+/**
+ * Checks the value of one adjustment and converts it from a string if needed,
+ * so values from command line options and query strings can be passed as is.
+ *
+ * @param {String} name - One of ADJUSTMENTS.
+ * @param {*} value - The value, e.g. 1.4 or "1.4" for gamma.
+ * @returns {*} The value as a number, boolean or levels mode.
+ */
+export function parseAdjustment(name, value) {
+  switch (name) {
+    case "levels":
+      if (!LEVELS_MODES.includes(value)) {
+        throw new Error(
+          `Invalid levels: ${value} (use ${LEVELS_MODES.join(", ")})`
+        );
+      }
+      return value;
+    case "brightness":
+    case "contrast":
+      return parseNumber(name, value, -100, 100);
+    case "gamma": {
+      const gamma = parseNumber(name, value, 0, 10);
+      if (gamma === 0) {
+        throw new Error(`Invalid gamma: ${value} (use more than 0)`);
+      }
+      return gamma;
+    }
+    case "sharpen":
+      return parseNumber(name, value, 0, 10);
+    case "whitePoint":
+      return parseNumber(name, value, 0, 255);
+    case "invert":
+      if ([true, "true", "yes", "1", 1].includes(value)) {
+        return true;
+      }
+      if ([false, "false", "no", "0", 0].includes(value)) {
+        return false;
+      }
+      throw new Error(`Invalid invert: ${value} (use true or false)`);
+    default:
+      throw new Error(
+        `Unknown adjustment: ${name} (use ${ADJUSTMENTS.join(", ")})`
+      );
+  }
+}
+
+/**
+ * Checks a set of adjustments, dropping the ones that are not set.
+ *
+ * @param {Object} [adjust] - Adjustments by name, see ADJUSTMENTS.
+ * @returns {Object} The checked adjustments; empty if nothing is adjusted.
+ */
+export function normalizeAdjustments(adjust = {}) {
+  const normalized = {};
+  for (const [name, value] of Object.entries(adjust || {})) {
+    if (value !== undefined && value !== null) {
+      normalized[name] = parseAdjustment(name, value);
+    }
+  }
+  return normalized;
+}
+
+// Whether the adjustments change anything at all.
+function changesImage(adjust) {
+  const { levels, brightness, contrast, gamma, sharpen, whitePoint, invert } =
+    adjust;
+  return Boolean(
+    levels ||
+      brightness ||
+      contrast ||
+      (gamma !== undefined && gamma !== 1) ||
+      sharpen ||
+      whitePoint !== undefined ||
+      invert
+  );
+}
+
+const clamp = (value) => Math.min(255, Math.max(0, value));
+
+// Returns a table mapping every gray level to its new level.
+function levelsTable(gray, opaque, mode) {
+  const histogram = new Array(256).fill(0);
+  let count = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (opaque[i]) {
+      histogram[Math.round(gray[i])]++;
+      count++;
+    }
+  }
+  const table = Array.from({ length: 256 }, (_, level) => level);
+  if (count === 0) {
+    return table;
+  }
+  if (mode === "equalize") {
+    let cumulative = 0;
+    const cdf = histogram.map((n) => (cumulative += n));
+    const cdfMin = cdf.find((n) => n > 0);
+    if (count === cdfMin) {
+      return table;
+    }
+    return cdf.map((n) => ((n - cdfMin) / (count - cdfMin)) * 255);
+  }
+  // Auto levels: the levels below and above which LEVELS_CLIP of the pixels lie.
+  const clip = Math.floor(count * LEVELS_CLIP);
+  let low = 0;
+  for (let seen = histogram[0]; seen <= clip && low < 255; ) {
+    seen += histogram[++low];
+  }
+  let high = 255;
+  for (let seen = histogram[255]; seen <= clip && high > 0; ) {
+    seen += histogram[--high];
+  }
+  if (high <= low) {
+    return table;
+  }
+  return table.map((level) => clamp(((level - low) / (high - low)) * 255));
+}
+
+// Sharpens with an unsharp mask: adds the difference to a blurred copy.
+// Transparent neighbours are treated like the pixel itself.
+function sharpen(gray, opaque, width, height, amount) {
+  const kernel = [1, 2, 1, 2, 4, 2, 1, 2, 1];
+  const source = Float32Array.from(gray);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!opaque[i]) {
+        continue;
+      }
+      let blurred = 0;
+      for (let k = 0; k < 9; k++) {
+        const nx = x + (k % 3) - 1;
+        const ny = y + Math.floor(k / 3) - 1;
+        const n = ny * width + nx;
+        const inside = nx >= 0 && nx < width && ny >= 0 && ny < height;
+        blurred += kernel[k] * (inside && opaque[n] ? source[n] : source[i]);
+      }
+      gray[i] = clamp(source[i] + amount * (source[i] - blurred / 16));
+    }
+  }
+}
+
+/**
+ * adjustImage(image, adjust)
+ *
+ * Applies the adjustments to the image, in the order of ADJUSTMENTS.
+ * Images are left untouched when nothing is adjusted.
+ *
+ * @param {Object} image - An object with width, height, and data (RGBA flat array).
+ * @param {Object} [adjust] - Adjustments by name, see ADJUSTMENTS.
+ * @returns {Object} The modified image.
+ */
+export function adjustImage(image, adjust = {}) {
+  const adjustments = normalizeAdjustments(adjust);
+  if (!changesImage(adjustments)) {
+    return image;
+  }
+  const {
+    levels,
+    brightness = 0,
+    contrast = 0,
+    gamma = 1,
+    sharpen: amount = 0,
+    whitePoint,
+    invert = false,
+  } = adjustments;
+  const { width, height, data } = image;
+  const gray = new Float32Array(width * height);
+  const opaque = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const p = i * 4;
+    // The same weights as the grayscale conversion in dithering.js.
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    opaque[i] = data[p + 3] !== 0 ? 1 : 0;
+  }
+
+  if (levels) {
+    const table = levelsTable(gray, opaque, levels);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = table[Math.round(gray[i])];
+    }
+  }
+  // The usual contrast correction factor, 1 for 0 and ~130 for 100.
+  const factor =
+    (259 * (contrast * 2.55 + 255)) / (255 * (259 - contrast * 2.55));
+  for (let i = 0; i < gray.length; i++) {
+    let value = clamp(gray[i] + brightness * 2.55);
+    value = clamp(factor * (value - 128) + 128);
+    gray[i] = 255 * Math.pow(value / 255, 1 / gamma);
+  }
+  if (amount > 0) {
+    sharpen(gray, opaque, width, height, amount);
+  }
+
+  for (let i = 0; i < gray.length; i++) {
+    if (!opaque[i]) {
+      continue;
+    }
+    let value = Math.round(clamp(gray[i]));
+    if (whitePoint !== undefined && value >= whitePoint) {
+      value = 255;
+    }
+    if (invert) {
+      value = 255 - value;
+    }
+    const p = i * 4;
+    data[p] = data[p + 1] = data[p + 2] = value;
+  }
+  return image;
+}
@@ -0,0 +1,217 @@
+/**
+ * batch.js
+ *
+ * Helpers for printing many files in one session: expanding the paths, globs
+ * and directories given on the command line into a list of files, and
+ * rendering the separators printed between them.
+ *
+ * Globs support `*`, `?`, `[abc]` and `**` (any number of directories), so
+ * they also work when the shell doesn't expand them. Directories and globs
+ * only pick up files that can be printed (see PRINTABLE_EXTENSIONS), in
+ * natural order (label2.png before label10.png).
+ *
+ * Separators:
+ *    - blank: a few millimeters of blank paper
+ *    - cut:   a dashed line to cut along
+ *    - name:  the file name, printed before each file
+ */
+
+import { readdir, stat } from "fs/promises";
+import * as path from "path"; // For path-related operations.
+import Jimp from "jimp"; // For image processing.
+
+import { renderText } from "./text.js";
+
+export const SEPARATORS = ["blank", "cut", "name"];
+
+// Files picked up from directories and globs.
+export const PRINTABLE_EXTENSIONS = [
+  ".png",
+  ".jpg",
+  ".jpeg",
+  ".gif",
+  ".bmp",
+  ".tif",
+  ".tiff",
+  ".svg",
+  ".pdf",
+];
+
+const GLOB_CHARS = /[*?[]/;
+
+const naturalOrder = (a, b) =>
+  a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+
+const isPrintable = (file) =>
+  PRINTABLE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+// Returns the file's stats, or null if it doesn't exist.
+async function statOrNull(file) {
+  try {
+    return await stat(file);
+  } catch {
+    return null;
+  }
+}
+
+// Converts one path segment of a glob (no slashes) into a regular expression.
+function segmentToRegExp(segment) {
+  let source = "";
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && segment.indexOf("]", i + 1) > i + 1) {
+      const end = segment.indexOf("]", i + 1);
+      const set = segment.slice(i + 1, end).replace(/^!/, "^");
+      source += `[${set.replace(/\\/g, "\\\\")}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Returns the paths below `dir` that match the remaining glob segments.
+async function matchSegments(dir, segments) {
+  if (segments.length === 0) {
+    return [dir];
+  }
+  const [segment, ...rest] = segments;
+  if (!GLOB_CHARS.test(segment)) {
+    return matchSegments(path.join(dir, segment), rest);
+  }
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  // Like in a shell, wildcards don't match hidden files.
+  const visible = entries.filter((entry) => !entry.name.startsWith("."));
+  const matches = [];
+  if (segment === "**") {
+    // Zero or more directories.
+    matches.push(...(await matchSegments(dir, rest)));
+    for (const entry of visible.filter((entry) => entry.isDirectory())) {
+      matches.push(
+        ...(await matchSegments(path.join(dir, entry.name), segments))
+      );
+    }
+    return matches;
+  }
+  const regExp = segmentToRegExp(segment);
+  for (const entry of visible.filter((entry) => regExp.test(entry.name))) {
+    matches.push(...(await matchSegments(path.join(dir, entry.name), rest)));
+  }
+  return matches;
+}
+
+// Expands a glob into the printable files it matches.
+async function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]+/);
+  const root = path.isAbsolute(pattern) ? segments.shift() + path.sep : ".";
+  const matches = [];
+  for (const match of await matchSegments(root, segments)) {
+    const stats = await statOrNull(match);
+    if (stats && stats.isFile() && isPrintable(match)) {
+      matches.push(path.normalize(match));
+    }
+  }
+  // "**" can reach the same file more than once.
+  return [...new Set(matches)].sort(naturalOrder);
+}
+
+/**
+ * expandInputs(inputs)
+ *
+ * Turns file paths, globs and directories into the list of files to print,
+ * in the given order. Paths of files are kept as given, even if their
+ * extension isn't in PRINTABLE_EXTENSIONS. A file listed by more than one
+ * input, e.g. a directory and a glob in it, is printed once, where it first
+ * appears.
+ *
+ * @param {String|Array<String>} inputs - Paths, globs and directories.
+ * @returns {Promise<Array<String>>} The files.
+ */
+export async function expandInputs(inputs) {
+  const files = [];
+  for (const input of [].concat(inputs)) {
+    const stats = await statOrNull(input);
+    if (stats && stats.isDirectory()) {
+      const entries = await readdir(input, { withFileTypes: true });
+      const found = entries
+        .filter((entry) => entry.isFile() && !entry.name.startsWith("."))
+        .map((entry) => entry.name)
+        .filter(isPrintable)
+        .sort(naturalOrder);
+      if (found.length === 0) {
+        throw new Error(`No images or PDFs in ${input}`);
+      }
+      files.push(...found.map((name) => path.join(input, name)));
+    } else if (stats) {
+      files.push(input);
+    } else if (GLOB_CHARS.test(input)) {
+      const found = await expandGlob(input);
+      if (found.length === 0) {
+        throw new Error(`No images or PDFs match ${input}`);
+      }
+      files.push(...found);
+    } else {
+      throw new Error(`No such file or directory: ${input}`);
+    }
+  }
+  const seen = new Set();
+  return files.filter((file) => {
+    const key = path.resolve(file);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * renderSeparator(type, options)
+ *
+ * Renders a separator into a black & white PNG that is exactly
+ * `options.width` pixels wide.
+ *
+ * @param {String} type - One of SEPARATORS.
+ * @param {Object} options
+ * @param {Number} options.width - Width in pixels, usually the printable width of the profile.
+ * @param {Number} [options.dpi=203] - Resolution of the printer.
+ * @param {String} [options.text] - The file name, for "name" separators.
+ * @returns {Promise<Buffer>} The rendered PNG.
+ */
+export async function renderSeparator(type, { width, dpi = 203, text = "" }) {
+  const toDots = (mm) => Math.max(1, Math.round((mm / 25.4) * dpi));
+  if (type === "name") {
+    return renderText(text, { width, fontSize: toDots(3), bold: true });
+  }
+  if (type === "blank") {
+    const blank = new Jimp(width, toDots(5), 0xffffffff);
+    return blank.getBufferAsync(Jimp.MIME_PNG);
+  }
+  if (type === "cut") {
+    const height = toDots(4);
+    const thickness = toDots(0.25);
+    const dash = toDots(2);
+    const gap = toDots(1.5);
+    const top = Math.floor((height - thickness) / 2);
+    const line = new Jimp(width, height, 0xffffffff);
+    line.scan(0, top, width, thickness, function (x, y, idx) {
+      if (x % (dash + gap) < dash) {
+        this.bitmap.data[idx] = 0;
+        this.bitmap.data[idx + 1] = 0;
+        this.bitmap.data[idx + 2] = 0;
+      }
+    });
+    return line.getBufferAsync(Jimp.MIME_PNG);
+  }
+  throw new Error(`Unknown separator: ${type} (use ${SEPARATORS.join(", ")})`);
+}
@@ -0,0 +1,288 @@
+/**
+ * benchmark.js
+ *
+ * Times the slow parts of printing on a long synthetic banner: dithering with
+ * every algorithm, encoding the print data, and the --test gallery on one
+ * thread and on worker threads (see workers.js).
+ *
+ * To show what working on typed arrays gained, the main dithering kernels and
+ * the raster encoding are also timed the way they were written before: on the
+ * RGBA data with a helper call per diffused error, and reading every pixel
+ * through Jimp. Both versions must give the same bytes.
+ *
+ *    npm run bench
+ *    node benchmark.js --height 8000 --threads 4
+ */
+
+import { mkdtemp, rm } from "fs/promises";
+import * as os from "os";
+import * as path from "path";
+import { program } from "commander";
+import Jimp from "jimp";
+
+import { dither, ALGORITHMS } from "./dithering.js";
+import { getPrintDataFromPort } from "./protocol.js";
+import { resolveProfile, DEFAULT_MODEL } from "./profiles.js";
+import { runTestJobs, DEFAULT_THREADS } from "./workers.js";
+
+program
+  .option("-m, --model <model>", "printer model", DEFAULT_MODEL)
+  .option("--height <dots>", "height of the banner", Number, 4000)
+  .option(
+    "--gallery-height <dots>",
+    "height of the gallery image",
+    Number,
+    1000
+  )
+  .option("--threads <count>", "worker threads", Number, DEFAULT_THREADS)
+  .parse();
+const opts = program.opts();
+const profile = resolveProfile(opts.model);
+
+// A banner as wide as the line, with every gray level in soft waves.
+function makeBanner(width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const level = 127.5 + 127.5 * Math.sin(x / 23) * Math.cos(y / 37);
+      data[p] = data[p + 1] = data[p + 2] = Math.round(level);
+      data[p + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Runs fn and returns the milliseconds it took.
+async function time(fn) {
+  const start = performance.now();
+  await fn();
+  return performance.now() - start;
+}
+
+const report = (label, ms, extra = "") =>
+  console.log(
+    `${label.padEnd(34)} ${ms.toFixed(0).padStart(7)} ms ${extra}`.trimEnd()
+  );
+
+// The fastest of three runs, which evens out the warm-up of the JIT.
+async function fastest(fn) {
+  let best = Infinity;
+  for (let run = 0; run < 3; run++) {
+    best = Math.min(best, await time(fn));
+  }
+  return best;
+}
+
+// Says how much faster `after` ran than `before`, or how much slower.
+function comparison(before, after) {
+  const ratio = before / after;
+  return ratio >= 1
+    ? `${ratio.toFixed(1)}x faster`
+    : `${(1 / ratio).toFixed(1)}x slower`;
+}
+
+/* ============== The array code typed arrays replaced ============== */
+
+// Turns the RGBA data gray in place.
+function legacyGrayscale(image) {
+  const data = image.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const lum = Math.floor(
+      0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+    );
+    data[i] = data[i + 1] = data[i + 2] = lum;
+  }
+}
+
+// Adds error to a pixel if it is within bounds.
+function legacyAddError(data, w, h, x, y, error, factor) {
+  if (x < 0 || x >= w || y < 0 || y >= h) return;
+  const idx = (y * w + x) * 4;
+  let newVal = data[idx] + error * factor;
+  newVal = Math.max(0, Math.min(255, newVal));
+  data[idx] = data[idx + 1] = data[idx + 2] = newVal;
+}
+
+// Diffuses the error of every pixel with a kernel of [dx, dy, weight].
+function legacyErrorDiffusion(image, kernel, divisor) {
+  legacyGrayscale(image);
+  const { width: w, height: h, data } = image;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = (y * w + x) * 4;
+      const oldPixel = data[idx];
+      const newPixel = oldPixel < 128 ? 0 : 255;
+      const error = oldPixel - newPixel;
+      data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
+      for (const [dx, dy, weight] of kernel) {
+        legacyAddError(data, w, h, x + dx, y + dy, error, weight / divisor);
+      }
+    }
+  }
+}
+
+// Thresholds every pixel against a 4x4 Bayer matrix.
+function legacyOrderedBayer(image) {
+  legacyGrayscale(image);
+  const { width: w, height: h, data } = image;
+  const bayerMatrix = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5],
+  ];
+  const scale = 255 / 16;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = (y * w + x) * 4;
+      const threshold = (bayerMatrix[y % 4][x % 4] + 0.5) * scale;
+      const newPixel = data[idx] < threshold ? 0 : 255;
+      data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
+    }
+  }
+}
+
+const LEGACY_DITHERING = {
+  FLOYD_STEINBERG: (image) =>
+    legacyErrorDiffusion(
+      image,
+      [
+        [1, 0, 7],
+        [-1, 1, 3],
+        [0, 1, 5],
+        [1, 1, 1],
+      ],
+      16
+    ),
+  ATKINSON: (image) =>
+    legacyErrorDiffusion(
+      image,
+      [
+        [1, 0, 1],
+        [2, 0, 1],
+        [-1, 1, 1],
+        [0, 1, 1],
+        [1, 1, 1],
+        [0, 2, 1],
+      ],
+      8
+    ),
+  JARVIS_JUDICE_NINKE: (image) =>
+    legacyErrorDiffusion(
+      image,
+      [
+        [1, 0, 7],
+        [2, 0, 5],
+        [-2, 1, 3],
+        [-1, 1, 5],
+        [0, 1, 7],
+        [1, 1, 5],
+        [2, 1, 3],
+        [-2, 2, 1],
+        [-1, 2, 3],
+        [0, 2, 5],
+        [1, 2, 3],
+        [2, 2, 1],
+      ],
+      48
+    ),
+  ORDERED_BAYER: legacyOrderedBayer,
+};
+
+// Packs the rows of a dithered PNG by reading every pixel through Jimp.
+async function legacyPackRows(png, bytesPerLine) {
+  const pic = await Jimp.read(png);
+  const rows = [];
+  for (let y = 0; y < pic.bitmap.height; y++) {
+    for (let x = 0; x < bytesPerLine; x++) {
+      let byte = 0;
+      for (let bit = 0; bit < 8; bit++) {
+        const rgba = Jimp.intToRGBA(pic.getPixelColor(x * 8 + bit, y));
+        if (rgba.r === 0 && rgba.a !== 0) {
+          byte |= 1 << (7 - bit);
+        }
+      }
+      rows.push(byte === 0x0a ? 0x14 : byte);
+    }
+  }
+  return Buffer.from(rows);
+}
+
+const banner = makeBanner(profile.imageWidth, opts.height);
+const copyBanner = () => ({ ...banner, data: Buffer.from(banner.data) });
+const megapixels = (banner.width * banner.height) / 1e6;
+const size = `${banner.width} x ${banner.height} dots`;
+console.log(`${profile.name}: ${size} (${megapixels.toFixed(1)} MP)\n`);
+
+console.log("Dithering");
+for (const algorithm of Object.keys(ALGORITHMS)) {
+  const image = copyBanner();
+  const ms = await time(() => dither(image, algorithm));
+  report(algorithm, ms, `${(megapixels / (ms / 1000)).toFixed(1)} MP/s`);
+}
+
+console.log("\nDithering, array code against typed arrays");
+for (const [algorithm, legacyDither] of Object.entries(LEGACY_DITHERING)) {
+  const before = copyBanner();
+  const after = copyBanner();
+  legacyDither(before);
+  dither(after, algorithm);
+  if (!before.data.equals(after.data)) {
+    throw new Error(`${algorithm} doesn't dither like the array code did`);
+  }
+  const beforeMs = await fastest(() => legacyDither(copyBanner()));
+  const afterMs = await fastest(() => dither(copyBanner(), algorithm));
+  report(`${algorithm}, array code`, beforeMs);
+  report(`${algorithm}, typed arrays`, afterMs, comparison(beforeMs, afterMs));
+}
+
+// Including decoding the dithered PNG, as printing does.
+console.log("\nEncoding");
+const dithered = new Jimp(copyBanner());
+dither(dithered.bitmap, ALGORITHMS.FLOYD_STEINBERG);
+const png = await dithered.getBufferAsync(Jimp.MIME_PNG);
+const legacyRows = await legacyPackRows(png, profile.bytesPerLine);
+const printData = await getPrintDataFromPort(png, profile);
+// The first raster block starts after the 9 header bytes and its own 8.
+const firstBlock = printData.subarray(
+  17,
+  17 + Math.min(256, banner.height) * profile.bytesPerLine
+);
+if (!firstBlock.equals(legacyRows.subarray(0, firstBlock.length))) {
+  throw new Error("getPrintDataFromPort doesn't pack rows like Jimp did");
+}
+const legacyMs = await fastest(() => legacyPackRows(png, profile.bytesPerLine));
+const encodeMs = await fastest(() => getPrintDataFromPort(png, profile));
+report("Pixels read through Jimp", legacyMs);
+report("getPrintDataFromPort", encodeMs, comparison(legacyMs, encodeMs));
+
+console.log(`\nTest gallery (${opts.galleryHeight} dots high), worker threads`);
+const galleryPng = await new Jimp({
+  ...banner,
+  height: opts.galleryHeight,
+  data: banner.data.subarray(0, banner.width * opts.galleryHeight * 4),
+}).getBufferAsync(Jimp.MIME_PNG);
+const dir = await mkdtemp(path.join(os.tmpdir(), "phomemo-bench-"));
+const jobs = Object.keys(ALGORITHMS).map((algorithm) => ({
+  input: galleryPng,
+  scale: 100,
+  algorithm,
+  outputPath: path.join(dir, `${algorithm}.png`),
+  profile,
+}));
+const threadCounts = [...new Set([1, opts.threads])];
+const times = [];
+for (const threads of threadCounts) {
+  const ms = await time(() => runTestJobs(jobs, { threads }));
+  times.push(ms);
+  report(`${jobs.length} algorithms, ${threads} thread(s)`, ms);
+}
+if (times.length > 1) {
+  console.log(
+    `${opts.threads} threads against 1: ${comparison(times[0], times[1])}`
+  );
+} else {
+  console.log("Only one thread, so there is nothing to compare it with.");
+}
+await rm(dir, { recursive: true });
@@ -0,0 +1,300 @@
+/**
+ * calibration.js
+ *
+ * Compensates for dot gain. Thermal dots bleed into each other, so dithered
+ * midtones print darker than they look on screen, and more so at higher
+ * densities. To calibrate, a gray wedge is printed: steps from blank paper
+ * (step 1) to solid black (the last step). The user then tells which steps
+ * they can tell apart, or enters a measured darkness for every step, and
+ * the result is saved per printer and density: two printers of the same
+ * model can print differently, so a printer is known by its Bluetooth name
+ * (see calibrationKey), and by its model only when there's no device, e.g.
+ * when the print data is written to a file.
+ *
+ * From the darkness every step printed at, toneCurve() builds a tone curve:
+ * for every gray level, the level to dither at so it prints as dark as it
+ * should. dither() maps the luminance through it before any algorithm runs
+ * (see dithering.js).
+ *
+ * Calibrations are stored as JSON in $PHOMEMO_CALIBRATION or
+ * ~/.phomemo/calibration.json:
+ *
+ *    { "M02S": { "0x5e": { steps, darkness, createdAt } } }
+ *
+ * where `darkness` holds the darkness of every step, 0 (blank) to 1 (black).
+ */
+
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import * as os from "os";
+import * as path from "path"; // For path-related operations.
+import Jimp from "jimp"; // For image processing.
+
+export const DEFAULT_CALIBRATION_FILE =
+  process.env.PHOMEMO_CALIBRATION ||
+  path.join(os.homedir(), ".phomemo", "calibration.json");
+
+export const DEFAULT_STEPS = 11;
+
+// Height of a step and width of its number, in mm.
+const STEP_HEIGHT = 4;
+const NUMBER_WIDTH = 8;
+
+const toDots = (mm, dpi) => Math.round((mm / 25.4) * dpi);
+
+/**
+ * Returns the gray level of every step of the wedge, from white to black.
+ *
+ * @param {Number} [steps=11] - Number of steps.
+ * @returns {Array<Number>} Gray levels, 255 down to 0.
+ */
+export function wedgeLevels(steps = DEFAULT_STEPS) {
+  return Array.from({ length: steps }, (_, step) =>
+    Math.round(255 * (1 - step / (steps - 1)))
+  );
+}
+
+/**
+ * Renders the gray wedge: one band per step across the printable width,
+ * numbered from 1 (blank) to the number of steps (black).
+ *
+ * @param {Object} profile - The print profile (see profiles.js).
+ * @param {Object} [options]
+ * @param {Number} [options.steps=11] - Number of steps, at least 3.
+ * @param {String} [options.title] - A line printed above the wedge.
+ * @returns {Promise<Buffer>} The wedge as a PNG, as wide as the paper.
+ */
+export async function renderWedge(
+  profile,
+  { steps = DEFAULT_STEPS, title } = {}
+) {
+  const font = await Jimp.loadFont(Jimp.FONT_SANS_16_BLACK);
+  const width = profile.printableWidth;
+  const stepHeight = toDots(STEP_HEIGHT, profile.dpi);
+  const numberWidth = toDots(NUMBER_WIDTH, profile.dpi);
+  const top = title ? stepHeight : 0;
+  // Transparent around the steps, so dithering doesn't scatter dots there.
+  const wedge = new Jimp(width, top + steps * stepHeight, 0xffffff00);
+  if (title) {
+    wedge.print(font, 0, 0, title);
+  }
+  for (const [step, level] of wedgeLevels(steps).entries()) {
+    const y = top + step * stepHeight;
+    const color = Jimp.rgbaToInt(level, level, level, 255);
+    wedge.scan(numberWidth, y, width - numberWidth, stepHeight, (x, y) =>
+      wedge.setPixelColor(color, x, y)
+    );
+    wedge.print(
+      font,
+      0,
+      y,
+      {
+        text: String(step + 1),
+        alignmentX: Jimp.HORIZONTAL_ALIGN_CENTER,
+        alignmentY: Jimp.VERTICAL_ALIGN_MIDDLE,
+      },
+      numberWidth,
+      stepHeight
+    );
+  }
+  return wedge.getBufferAsync(Jimp.MIME_PNG);
+}
+
+/**
+ * Turns the range of steps the user can tell apart into the darkness of
+ * every step. Steps lighter than the range look blank and steps darker than
+ * it look solid black; in between, the darkness is spread evenly.
+ *
+ * @param {String} value - e.g. "2-7": steps 2 to 7 look different from each
+ *   other, from blank paper and from black.
+ * @param {Number} [steps=11] - Number of steps in the wedge.
+ * @returns {Array<Number>} Darkness of every step, 0 to 1.
+ */
+export function parseDistinctSteps(value, steps = DEFAULT_STEPS) {
+  const match = String(value).match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+  const [first, last] = match ? [Number(match[1]), Number(match[2])] : [];
+  // Step 1 is blank paper and the last step solid black.
+  const darkest = steps - 1;
+  if (!match || first < 2 || first > last || last > darkest) {
+    throw new Error(
+      `Invalid steps: ${value} (use a range from 2 to ${darkest}, e.g. 2-${darkest})`
+    );
+  }
+  // The step before the range prints blank, the one after it black.
+  const blank = first - 2;
+  const black = last;
+  return Array.from({ length: steps }, (_, step) =>
+    Math.min(1, Math.max(0, (step - blank) / (black - blank)))
+  );
+}
+
+/**
+ * Parses the measured darkness of every step, e.g. read with a scanner or a
+ * densitometer.
+ *
+ * @param {String|Array<Number>} value - One darkness per step in percent,
+ *   0 (blank paper) to 100 (solid black), e.g. "0,14,31,...,100".
+ * @param {Number} [steps=11] - Number of steps in the wedge.
+ * @returns {Array<Number>} Darkness of every step, 0 to 1.
+ */
+export function parseMeasuredSteps(value, steps = DEFAULT_STEPS) {
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  if (values.length !== steps) {
+    throw new Error(
+      `Invalid measurements: ${values.length} values for ${steps} steps (give one per step)`
+    );
+  }
+  return values.map((item) => {
+    const percent = Number(item);
+    if (String(item).trim() === "" || !(percent >= 0 && percent <= 100)) {
+      throw new Error(`Invalid darkness: ${item} (use 0 to 100)`);
+    }
+    return percent / 100;
+  });
+}
+
+/**
+ * Parses what the user read off the wedge: a range of steps they can tell
+ * apart (see parseDistinctSteps) or a darkness per step (see
+ * parseMeasuredSteps).
+ *
+ * @param {String} value - e.g. "2-7" or "0,14,31,...,100".
+ * @param {Number} [steps=11] - Number of steps in the wedge.
+ * @returns {Array<Number>} Darkness of every step, 0 to 1.
+ */
+export function parseCalibration(value, steps = DEFAULT_STEPS) {
+  return String(value).includes(",")
+    ? parseMeasuredSteps(value, steps)
+    : parseDistinctSteps(value, steps);
+}
+
+// The input darkness (0 to 1) that prints as dark as wanted, interpolated
+// between the steps. `measured` never decreases.
+function inputDarkness(measured, wanted) {
+  const last = measured.length - 1;
+  if (wanted <= measured[0]) {
+    return 0;
+  }
+  for (let step = 0; step < last; step++) {
+    if (wanted <= measured[step + 1]) {
+      const t =
+        (wanted - measured[step]) / (measured[step + 1] - measured[step]);
+      return (step + t) / last;
+    }
+  }
+  // Darker than the black step prints; black is as close as it gets.
+  return 1;
+}
+
+/**
+ * Builds the tone curve for a calibration.
+ *
+ * @param {Array<Number>} darkness - Darkness every step of the wedge printed
+ *   at, 0 to 1, from the blank step to the black one.
+ * @returns {Uint8Array} For every gray level (0-255), the level to dither at.
+ */
+export function toneCurve(darkness) {
+  if (!Array.isArray(darkness) || darkness.length < 2) {
+    throw new Error("A calibration needs the darkness of at least 2 steps");
+  }
+  // Measurements are noisy; a darker step never prints lighter.
+  let darkest = 0;
+  const measured = darkness.map(
+    (value) => (darkest = Math.max(darkest, value))
+  );
+  const curve = new Uint8Array(256);
+  for (let level = 0; level < 256; level++) {
+    const input = inputDarkness(measured, 1 - level / 255);
+    curve[level] = Math.round(255 * (1 - input));
+  }
+  return curve;
+}
+
+/**
+ * Returns the key a printer's calibrations are saved under.
+ *
+ * @param {Object} printer
+ * @param {String} [printer.device] - The Bluetooth name (or address) of the
+ *   printer, if there is one.
+ * @param {String} printer.model - The profile name, e.g. "M02S", used
+ *   without a device.
+ * @returns {String}
+ */
+export function calibrationKey({ device = null, model }) {
+  return device || model;
+}
+
+// Calibrations are keyed by the density byte in hex, e.g. "0x5e".
+const densityKey = (density) => `0x${density.toString(16).padStart(2, "0")}`;
+
+// Reads the calibration file; a missing file holds no calibrations.
+async function readCalibrations(file) {
+  let json;
+  try {
+    json = await readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return {};
+    }
+    throw err;
+  }
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Invalid calibration file ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Loads the calibration of a printer at a density.
+ *
+ * @param {String} printer - The printer's key, see calibrationKey.
+ * @param {Number} density - Density byte (0x00 - 0xff).
+ * @param {Object} [options]
+ * @param {String} [options.file] - Defaults to DEFAULT_CALIBRATION_FILE.
+ * @returns {Promise<Object|null>} { steps, darkness, createdAt }, or null if
+ *   the printer isn't calibrated at that density.
+ */
+export async function loadCalibration(
+  printer,
+  density,
+  { file = DEFAULT_CALIBRATION_FILE } = {}
+) {
+  const calibrations = await readCalibrations(file);
+  return calibrations[printer]?.[densityKey(density)] ?? null;
+}
+
+/**
+ * Saves the calibration of a printer at a density, replacing the previous
+ * one.
+ *
+ * @param {String} printer - The printer's key, see calibrationKey.
+ * @param {Number} density - Density byte (0x00 - 0xff).
+ * @param {Array<Number>} darkness - Darkness of every step, 0 to 1.
+ * @param {Object} [options]
+ * @param {String} [options.file] - Defaults to DEFAULT_CALIBRATION_FILE.
+ * @returns {Promise<Object>} The saved calibration.
+ */
+export async function saveCalibration(
+  printer,
+  density,
+  darkness,
+  { file = DEFAULT_CALIBRATION_FILE } = {}
+) {
+  toneCurve(darkness); // Check it before saving it.
+  const calibrations = await readCalibrations(file);
+  const calibration = {
+    steps: darkness.length,
+    darkness: darkness.map((value) => Math.round(value * 10000) / 10000),
+    createdAt: new Date().toISOString(),
+  };
+  calibrations[printer] = {
+    ...calibrations[printer],
+    [densityKey(density)]: calibration,
+  };
+  await mkdir(path.dirname(file), { recursive: true });
+  // Write it atomically, so a crash never leaves half a file behind.
+  const tmpPath = `${file}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(calibrations, null, 2) + "\n");
+  await rename(tmpPath, file);
+  return calibration;
+}
@@ -0,0 +1,217 @@
+/**
+ * codes.js
+ *
+ * Renders QR codes, DataMatrix codes and Code 128 / EAN-13 barcodes for
+ * printing. The symbols are encoded with bwip-js and drawn here, so that every
+ * module (the smallest square or bar of a symbol) is a whole number of printer
+ * dots. Scaling a finished barcode image would give some modules one dot more
+ * than others, which makes them hard to scan on a thermal printer.
+ *
+ * Like rendered text (see text.js), the result is pure black & white. It's
+ * printed as is, without resizing or dithering.
+ */
+
+import bwipjs from "bwip-js"; // For encoding the symbols.
+import Jimp from "jimp"; // For image processing.
+
+import { renderText } from "./text.js";
+
+// Supported symbologies, keyed by the name used for --type.
+// `quietZone` is the blank margin the symbology needs around it, in modules.
+export const CODE_TYPES = {
+  qr: { name: "QR code", bcid: "qrcode", matrix: true, quietZone: 4 },
+  datamatrix: {
+    name: "DataMatrix",
+    bcid: "datamatrix",
+    matrix: true,
+    quietZone: 1,
+  },
+  code128: { name: "Code 128", bcid: "code128", matrix: false, quietZone: 10 },
+  ean13: { name: "EAN-13", bcid: "ean13", matrix: false, quietZone: 11 },
+};
+
+// QR code error correction levels, from about 7% (L) to 30% (H) of the
+// symbol that can be damaged and still be read.
+export const QR_ERROR_CORRECTION = ["L", "M", "Q", "H"];
+
+// Returns EAN-13 data with its check digit, which may be left off.
+function withEanCheckDigit(data) {
+  if (!/^\d{12}$/.test(data)) {
+    return data;
+  }
+  const sum = [...data].reduce(
+    (total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3),
+    0
+  );
+  return data + ((10 - (sum % 10)) % 10);
+}
+
+/**
+ * encodeCode(data, type, options)
+ *
+ * Encodes data into the modules of a symbol.
+ *
+ * @param {String} data - The data to encode. EAN-13 takes 12 digits, or 13
+ *   with the check digit.
+ * @param {String} [type="qr"] - One of the CODE_TYPES keys.
+ * @param {Object} [options]
+ * @param {String} [options.errorCorrection="M"] - QR codes only: one of QR_ERROR_CORRECTION.
+ * @returns {Object} { columns, rows, modules }: `modules` holds one array per row
+ *   with 1 for black and 0 for white. Barcodes have a single row.
+ */
+export function encodeCode(data, type = "qr", { errorCorrection = "M" } = {}) {
+  const code = CODE_TYPES[type];
+  if (!code) {
+    const known = Object.keys(CODE_TYPES).join(", ");
+    throw new Error(`Unknown code type: ${type} (use ${known})`);
+  }
+  if (!data) {
+    throw new Error(`Nothing to encode as ${code.name}`);
+  }
+  const options = {};
+  if (type === "qr") {
+    if (!QR_ERROR_CORRECTION.includes(errorCorrection)) {
+      const levels = QR_ERROR_CORRECTION.join(", ");
+      throw new Error(
+        `Unknown error correction level: ${errorCorrection} (use ${levels})`
+      );
+    }
+    options.eclevel = errorCorrection;
+  }
+
+  let symbol;
+  try {
+    [symbol] = bwipjs.raw(code.bcid, data, options);
+  } catch (err) {
+    // bwip-js prefixes its messages with an error id, e.g. "bwipp.ean13badLength#6878: ".
+    const reason = err.message.replace(/^[\w.]+#\d+:\s*/, "");
+    throw new Error(`Cannot encode "${data}" as ${code.name}: ${reason}`);
+  }
+
+  if (code.matrix) {
+    const { pixs, pixx, pixy } = symbol;
+    const modules = [];
+    for (let y = 0; y < pixy; y++) {
+      modules.push(pixs.slice(y * pixx, (y + 1) * pixx));
+    }
+    return { columns: pixx, rows: pixy, modules };
+  }
+  // Barcodes are given as alternating bar and space widths, starting with a bar.
+  const row = [];
+  symbol.sbs.forEach((width, i) => {
+    for (let n = 0; n < width; n++) {
+      row.push(i % 2 === 0 ? 1 : 0);
+    }
+  });
+  return { columns: row.length, rows: 1, modules: [row] };
+}
+
+// Fills a rectangle with black.
+function fillRect(image, x, y, width, height) {
+  image.scan(x, y, width, height, function (px, py, idx) {
+    this.bitmap.data[idx] = 0;
+    this.bitmap.data[idx + 1] = 0;
+    this.bitmap.data[idx + 2] = 0;
+  });
+}
+
+/**
+ * renderCode(data, options)
+ *
+ * Renders a QR code, DataMatrix code or barcode into a PNG that is exactly
+ * `options.width` pixels wide, with the symbol centered and its quiet zone
+ * kept blank. Every module is `moduleSize` pixels (printer dots) wide.
+ *
+ * @param {String} data - The data to encode.
+ * @param {Object} options
+ * @param {Number} options.width - Width in pixels, usually the printable width of the profile.
+ * @param {Number} [options.dpi=203] - Resolution of the printer, used for the default
+ *   module size, bar height and caption size.
+ * @param {String} [options.type="qr"] - One of the CODE_TYPES keys.
+ * @param {Number} [options.moduleSize] - Module size in dots. Defaults to the
+ *   largest size that fits the width, but at most 1mm.
+ * @param {Number} [options.barHeight] - Height of barcodes in dots (default: 10mm).
+ * @param {String|Boolean} [options.caption=false] - Text printed under the symbol;
+ *   true prints the encoded data.
+ * @param {String} [options.errorCorrection="M"] - QR codes only: L, M, Q or H.
+ * @returns {Promise<Buffer>} The rendered PNG.
+ */
+export async function renderCode(
+  data,
+  {
+    width,
+    dpi = 203,
+    type = "qr",
+    moduleSize,
+    barHeight,
+    caption = false,
+    errorCorrection = "M",
+  } = {}
+) {
+  const toDots = (mm) => Math.round((mm / 25.4) * dpi);
+  const code = CODE_TYPES[type];
+  const { columns, rows, modules } = encodeCode(data, type, {
+    errorCorrection,
+  });
+
+  // The symbol and its quiet zone on both sides must fit the width.
+  const totalColumns = columns + 2 * code.quietZone;
+  const largest = Math.floor(width / totalColumns);
+  if (moduleSize === undefined) {
+    moduleSize = Math.max(1, Math.min(largest, toDots(1)));
+  }
+  if (!Number.isInteger(moduleSize) || moduleSize < 1) {
+    throw new Error(`Invalid module size: ${moduleSize} (use whole dots)`);
+  }
+  if (moduleSize > largest) {
+    const needed = totalColumns * moduleSize;
+    const hint =
+      largest > 0 ? ` (use a module size of at most ${largest})` : "";
+    throw new Error(
+      `The ${code.name} needs ${needed} dots with its quiet zone, but the paper is ${width} dots wide${hint}`
+    );
+  }
+
+  const symbolWidth = columns * moduleSize;
+  const symbolHeight = code.matrix
+    ? rows * moduleSize
+    : barHeight ?? toDots(10);
+  // Matrix codes need their quiet zone above and below as well.
+  const margin = code.matrix ? code.quietZone * moduleSize : 0;
+
+  let captionImage = null;
+  if (caption) {
+    let captionText = caption === true ? data : String(caption);
+    if (caption === true && type === "ean13") {
+      captionText = withEanCheckDigit(data);
+    }
+    const png = await renderText(captionText, {
+      width,
+      fontSize: toDots(2.5),
+      align: "center",
+    });
+    captionImage = await Jimp.read(png);
+  }
+  const captionGap = captionImage ? toDots(1) : 0;
+  const captionHeight = captionImage ? captionImage.bitmap.height : 0;
+
+  const image = new Jimp(
+    width,
+    margin * 2 + symbolHeight + captionGap + captionHeight,
+    0xffffffff
+  );
+  const left = Math.floor((width - symbolWidth) / 2);
+  modules.forEach((row, y) => {
+    row.forEach((black, x) => {
+      if (black) {
+        const top = margin + y * moduleSize;
+        const height = code.matrix ? moduleSize : symbolHeight;
+        fillRect(image, left + x * moduleSize, top, moduleSize, height);
+      }
+    });
+  });
+  if (captionImage) {
+    image.composite(captionImage, 0, margin + symbolHeight + captionGap);
+  }
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
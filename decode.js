@@ -0,0 +1,272 @@
+/**
+ * decode.js
+ *
+ * The reverse of protocol.js: parses a raw print stream (e.g. a job written
+ * with --output, or a capture from another tool) into the commands it contains
+ * and rebuilds the printed page as a PNG.
+ *
+ * Recognized commands:
+ *    ESC @              - initialize the printer
+ *    ESC a n            - justification (0 = left, 1 = center, 2 = right)
+ *    GS v 0 m xL xH yL yH <data>
+ *                       - raster bit image, (xH * 256 + xL) bytes per line, yH * 256 + yL + 1 lines
+ *    ESC d n            - print and feed n lines
+ *    1f 11 xx [n]       - vendor specific commands (density, media type, status queries, ...)
+ *    1f f0 xx yy        - label commands (feed to the next gap, end of job)
+ *    02 08 ...          - settings packets (see settings.js), with the commands
+ *                         they contain and whether their checksum is right
+ *
+ * Anything else is listed as unknown bytes, so captures that wrap the stream
+ * in other headers can still be inspected.
+ *
+ * Note that the encoder replaces raster bytes equal to 0x0a with 0x14 (see
+ * protocol.js), so the page shows what the printer receives, not the original
+ * image. Pass `undoSubstitution` to turn them back.
+ */
+
+import Jimp from "jimp"; // For image processing.
+
+import { parseSettingsPacket } from "./settings.js";
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const VENDOR = 0x1f;
+
+const JUSTIFICATIONS = ["left", "center", "right"];
+
+// Vendor commands (1f 11 xx), with their parameter count and what's known
+// about them. Unlisted commands are assumed to have no parameters.
+const VENDOR_COMMANDS = {
+  0x02: { params: 1, description: "header setting" },
+  0x07: { params: 0, description: "query firmware version" },
+  0x08: { params: 0, description: "query battery level" },
+  0x09: { params: 0, description: "footer command" },
+  0x0a: { params: 0, description: "media: labels with gaps" },
+  0x0b: { params: 0, description: "media: continuous" },
+  0x26: { params: 0, description: "media: black marks" },
+  0x0e: { params: 0, description: "footer command" },
+  0x21: { params: 1, description: "set auto power-off" },
+  0x35: { params: 1, description: "settings command" },
+  0x37: { params: 1, description: "set density" },
+  0x3c: { params: 1, description: "set print speed" },
+};
+
+// Label commands (1f f0 xx yy), keyed by xx.
+const LABEL_COMMANDS = {
+  0x03: "end of label job",
+  0x05: "feed to next gap",
+};
+
+// Formats bytes as space separated hex, e.g. "1b 40".
+function hex(bytes) {
+  return [...bytes].map((byte) => byte.toString(16).padStart(2, "0")).join(" ");
+}
+
+// Tries to parse a known command at `offset`. Returns null if the bytes don't
+// start one, or if the stream ends in the middle of it.
+function parseCommand(bytes, offset) {
+  const [first, second, third] = bytes.subarray(offset, offset + 3);
+  const available = bytes.length - offset;
+  const settings = parseSettingsPacket(bytes, offset);
+  if (settings) {
+    const [actual, expected] = [settings.checksum, settings.expected];
+    const valid =
+      actual === expected
+        ? "checksum ok"
+        : `bad checksum 0x${hex([actual])}, expected 0x${hex([expected])}`;
+    const contents = parsePrintData(settings.commands)
+      .map((command) => command.description)
+      .join(", ");
+    return {
+      type: "settings",
+      length: settings.length,
+      description: `settings packet (${valid}): ${contents}`,
+    };
+  }
+  if (first === ESC && second === 0x40) {
+    return { type: "init", length: 2, description: "initialize printer" };
+  }
+  if (first === ESC && second === 0x61 && available >= 3) {
+    const justification = JUSTIFICATIONS[third] || `unknown (${third})`;
+    return {
+      type: "justify",
+      length: 3,
+      justification,
+      description: `justify ${justification}`,
+    };
+  }
+  if (first === ESC && second === 0x64 && available >= 3) {
+    return {
+      type: "feed",
+      length: 3,
+      lines: third,
+      description: `print and feed ${third} lines`,
+    };
+  }
+  if (first === GS && second === 0x76 && third === 0x30 && available >= 8) {
+    const mode = bytes[offset + 3];
+    const bytesPerLine = bytes.readUInt16LE(offset + 4);
+    const lines = bytes.readUInt16LE(offset + 6) + 1;
+    const length = 8 + bytesPerLine * lines;
+    if (available < length) {
+      return null;
+    }
+    return {
+      type: "raster",
+      length,
+      mode,
+      bytesPerLine,
+      lines,
+      data: bytes.subarray(offset + 8, offset + length),
+      description: `raster image, ${bytesPerLine} bytes x ${lines} lines, mode ${mode}`,
+    };
+  }
+  if (first === VENDOR && second === 0xf0 && available >= 4) {
+    const name = LABEL_COMMANDS[third] || "unknown label command";
+    return {
+      type: third === 0x05 ? "gapFeed" : "label",
+      length: 4,
+      code: third,
+      params: [bytes[offset + 3]],
+      description: `${name} 0x${hex([bytes[offset + 3]])}`,
+    };
+  }
+  if (first === VENDOR && second === 0x11 && available >= 3) {
+    const known = VENDOR_COMMANDS[third];
+    const params = known ? known.params : 0;
+    if (available < 3 + params) {
+      return null;
+    }
+    const values = [...bytes.subarray(offset + 3, offset + 3 + params)];
+    const name = known ? known.description : "unknown vendor command";
+    const args = values.map((value) => `0x${hex([value])}`).join(" ");
+    return {
+      type: "vendor",
+      length: 3 + params,
+      code: third,
+      params: values,
+      description: args ? `${name} ${args}` : name,
+    };
+  }
+  return null;
+}
+
+/**
+ * Parses a print stream into the commands it contains.
+ *
+ * @param {Buffer|Array<Number>} data - The raw print stream.
+ * @returns {Array<Object>} Commands in stream order, each with `type` (init,
+ *   justify, feed, raster, vendor, gapFeed, label, settings or unknown), `offset`, `length`, `bytes`
+ *   (the leading bytes as hex) and a readable `description`. Raster commands
+ *   also have `bytesPerLine`, `lines`, `mode` and their `data`.
+ */
+export function parsePrintData(data) {
+  const bytes = Buffer.from(data);
+  const commands = [];
+  let unknownStart = -1;
+
+  // Consecutive unrecognized bytes are grouped into one entry.
+  const flushUnknown = (end) => {
+    if (unknownStart < 0) {
+      return;
+    }
+    const length = end - unknownStart;
+    commands.push({
+      type: "unknown",
+      offset: unknownStart,
+      length,
+      bytes: hex(
+        bytes.subarray(unknownStart, Math.min(end, unknownStart + 16))
+      ),
+      description: `${length} unknown byte${length === 1 ? "" : "s"}`,
+    });
+    unknownStart = -1;
+  };
+
+  let offset = 0;
+  while (offset < bytes.length) {
+    const command = parseCommand(bytes, offset);
+    if (!command) {
+      if (unknownStart < 0) {
+        unknownStart = offset;
+      }
+      offset++;
+      continue;
+    }
+    flushUnknown(offset);
+    // Only the headers of rasters and settings packets are listed.
+    const header = ["raster", "settings"].includes(command.type)
+      ? 8
+      : command.length;
+    commands.push({
+      offset,
+      bytes: hex(bytes.subarray(offset, offset + header)),
+      ...command,
+    });
+    offset += command.length;
+  }
+  flushUnknown(offset);
+  return commands;
+}
+
+/**
+ * decodePrintData(data, options)
+ *
+ * Rebuilds the page a print stream prints. Raster blocks are stacked from top
+ * to bottom, every fed line adds `feedLineDots` blank rows and every feed to
+ * the next label adds `gapDots`.
+ *
+ * @param {Buffer|Array<Number>} data - The raw print stream.
+ * @param {Object} [options]
+ * @param {Number} [options.feedLineDots=0] - Blank rows drawn per line fed with ESC d.
+ * @param {Number} [options.gapDots=0] - Blank rows drawn for the gap between two labels.
+ * @param {Boolean} [options.undoSubstitution=false] - Draw raster bytes 0x14 as 0x0a,
+ *   i.e. as the image was before encoding.
+ * @returns {Promise<Object>} { commands, width, height, png } where `png` is a
+ *   Buffer, or null if the stream holds no raster data.
+ */
+export async function decodePrintData(
+  data,
+  { feedLineDots = 0, gapDots = 0, undoSubstitution = false } = {}
+) {
+  const commands = parsePrintData(data);
+  const rasters = commands.filter((command) => command.type === "raster");
+  if (rasters.length === 0) {
+    return { commands, width: 0, height: 0, png: null };
+  }
+
+  // Lay out the page first, so the image can be created at its final size.
+  const width = Math.max(...rasters.map((raster) => raster.bytesPerLine * 8));
+  const blocks = [];
+  let height = 0;
+  for (const command of commands) {
+    if (command.type === "raster") {
+      blocks.push({ raster: command, y: height });
+      height += command.lines;
+    } else if (command.type === "feed") {
+      height += command.lines * feedLineDots;
+    } else if (command.type === "gapFeed") {
+      height += gapDots;
+    }
+  }
+
+  const image = new Jimp(width, height, 0xffffffff);
+  for (const { raster, y } of blocks) {
+    for (let line = 0; line < raster.lines; line++) {
+      for (let x = 0; x < raster.bytesPerLine; x++) {
+        let byte = raster.data[line * raster.bytesPerLine + x];
+        if (undoSubstitution && byte === 0x14) {
+          byte = 0x0a;
+        }
+        for (let bit = 0; bit < 8; bit++) {
+          if (byte & (1 << (7 - bit))) {
+            image.setPixelColor(0x000000ff, x * 8 + bit, y + line);
+          }
+        }
+      }
+    }
+  }
+
+  const png = await image.getBufferAsync(Jimp.MIME_PNG);
+  return { commands, width, height, png };
+}
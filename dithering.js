@@ -7,6 +7,11 @@
  *    - image.height: image height (pixels)
  *    - image.data: a flat array (or Uint8ClampedArray) of RGBA values
  *
+ * The algorithms work on a Uint8Array holding the gray level of every pixel,
+ * one byte each, and write the result back to the RGB channels at the end;
+ * alpha is left alone. Matrices and error buffers are flat typed arrays, so
+ * long images don't allocate per row or per pixel.
+ *
  * Available algorithms:
  *    - FLOYD_STEINBERG
  *    - ATKINSON
@@ -21,12 +26,25 @@
  *    - CUSTOM
  *    - GRAYSCALE  <-- New: converts the image to grayscale only without dithering.
  *    - ORDERED_BAYER  <-- New: ordered dithering using a Bayer matrix.
+ *    - BLUE_NOISE     <-- New: ordered dithering using a blue-noise matrix.
  *    - RANDOM         <-- New: random dithering using a random threshold per pixel.
  *    - DITHERPUNK     <-- New: noise-injected threshold dithering.
  *
+ * More algorithms can be registered with registerAlgorithm(), e.g. by plugins
+ * (see plugins.js); they join ALGORITHMS.
+ *
  * License: MIT
  */
 
+import {
+  bayerMatrix,
+  blueNoiseMatrix,
+  checkBlueNoiseOptions,
+  DEFAULT_BAYER_SIZE,
+  DEFAULT_BLUE_NOISE_SIZE,
+} from "./matrices.js";
+import { checkSeed, createRandom } from "./random.js";
+
 export const ALGORITHMS = {
   FLOYD_STEINBERG: "FLOYD_STEINBERG",
   ATKINSON: "ATKINSON",
@@ -41,6 +59,7 @@ export const ALGORITHMS = {
   // CUSTOM: "CUSTOM",
   GRAYSCALE: "GRAYSCALE",
   ORDERED_BAYER: "ORDERED_BAYER", // New
+  BLUE_NOISE: "BLUE_NOISE", // New: void-and-cluster threshold matrix
   RANDOM: "RANDOM", // New
   DITHERPUNK: "DITHERPUNK", // New
   EVEN_TONED_SCREENING: "EVEN_TONED_SCREENING", // New
@@ -48,6 +67,217 @@ export const ALGORITHMS = {
   EVEN_BETTER_SCREENING: "EVEN_BETTER_SCREENING", // New: simplified EBS variant
 };
 
+// The algorithms that threshold with a matrix, and take options.matrixSize.
+export const MATRIX_ALGORITHMS = [
+  ALGORITHMS.ORDERED_BAYER,
+  ALGORITHMS.BLUE_NOISE,
+  ALGORITHMS.EVEN_TONED_SCREENING,
+];
+
+// The algorithms that dither with random numbers: without options.seed, they
+// print differently every time.
+export const RANDOM_ALGORITHMS = [
+  ALGORITHMS.RANDOM,
+  ALGORITHMS.DITHERPUNK,
+  ALGORITHMS.EVEN_BETTER_SCREENING,
+];
+
+// The algorithms that take options.seed.
+export const SEEDED_ALGORITHMS = [...RANDOM_ALGORITHMS, ALGORITHMS.BLUE_NOISE];
+
+// The types of the options of registered algorithms.
+export const OPTION_TYPES = ["number", "integer", "boolean", "string"];
+
+// Algorithms registered with registerAlgorithm(), by name.
+const registered = new Map();
+
+/**
+ * Registers an algorithm, e.g. from a plugin (see plugins.js). Its name is
+ * added to ALGORITHMS, so dither() runs it and the CLI offers it next to the
+ * built-in algorithms. Registering the same definition again does nothing.
+ *
+ * @param {Object} definition
+ * @param {String} definition.name - Upper case, digits and underscores, e.g.
+ *   "HALFTONE"; not the name of another algorithm.
+ * @param {String} [definition.description] - One line about what it does.
+ * @param {Object} [definition.options] - The options it takes, by name, each
+ *   { type, default, min, max, choices, description } with a type from
+ *   OPTION_TYPES; min and max are for numbers, choices lists the valid values.
+ * @param {Function} definition.dither - function(image, options): sets every
+ *   pixel of the image (see above) to black or white, in place. The image
+ *   comes in grayscale, with the tone curve applied, and the options with
+ *   their defaults.
+ * @returns {Object} The registered definition.
+ */
+export function registerAlgorithm(definition) {
+  const algorithm = checkAlgorithm(definition);
+  const existing = registered.get(algorithm.name);
+  if (existing && existing.dither === algorithm.dither) {
+    return existing;
+  }
+  registered.set(algorithm.name, algorithm);
+  ALGORITHMS[algorithm.name] = algorithm.name;
+  return algorithm;
+}
+
+/**
+ * Checks an algorithm definition the way registerAlgorithm does, without
+ * registering it, so several can be checked before any is registered.
+ *
+ * @param {Object} definition - See registerAlgorithm.
+ * @returns {Object} The definition as it would be registered.
+ */
+export function checkAlgorithm(definition) {
+  const { name, description = "", options = {}, dither } = definition || {};
+  if (typeof name !== "string" || !/^[A-Z][A-Z0-9_]*$/.test(name)) {
+    throw new Error(
+      `Invalid algorithm name: ${name} (use upper case, digits and underscores, e.g. HALFTONE)`
+    );
+  }
+  if (typeof dither !== "function") {
+    throw new Error(
+      `Algorithm ${name} needs a dither(image, options) function`
+    );
+  }
+  if (ALGORITHMS[name] && registered.get(name)?.dither !== dither) {
+    throw new Error(`There already is an algorithm named ${name}`);
+  }
+  for (const [option, schema] of Object.entries(options)) {
+    if (!OPTION_TYPES.includes(schema?.type)) {
+      throw new Error(
+        `Option ${option} of ${name} needs a type (${OPTION_TYPES.join(", ")})`
+      );
+    }
+    if (schema.default !== undefined) {
+      checkOption(name, option, schema, schema.default);
+    }
+  }
+  return { name, description: String(description), options, dither };
+}
+
+/**
+ * Returns the definition of a registered algorithm, or null for built-in
+ * (and unknown) algorithms.
+ *
+ * @param {String} name - One of the ALGORITHMS keys.
+ * @returns {Object|null} { name, description, options, dither }
+ */
+export function registeredAlgorithm(name) {
+  return registered.get(name) ?? null;
+}
+
+// Throws unless `value` suits the option's schema.
+function checkOption(algorithm, option, schema, value) {
+  const invalid = (hint) =>
+    new Error(`Invalid ${option} for ${algorithm}: ${value} (${hint})`);
+  if (schema.type === "boolean") {
+    if (typeof value !== "boolean") throw invalid("use true or false");
+  } else if (schema.type === "string") {
+    if (typeof value !== "string") throw invalid("use a string");
+  } else if (
+    typeof value !== "number" ||
+    !Number.isFinite(value) ||
+    (schema.type === "integer" && !Number.isInteger(value))
+  ) {
+    throw invalid(`use ${schema.type === "integer" ? "a whole" : "a"} number`);
+  } else if (
+    (schema.min !== undefined && value < schema.min) ||
+    (schema.max !== undefined && value > schema.max)
+  ) {
+    throw invalid(`use ${schema.min ?? "any"} to ${schema.max ?? "any"}`);
+  }
+  if (schema.choices && !schema.choices.includes(value)) {
+    throw invalid(`use ${schema.choices.join(", ")}`);
+  }
+}
+
+/**
+ * Parses an option of a registered algorithm given as text, e.g. on the
+ * command line, into the type of the option.
+ *
+ * @param {String} algorithm - The name of a registered algorithm.
+ * @param {String} option - The option's name.
+ * @param {String} text - e.g. "0.5", "true" or "round".
+ * @returns {Number|Boolean|String} The checked value.
+ */
+export function parseAlgorithmOption(algorithm, option, text) {
+  const schema = registered.get(algorithm)?.options[option];
+  if (!schema) {
+    throw unknownOption(algorithm, option);
+  }
+  let value = text;
+  if (schema.type === "boolean") {
+    const booleans = {
+      true: true,
+      yes: true,
+      1: true,
+      false: false,
+      no: false,
+      0: false,
+    };
+    value = booleans[text.trim().toLowerCase()] ?? text;
+  } else if (schema.type !== "string") {
+    value = text.trim() === "" ? NaN : Number(text);
+  }
+  checkOption(algorithm, option, schema, value);
+  return value;
+}
+
+// The error for an option the algorithm doesn't take.
+function unknownOption(algorithm, option) {
+  const plugin = registered.get(algorithm);
+  const names = plugin ? Object.keys(plugin.options) : [];
+  const known =
+    names.length > 0 ? `its options: ${names.join(", ")}` : "it has no options";
+  return new Error(`${algorithm} has no option ${option} (${known})`);
+}
+
+/**
+ * Checks the options of an algorithm before dithering with it, e.g. before
+ * connecting to a printer. Throws if an option is invalid, or if the
+ * algorithm doesn't take it.
+ *
+ * @param {String} algorithm - One of the ALGORITHMS keys.
+ * @param {Object} [options] - { matrixSize, seed }, see dither().
+ */
+export function validateDitherOptions(algorithm, options = {}) {
+  const plugin = registered.get(algorithm);
+  if (plugin) {
+    for (const [option, value] of Object.entries(options)) {
+      if (option === "toneCurve") continue;
+      if (!plugin.options[option]) {
+        throw unknownOption(algorithm, option);
+      }
+      checkOption(algorithm, option, plugin.options[option], value);
+    }
+    return;
+  }
+  const { matrixSize, seed } = options;
+  if (matrixSize !== undefined && !MATRIX_ALGORITHMS.includes(algorithm)) {
+    throw new Error(
+      `${algorithm} has no matrix size (only ${MATRIX_ALGORITHMS.join(", ")})`
+    );
+  }
+  if (seed !== undefined && !SEEDED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(
+      `${algorithm} has no seed (only ${SEEDED_ALGORITHMS.join(", ")})`
+    );
+  }
+  if (seed !== undefined) {
+    checkSeed(seed);
+  }
+  if (algorithm === ALGORITHMS.ORDERED_BAYER && matrixSize !== undefined) {
+    bayerMatrix(matrixSize);
+  } else if (algorithm === ALGORITHMS.BLUE_NOISE) {
+    checkBlueNoiseOptions(matrixSize ?? DEFAULT_BLUE_NOISE_SIZE, seed);
+  } else if (
+    matrixSize !== undefined &&
+    !(Number.isInteger(matrixSize) && matrixSize >= 2 && matrixSize <= 64)
+  ) {
+    throw new Error(`Invalid matrix size: ${matrixSize} (use 2 to 64)`);
+  }
+}
+
 /**
  * dither(image, algorithm, options)
  *
@@ -56,16 +286,28 @@ export const ALGORITHMS = {
  * @param {Object} image - An object with width, height, and data (RGBA flat array).
  * @param {String} algorithm - One of the ALGORITHMS keys.
  * @param {Object} [options] - For CUSTOM algorithm, options.custom must be a function(image).
+ *   options.toneCurve maps every gray level (0-255) to the level to dither it at,
+ *   before the algorithm runs, e.g. to make up for dot gain (see calibration.js).
+ *   options.matrixSize sets the width of the threshold matrix of ORDERED_BAYER
+ *   (2, 4, 8 or 16; default 4), BLUE_NOISE (8 to 128; default 64) and
+ *   EVEN_TONED_SCREENING (default 8). options.seed seeds the random numbers of
+ *   RANDOM_ALGORITHMS, which use Math.random without one, and picks the
+ *   BLUE_NOISE matrix; the same seed gives the same output.
+ *   Registered algorithms take the options they declare (see registerAlgorithm).
  * @returns {Object} The modified image.
  */
 export function dither(image, algorithm, options = {}) {
+  const plugin = registered.get(algorithm);
+  if (plugin) {
+    return runRegistered(plugin, image, options);
+  }
   switch (algorithm) {
     case ALGORITHMS.FLOYD_STEINBERG:
       return floydSteinberg(image, options);
     case ALGORITHMS.ATKINSON:
       return atkinson(image, options);
     case ALGORITHMS.THRESHOLD:
-      return threshold(image);
+      return threshold(image, options);
     case ALGORITHMS.BURKES:
       return burkes(image, options);
     case ALGORITHMS.DIFFUSION_ROW:
@@ -88,18 +330,19 @@ export function dither(image, algorithm, options = {}) {
         "For CUSTOM algorithm, supply a custom function in options.custom"
       );
     case ALGORITHMS.GRAYSCALE:
-      toGrayscale(image);
-      return image;
+      return writeGrayLevels(image, grayLevels(image, options.toneCurve));
     case ALGORITHMS.ORDERED_BAYER:
-      return orderedBayer(image);
+      return orderedBayer(image, options);
+    case ALGORITHMS.BLUE_NOISE:
+      return blueNoise(image, options);
     case ALGORITHMS.RANDOM:
-      return randomDither(image);
+      return randomDither(image, options);
     case ALGORITHMS.DITHERPUNK:
-      return ditherpunk(image);
+      return ditherpunk(image, options);
     case ALGORITHMS.EVEN_TONED_SCREENING:
       return evenTonedScreening(image, options);
     case ALGORITHMS.SIMPLE_EVEN_TONED_SCREENING:
-      return simpleEvenTonedScreening(image);
+      return simpleEvenTonedScreening(image, options);
     case ALGORITHMS.EVEN_BETTER_SCREENING:
       return evenBetterScreening(image, options);
     default:
@@ -108,17 +351,48 @@ export function dither(image, algorithm, options = {}) {
 }
 
 /**
- * Converts the image to grayscale.
+ * Runs a registered algorithm on the image in grayscale, with the defaults of
+ * the options it declares.
+ */
+function runRegistered(plugin, image, { toneCurve, ...options }) {
+  writeGrayLevels(image, grayLevels(image, toneCurve));
+  const defaults = Object.fromEntries(
+    Object.entries(plugin.options)
+      .filter(([, schema]) => schema.default !== undefined)
+      .map(([option, schema]) => [option, schema.default])
+  );
+  plugin.dither(image, { ...defaults, ...options });
+  return image;
+}
+
+/**
+ * Converts the image to grayscale: returns the gray level of every pixel,
+ * mapped through the tone curve if one is given (see calibration.js).
+ */
+function grayLevels(image, toneCurve = null) {
+  const data = image.data;
+  const gray = new Uint8Array(image.width * image.height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    // Storing in a Uint8Array rounds down.
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  if (toneCurve) {
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = toneCurve[gray[i]];
+    }
+  }
+  return gray;
+}
+
+/**
+ * Writes gray levels back to the RGB channels of the image.
  */
-function toGrayscale(image) {
+function writeGrayLevels(image, gray) {
   const data = image.data;
-  const len = data.length;
-  for (let i = 0; i < len; i += 4) {
-    const lum = Math.floor(
-      0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
-    );
-    data[i] = data[i + 1] = data[i + 2] = lum;
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    data[p] = data[p + 1] = data[p + 2] = gray[i];
   }
+  return image;
 }
 
 /**
@@ -127,63 +401,55 @@ function toGrayscale(image) {
  * Supports serpentine scanning: when enabled, on odd rows pixels are processed
  * right-to-left and the dx offsets are reversed.
  */
-function errorDiffusion(image, kernel, divisor, serpentine = false) {
-  const { width: w, height: h, data } = image;
+function errorDiffusion(
+  image,
+  kernel,
+  divisor,
+  serpentine = false,
+  toneCurve = null
+) {
+  const { width: w, height: h } = image;
+  const gray = grayLevels(image, toneCurve);
+  // The kernel as flat arrays, with the weights already divided.
+  const size = kernel.length;
+  const dxs = new Int32Array(size);
+  const dys = new Int32Array(size);
+  const factors = new Float64Array(size);
+  kernel.forEach(([dx, dy, weight], k) => {
+    dxs[k] = dx;
+    dys[k] = dy;
+    factors[k] = weight / divisor;
+  });
   for (let y = 0; y < h; y++) {
     const reverse = serpentine && y % 2 === 1;
-    if (reverse) {
-      for (let x = w - 1; x >= 0; x--) {
-        const idx = (y * w + x) * 4;
-        const oldPixel = data[idx];
-        const newPixel = oldPixel < 128 ? 0 : 255;
-        const error = oldPixel - newPixel;
-        data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
-        for (const [dx, dy, weight] of kernel) {
-          // Mirror x offset on reversed scan
-          const effectiveDx = -dx;
-          addError(
-            data,
-            w,
-            h,
-            x + effectiveDx,
-            y + dy,
-            error,
-            weight / divisor
-          );
-        }
-      }
-    } else {
-      for (let x = 0; x < w; x++) {
-        const idx = (y * w + x) * 4;
-        const oldPixel = data[idx];
-        const newPixel = oldPixel < 128 ? 0 : 255;
-        const error = oldPixel - newPixel;
-        data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
-        for (const [dx, dy, weight] of kernel) {
-          addError(data, w, h, x + dx, y + dy, error, weight / divisor);
-        }
+    // Mirror x offsets on reversed scan
+    const direction = reverse ? -1 : 1;
+    for (let n = 0, x = reverse ? w - 1 : 0; n < w; n++, x += direction) {
+      const idx = y * w + x;
+      const oldPixel = gray[idx];
+      const newPixel = oldPixel < 128 ? 0 : 255;
+      const error = oldPixel - newPixel;
+      gray[idx] = newPixel;
+      for (let k = 0; k < size; k++) {
+        // Add error to the pixel if within bounds.
+        const ex = x + dxs[k] * direction;
+        const ey = y + dys[k];
+        if (ex < 0 || ex >= w || ey >= h) continue;
+        const eidx = ey * w + ex;
+        gray[eidx] = Math.max(
+          0,
+          Math.min(255, gray[eidx] + error * factors[k])
+        );
       }
     }
   }
-  return image;
-}
-
-/**
- * Helper: Add error to a pixel if within bounds.
- */
-function addError(data, w, h, x, y, error, factor) {
-  if (x < 0 || x >= w || y < 0 || y >= h) return;
-  const idx = (y * w + x) * 4;
-  let newVal = data[idx] + error * factor;
-  newVal = Math.max(0, Math.min(255, newVal));
-  data[idx] = data[idx + 1] = data[idx + 2] = newVal;
+  return writeGrayLevels(image, gray);
 }
 
 /**
  * Floyd-Steinberg algorithm.
  */
 function floydSteinberg(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -194,7 +460,8 @@ function floydSteinberg(image, opts = {}) {
       [1, 1, 1],
     ],
     16,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
@@ -202,7 +469,6 @@ function floydSteinberg(image, opts = {}) {
  * Atkinson algorithm.
  */
 function atkinson(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -215,7 +481,8 @@ function atkinson(image, opts = {}) {
       [0, 2, 1],
     ],
     8,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
@@ -224,45 +491,47 @@ function atkinson(image, opts = {}) {
  * It converts the image to grayscale, computes the median value across all pixels,
  * and then thresholds each pixel against that median value.
  */
-function threshold(image) {
+function threshold(image, opts = {}) {
   // Convert image to grayscale.
-  toGrayscale(image);
-  const data = image.data;
-  const len = data.length;
-  const pixelCount = len / 4;
-  const values = new Array(pixelCount);
+  const gray = grayLevels(image, opts.toneCurve);
+  const pixelCount = gray.length;
 
-  // Collect all grayscale pixel values.
-  for (let i = 0, j = 0; i < len; i += 4, j++) {
-    values[j] = data[i];
+  // Count the pixels of every gray level.
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < pixelCount; i++) {
+    histogram[gray[i]]++;
   }
-
-  // Sort the values.
-  values.sort((a, b) => a - b);
+  // The value at a position in the sorted values.
+  const valueAt = (position) => {
+    for (let value = 0, seen = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen > position) {
+        return value;
+      }
+    }
+  };
 
   // Compute the median.
   let median;
   if (pixelCount % 2 === 1) {
-    median = values[Math.floor(pixelCount / 2)];
+    median = valueAt(Math.floor(pixelCount / 2));
   } else {
     const mid = pixelCount / 2;
-    median = (values[mid - 1] + values[mid]) / 2;
+    median = (valueAt(mid - 1) + valueAt(mid)) / 2;
   }
 
   // Apply thresholding using the computed median.
-  for (let i = 0; i < len; i += 4) {
-    const newPixel = data[i] < median ? 0 : 255;
-    data[i] = data[i + 1] = data[i + 2] = newPixel;
+  for (let i = 0; i < pixelCount; i++) {
+    gray[i] = gray[i] < median ? 0 : 255;
   }
 
-  return image;
+  return writeGrayLevels(image, gray);
 }
 
 /**
  * Burkes algorithm.
  */
 function burkes(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -276,7 +545,8 @@ function burkes(image, opts = {}) {
       [2, 1, 2],
     ],
     32,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
@@ -284,7 +554,6 @@ function burkes(image, opts = {}) {
  * Diffusion Row: Diffuse error horizontally.
  */
 function diffusionRow(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -293,7 +562,8 @@ function diffusionRow(image, opts = {}) {
       [2, 0, 1],
     ],
     2,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
@@ -301,7 +571,6 @@ function diffusionRow(image, opts = {}) {
  * Diffusion Column: Diffuse error vertically.
  */
 function diffusionColumn(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -310,7 +579,8 @@ function diffusionColumn(image, opts = {}) {
       [0, 2, 1],
     ],
     2,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
@@ -318,7 +588,6 @@ function diffusionColumn(image, opts = {}) {
  * Diffusion 2D: A simple two-dimensional diffusion.
  */
 function diffusion2D(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -329,7 +598,8 @@ function diffusion2D(image, opts = {}) {
       [1, 1, 2],
     ],
     10,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
@@ -337,7 +607,6 @@ function diffusion2D(image, opts = {}) {
  * Jarvis, Judice, Ninke algorithm.
  */
 function jarvisJudiceNinke(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -356,7 +625,8 @@ function jarvisJudiceNinke(image, opts = {}) {
       [2, 2, 1],
     ],
     48,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
@@ -364,7 +634,6 @@ function jarvisJudiceNinke(image, opts = {}) {
  * Sierra2 algorithm.
  */
 function sierra2(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -381,7 +650,8 @@ function sierra2(image, opts = {}) {
       [1, 2, 1],
     ],
     12,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
@@ -389,7 +659,6 @@ function sierra2(image, opts = {}) {
  * Stucki algorithm.
  */
 function stucki(image, opts = {}) {
-  toGrayscale(image);
   const serpentine = !!opts.serpentine;
   return errorDiffusion(
     image,
@@ -408,79 +677,108 @@ function stucki(image, opts = {}) {
       [2, 2, 1],
     ],
     42,
-    serpentine
+    serpentine,
+    opts.toneCurve
   );
 }
 
 /* ===================== New Algorithms ===================== */
 
 /**
- * Ordered Bayer dithering.
- * Uses a 4x4 Bayer matrix to threshold pixels in an ordered pattern.
+ * Ordered dithering helper.
+ * Tiles a threshold matrix (ranks 0 to size²-1, row by row, see matrices.js)
+ * over the image and thresholds every pixel against its cell.
  */
-function orderedBayer(image) {
-  toGrayscale(image);
-  const data = image.data;
+function orderedDither(image, matrix, size, toneCurve = null) {
+  const gray = grayLevels(image, toneCurve);
   const w = image.width,
     h = image.height;
-  const bayerMatrix = [
-    [0, 8, 2, 10],
-    [12, 4, 14, 6],
-    [3, 11, 1, 9],
-    [15, 7, 13, 5],
-  ];
-  const matrixSize = 4;
-  // The matrix values range from 0 to 15. We map these to thresholds [0,255]
-  const scale = 255 / (matrixSize * matrixSize);
+  // The ranks range from 0 to size²-1. We map these to thresholds [0,255]
+  const scale = 255 / (size * size);
+  // Add half the step to center the thresholds
+  const thresholds = Float64Array.from(matrix, (rank) => (rank + 0.5) * scale);
 
   for (let y = 0; y < h; y++) {
+    const row = (y % size) * size;
     for (let x = 0; x < w; x++) {
-      const idx = (y * w + x) * 4;
-      // Determine threshold from the Bayer matrix and add half the step to center it
-      const threshold =
-        (bayerMatrix[y % matrixSize][x % matrixSize] + 0.5) * scale;
-      const oldPixel = data[idx];
-      const newPixel = oldPixel < threshold ? 0 : 255;
-      data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
+      const idx = y * w + x;
+      const threshold = thresholds[row + (x % size)];
+      gray[idx] = gray[idx] < threshold ? 0 : 255;
     }
   }
-  return image;
+  return writeGrayLevels(image, gray);
+}
+
+/**
+ * Ordered Bayer dithering.
+ * Uses a Bayer matrix to threshold pixels in an ordered pattern.
+ *
+ * Options:
+ *    - matrixSize: 2, 4, 8 or 16 (default: 4)
+ */
+function orderedBayer(image, opts = {}) {
+  const matrixSize = opts.matrixSize || DEFAULT_BAYER_SIZE;
+  return orderedDither(
+    image,
+    bayerMatrix(matrixSize),
+    matrixSize,
+    opts.toneCurve
+  );
+}
+
+/**
+ * Blue-noise dithering.
+ * Thresholds pixels with a void-and-cluster matrix, which spreads the dots
+ * evenly without the cross-hatch of a Bayer matrix. The matrix is built once
+ * and cached on disk (see matrices.js).
+ *
+ * Options:
+ *    - matrixSize: 8 to 128 (default: 64)
+ *    - seed: picks the matrix; the same seed gives the same matrix (default: 1)
+ */
+function blueNoise(image, opts = {}) {
+  const matrixSize = opts.matrixSize || DEFAULT_BLUE_NOISE_SIZE;
+  const matrix = blueNoiseMatrix(matrixSize, { seed: opts.seed });
+  return orderedDither(image, matrix, matrixSize, opts.toneCurve);
+}
+
+/**
+ * The random numbers of an algorithm: seeded with options.seed (see random.js),
+ * or Math.random without one.
+ */
+function randomSource(opts) {
+  return opts.seed === undefined ? Math.random : createRandom(opts.seed);
 }
 
 /**
  * Random dithering.
  * Each pixel is compared against a random threshold.
  */
-function randomDither(image) {
-  toGrayscale(image);
-  const data = image.data;
-  const len = data.length;
-  for (let i = 0; i < len; i += 4) {
-    const threshold = Math.random() * 255;
-    const oldPixel = data[i];
-    const newPixel = oldPixel < threshold ? 0 : 255;
-    data[i] = data[i + 1] = data[i + 2] = newPixel;
+function randomDither(image, opts = {}) {
+  const gray = grayLevels(image, opts.toneCurve);
+  const random = randomSource(opts);
+  for (let i = 0; i < gray.length; i++) {
+    const threshold = random() * 255;
+    gray[i] = gray[i] < threshold ? 0 : 255;
   }
-  return image;
+  return writeGrayLevels(image, gray);
 }
 
 /**
  * Ditherpunk algorithm.
  * A creative twist on threshold dithering by adding noise before thresholding.
  */
-function ditherpunk(image) {
-  toGrayscale(image);
-  const data = image.data;
-  const len = data.length;
+function ditherpunk(image, opts = {}) {
+  const gray = grayLevels(image, opts.toneCurve);
+  const random = randomSource(opts);
   // Add noise to each pixel and then threshold
-  for (let i = 0; i < len; i += 4) {
+  for (let i = 0; i < gray.length; i++) {
     // Add noise in the range [-64, 64]
-    const noise = (Math.random() - 0.5) * 128;
-    const noisyPixel = data[i] + noise;
-    const newPixel = noisyPixel < 128 ? 0 : 255;
-    data[i] = data[i + 1] = data[i + 2] = newPixel;
+    const noise = (random() - 0.5) * 128;
+    const noisyPixel = gray[i] + noise;
+    gray[i] = noisyPixel < 128 ? 0 : 255;
   }
-  return image;
+  return writeGrayLevels(image, gray);
 }
 
 /**
@@ -493,39 +791,41 @@ function ditherpunk(image) {
  *    - matrixSize (default: 8)
  */
 function evenTonedScreening(image, opts = {}) {
-  toGrayscale(image);
+  const gray = grayLevels(image, opts.toneCurve);
   const matrixSize = opts.matrixSize || 8;
   // Generate the screening matrix (could be cached for performance)
   const screeningMatrix = generateEvenTonedMatrix(matrixSize);
-  const data = image.data;
   const w = image.width,
     h = image.height;
   const numCells = matrixSize * matrixSize;
   // Normalize so that the maximum rank (numCells-1) maps to 255.
   const scale = 255 / (numCells - 1);
+  // Compute the thresholds; add 0.5 to center the mapping.
+  const thresholds = Float64Array.from(
+    screeningMatrix,
+    (cell) => (cell + 0.5) * scale
+  );
 
   for (let y = 0; y < h; y++) {
+    const row = (y % matrixSize) * matrixSize;
     for (let x = 0; x < w; x++) {
-      const idx = (y * w + x) * 4;
+      const idx = y * w + x;
       // Use the screening matrix (tile it over the image)
-      const cell = screeningMatrix[y % matrixSize][x % matrixSize];
-      // Compute the threshold; add 0.5 to center the mapping.
-      const threshold = (cell + 0.5) * scale;
-      const oldPixel = data[idx];
-      const newPixel = oldPixel < threshold ? 0 : 255;
-      data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
+      const threshold = thresholds[row + (x % matrixSize)];
+      gray[idx] = gray[idx] < threshold ? 0 : 255;
     }
   }
-  return image;
+  return writeGrayLevels(image, gray);
 }
 
 /**
  * Generates an even-toned screening matrix.
- * The matrix is an N×N array where each element is the rank (from 0 to N²-1)
- * of its cell when the cells are sorted by their Euclidean distance from the center.
+ * The matrix is an N×N array, flattened row by row, where each element is the
+ * rank (from 0 to N²-1) of its cell when the cells are sorted by their
+ * Euclidean distance from the center.
  */
 function generateEvenTonedMatrix(N) {
-  const matrix = Array.from({ length: N }, () => Array(N).fill(0));
+  const matrix = new Uint32Array(N * N);
   const cells = [];
   const center = (N - 1) / 2;
   for (let i = 0; i < N; i++) {
@@ -539,7 +839,7 @@ function generateEvenTonedMatrix(N) {
   // Assign increasing ranks
   for (let rank = 0; rank < cells.length; rank++) {
     const { i, j } = cells[rank];
-    matrix[i][j] = rank;
+    matrix[i * N + j] = rank;
   }
   return matrix;
 }
@@ -552,12 +852,12 @@ function generateEvenTonedMatrix(N) {
  *
  * The error is diffused using Floyd–Steinberg weights.
  */
-function simpleEvenTonedScreening(image) {
-  toGrayscale(image);
-  const { width: w, height: h, data } = image;
+function simpleEvenTonedScreening(image, opts = {}) {
+  const gray = grayLevels(image, opts.toneCurve);
+  const { width: w, height: h } = image;
   // Initialize error buffers for current and next row
-  let curRow = new Array(w).fill(0);
-  let nextRow = new Array(w).fill(0);
+  let curRow = new Float64Array(w);
+  let nextRow = new Float64Array(w);
   const biasFactor = 0.25; // How much of the pixel's error biases the threshold
 
   for (let y = 0; y < h; y++) {
@@ -565,8 +865,8 @@ function simpleEvenTonedScreening(image) {
     // and reset the next row buffer.
     for (let x = 0; x < w; x++) {
       // Get the original pixel value and add local error from buffer.
-      const idx = (y * w + x) * 4;
-      let value = data[idx] + curRow[x];
+      const idx = y * w + x;
+      let value = gray[idx] + curRow[x];
 
       // Adjust threshold slightly based on the local error.
       let threshold = 128 + curRow[x] * biasFactor;
@@ -575,7 +875,7 @@ function simpleEvenTonedScreening(image) {
       // Quantize the pixel.
       const newPixel = value < threshold ? 0 : 255;
       const error = value - newPixel;
-      data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
+      gray[idx] = newPixel;
 
       // Diffuse error using simplified Floyd–Steinberg weights.
       if (x + 1 < w) {
@@ -588,12 +888,12 @@ function simpleEvenTonedScreening(image) {
         }
       }
     }
-    // Prepare for the next row.
-    curRow = nextRow.slice(); // shallow copy of nextRow
+    // Prepare for the next row: swap the buffers and clear the new next row.
+    [curRow, nextRow] = [nextRow, curRow];
     nextRow.fill(0);
   }
 
-  return image;
+  return writeGrayLevels(image, gray);
 }
 
 /**
@@ -609,30 +909,34 @@ function simpleEvenTonedScreening(image) {
  *   - tmheight: height of the TM array (default: 256)
  *   - tmmat: a tm array (2D array of signed integers); if not provided, one is generated.
  *            Suggested range for modulation values is about -20 to +20.
+ *   - seed: seeds the generated tm array
  */
 function evenBetterScreening(image, opts = {}) {
   // Convert image to grayscale first.
-  toGrayscale(image);
-  const { width: w, height: h, data } = image;
+  const gray = grayLevels(image, opts.toneCurve);
+  const { width: w, height: h } = image;
   const levels = opts.levels || 2; // assuming binary output if not specified
   const tmwid = opts.tmwid || 256;
   const tmheight = opts.tmheight || 256;
-  const tmmat = opts.tmmat || generateDefaultTM(tmwid, tmheight);
+  const tmmat = opts.tmmat
+    ? flattenTM(opts.tmmat, tmwid, tmheight)
+    : generateDefaultTM(tmwid, tmheight, randomSource(opts));
 
-  // Set up an error buffer for error diffusion.
-  let errorBuffer = new Array(w).fill(0);
+  // Set up error buffers for error diffusion, for this row and the next.
+  let errorBuffer = new Float64Array(w);
+  let nextError = new Float64Array(w);
 
   // For each scanline…
   for (let y = 0; y < h; y++) {
-    let nextError = new Array(w).fill(0);
+    const tmRow = (y % tmheight) * tmwid;
     for (let x = 0; x < w; x++) {
-      const idx = (y * w + x) * 4;
+      const idx = y * w + x;
       // Add error from diffusion.
-      let value = data[idx] + errorBuffer[x];
+      let value = gray[idx] + errorBuffer[x];
 
       // Get modulation value from our TM array.
-      // tmmat is assumed to be a 2D array of numbers in a range like [-20, 20].
-      let mod = tmmat[y % tmheight][x % tmwid];
+      // tmmat holds numbers in a range like [-20, 20], row by row.
+      let mod = tmmat[tmRow + (x % tmwid)];
       // Compute modulation-adjusted threshold.
       let threshold = 128 + mod;
       // Clamp threshold to valid range.
@@ -641,7 +945,7 @@ function evenBetterScreening(image, opts = {}) {
       // Quantize pixel.
       const newPixel = value < threshold ? 0 : 255;
       const error = value - newPixel;
-      data[idx] = data[idx + 1] = data[idx + 2] = newPixel;
+      gray[idx] = newPixel;
 
       // Diffuse error as in Floyd–Steinberg.
       if (x + 1 < w) {
@@ -655,28 +959,43 @@ function evenBetterScreening(image, opts = {}) {
       }
     }
     // Prepare error buffer for the next row.
-    errorBuffer = nextError;
+    [errorBuffer, nextError] = [nextError, errorBuffer];
+    nextError.fill(0);
   }
-  return image;
+  return writeGrayLevels(image, gray);
 }
 
 /**
- * generateDefaultTM(width, height)
+ * generateDefaultTM(width, height, random)
  *
- * Generates a default threshold modulation (TM) array.
- * In this example we generate a 2D array filled with pseudo-random values
- * in the approximate range [-20, 20]. You can modify this function to produce
- * more interesting or structured modulation if desired.
+ * Generates a default threshold modulation (TM) array, flattened row by row.
+ * In this example we fill it with pseudo-random values in the approximate
+ * range [-20, 20], from `random` (Math.random or a seeded PRNG). You can
+ * modify this function to produce more interesting or structured modulation
+ * if desired.
+ */
+function generateDefaultTM(width, height, random = Math.random) {
+  const tm = new Int8Array(width * height);
+  for (let i = 0; i < tm.length; i++) {
+    // Generate a modulation value between -20 and 20.
+    tm[i] = Math.floor(random() * 41) - 20;
+  }
+  return tm;
+}
+
+/**
+ * Flattens a TM array given as rows (a 2D array), as generateDefaultTM makes
+ * them. Flat arrays are returned as they are.
  */
-function generateDefaultTM(width, height) {
-  const tm = [];
+function flattenTM(tmmat, width, height) {
+  if (!Array.isArray(tmmat[0])) {
+    return tmmat;
+  }
+  const tm = new Float64Array(width * height);
   for (let y = 0; y < height; y++) {
-    const row = [];
     for (let x = 0; x < width; x++) {
-      // Generate a modulation value between -20 and 20.
-      row.push(Math.floor(Math.random() * 41) - 20);
+      tm[y * width + x] = tmmat[y][x];
     }
-    tm.push(row);
   }
   return tm;
 }
@@ -0,0 +1,229 @@
+/**
+ * image.js
+ *
+ * Prepares images for printing: rotation, resizing to the printer width,
+ * compositing against a transparent background, tone adjustments (see
+ * adjust.js) and dithering. SVG images are rendered at the printer width
+ * instead of being resized (see svg.js).
+ *
+ * Images are processed in memory: they come in as a path or a Buffer and go
+ * out as a PNG Buffer, so read-only inputs and images made in code print
+ * without any files being written. To look at the intermediate images, pass
+ * `debug: { dir, name }` and each step is written to that directory, e.g.
+ * "photo--resized.png" and "photo--dithered.png".
+ */
+
+import { mkdir, writeFile } from "fs/promises";
+import * as path from "path"; // For path-related operations.
+import Jimp from "jimp"; // For image processing.
+
+import { adjustImage } from "./adjust.js";
+// Use your user‑defined dithering library.
+import { dither, ALGORITHMS } from "./dithering.js";
+import { DEFAULT_PROFILE } from "./profiles.js";
+import { resolveLayout, alignOnLine } from "./layout.js";
+import { isSvg, getSvgDimensions, renderSvg, rotateSvg } from "./svg.js";
+
+/**
+ * Writes an intermediate image to the debug directory, named after the image
+ * and the step, e.g. "photo--resized.png". Does nothing without a directory.
+ *
+ * @param {Object} [debug] - { dir, name }; `name` defaults to "image".
+ * @param {String} step - The step and extension, e.g. "resized.png".
+ * @param {Buffer|Jimp} image - Encoded image data or a Jimp image.
+ */
+export async function writeDebugImage(debug, step, image) {
+  if (!debug || !debug.dir) {
+    return;
+  }
+  const data = Buffer.isBuffer(image)
+    ? image
+    : await image.getBufferAsync(Jimp.MIME_PNG);
+  await mkdir(debug.dir, { recursive: true });
+  await writeFile(
+    path.join(debug.dir, `${debug.name || "image"}--${step}`),
+    data
+  );
+}
+
+// Reads an image at the given width. Raster images are resized; SVG images
+// are rendered at that width, so their edges stay sharp.
+async function readImageAtWidth(input, width, antialias) {
+  if (await isSvg(input)) {
+    return Jimp.read(await renderSvg(input, { width, antialias }));
+  }
+  return (await Jimp.read(input)).resize(width, Jimp.AUTO);
+}
+
+// Composites the image against a transparent background as wide as the line,
+// with the top and bottom margins, at the position the layout aligns it to.
+function composeOnLine(pic, layout, profile) {
+  const transparentBackground = new Jimp(
+    profile.imageWidth,
+    layout.top + pic.bitmap.height + layout.bottom,
+    0x00000000
+  );
+  // Calculate offset to composite the image against the background.
+  const x = alignOnLine(pic.bitmap.width, layout, profile);
+  return transparentBackground.composite(pic, x, layout.top);
+}
+
+// This function processes the image to match the printer's requirements.
+// It performs several steps: resizing, compositing with a transparent background,
+// and finally dithering. The result is returned as a PNG Buffer.
+// The profile (see profiles.js) provides the line and printable widths.
+// SVG images are rendered at the scaled width instead of being resized, and
+// `options.antialias` turns their anti-aliasing on or off (see svg.js).
+// `options.adjust` holds the tone adjustments made before dithering (see adjust.js).
+// `options.align` and `options.margin` place the image on the paper (see
+// layout.js); the scale is relative to the width between the side margins.
+// `options.toneCurve` compensates for dot gain (see calibration.js).
+// `options.ditherOptions` go to the algorithm, e.g. { matrixSize: 8 } (see
+// dither in dithering.js).
+// `options.debug` writes the intermediate images (see writeDebugImage).
+export async function makeDitheredImage(
+  input,
+  scale,
+  algorithmChoice,
+  profile = DEFAULT_PROFILE,
+  {
+    antialias = true,
+    adjust = {},
+    align,
+    margin,
+    toneCurve,
+    ditherOptions,
+    debug,
+  } = {}
+) {
+  const layout = resolveLayout({ align, margin }, profile);
+  const scalePercentage = Math.max(scale / 100.0, 0.01);
+  const scaledWidth = Math.floor(scalePercentage * layout.width);
+
+  // Resize the image based on scale percentage.
+  const pic = await readImageAtWidth(input, scaledWidth, antialias);
+
+  // Composite the image on the line.
+  const composedPic = composeOnLine(pic, layout, profile);
+  await writeDebugImage(debug, "resized.png", composedPic);
+
+  // Convert the composed image to a dithered black & white image.
+  // TODO: Consider swapping the dithering library for improved quality.
+  return convertToDithered(composedPic, algorithmChoice, adjust, {
+    toneCurve,
+    ditherOptions,
+    debug,
+  });
+}
+
+/**
+ * Places a black & white image on the printable part of the line, where
+ * makeDitheredImage puts images, but without resizing or dithering it: every
+ * pixel prints as exactly one dot. Used for rendered text, QR codes and
+ * barcodes (see text.js and codes.js).
+ *
+ * @param {String|Buffer} input - Image path or encoded image data.
+ * @param {Object} [profile] - The print profile (see profiles.js).
+ * @param {Object} [options]
+ * @param {String} [options.align="right"] - Alignment on the paper (see layout.js).
+ * @param {String|Number|Object} [options.margin] - Margins around the image (see layout.js).
+ * @returns {Promise<Buffer>} The line-wide image as a PNG.
+ */
+export async function placeOnLine(
+  input,
+  profile = DEFAULT_PROFILE,
+  { align, margin } = {}
+) {
+  const layout = resolveLayout({ align, margin }, profile);
+  const pic = await Jimp.read(input);
+  if (pic.bitmap.width > layout.width) {
+    throw new Error(
+      `The image is ${pic.bitmap.width} dots wide, the paper only ${layout.width}`
+    );
+  }
+  const height = layout.top + pic.bitmap.height + layout.bottom;
+  const line = new Jimp(profile.imageWidth, height, 0xffffffff);
+  line.composite(
+    pic,
+    alignOnLine(pic.bitmap.width, layout, profile),
+    layout.top
+  );
+  return line.getBufferAsync(Jimp.MIME_PNG);
+}
+
+// This function performs image dithering using the selected algorithm.
+// It converts a resized image (a Jimp image, a path or a Buffer) into a
+// dithered image suitable for the printer, after applying the tone
+// adjustments and the tone curve, if any, and returns it as a PNG Buffer.
+// `options.ditherOptions` go to the algorithm, e.g. { matrixSize: 8 }.
+export async function convertToDithered(
+  input,
+  algorithmChoice,
+  adjust = {},
+  { toneCurve = null, ditherOptions = {}, debug } = {}
+) {
+  const pic = input instanceof Jimp ? input : await Jimp.read(input);
+  // The bitmap has width, height, and data (RGBA) like the PNG imageData the
+  // dithering library works on.
+  // Lookup the algorithm from ALGORITHMS using the algorithmChoice key.
+  adjustImage(pic.bitmap, adjust);
+  dither(pic.bitmap, ALGORITHMS[algorithmChoice], {
+    ...ditherOptions,
+    toneCurve,
+  });
+  const dithered = await pic.getBufferAsync(Jimp.MIME_PNG);
+  await writeDebugImage(debug, "dithered.png", dithered);
+  return dithered;
+}
+
+// Helper function for test mode: Process the image using the selected dithering algorithm and output to a specific path.
+export async function makeTestDitheredImage(
+  input,
+  scale,
+  algorithmChoice,
+  outputPath,
+  profile = DEFAULT_PROFILE,
+  options = {}
+) {
+  const dithered = await makeDitheredImage(
+    input,
+    scale,
+    algorithmChoice,
+    profile,
+    options
+  );
+  await writeFile(outputPath, dithered);
+  return outputPath;
+}
+
+/**
+ * Returns an object with the image dimensions ({ width, height }).
+ * Uses Jimp to load the image (a path or a Buffer) and extract its dimensions.
+ */
+export async function getImageDimensions(input) {
+  if (await isSvg(input)) {
+    return getSvgDimensions(input);
+  }
+  const image = await Jimp.read(input);
+  return { width: image.bitmap.width, height: image.bitmap.height };
+}
+
+/**
+ * Rotates the image (a path or a Buffer) by 90° to maximize printed size.
+ * Returns the rotated image as a Buffer: a PNG, or an SVG for SVG images.
+ * `options.debug` writes it as "<name>--rotated.png" (see writeDebugImage).
+ */
+export async function rotateImage(input, { debug } = {}) {
+  if (await isSvg(input)) {
+    // SVG images stay vector images, so they can still be rendered sharp.
+    const rotated = Buffer.from(await rotateSvg(input));
+    await writeDebugImage(debug, "rotated.svg", rotated);
+    return rotated;
+  }
+  const image = await Jimp.read(input);
+  // Rotate image by 90 degrees clockwise.
+  image.rotate(90);
+  const rotated = await image.getBufferAsync(Jimp.MIME_PNG);
+  await writeDebugImage(debug, "rotated.png", rotated);
+  return rotated;
+}
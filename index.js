@@ -1,275 +1,1929 @@
+#!/usr/bin/env node
 // Import required packages and modules.
-import noble from "@abandonware/noble"; // For Bluetooth device scanning and connection.
 import spinner from "cli-spinner"; // For displaying a spinner in the CLI.
-import { Command } from "commander"; // For parsing command line arguments.
-import { createReadStream, createWriteStream, existsSync, mkdirSync } from "fs"; // For file I/O.
+import { Command, Option, InvalidArgumentError } from "commander"; // For parsing command line arguments.
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs"; // For file I/O.
 import * as path from "path"; // For path-related operations.
-import { select, confirm } from "@inquirer/prompts"; // For interactive CLI prompts.
-import Jimp from "jimp"; // For image processing.
-import { PNG } from "pngjs"; // For PNG parsing and manipulation.
-
-// Use your user‑defined dithering library.
-import { dither, ALGORITHMS } from "./dithering.js";
+import { select, confirm, input } from "@inquirer/prompts"; // For interactive CLI prompts.
+
+// The CLI is a thin layer over the library API.
+import {
+  PhomemoPrinter,
+  DENSITY_LEVELS,
+  DEFAULT_DENSITY,
+  parseDensity as parseDensityValue,
+} from "./printer.js";
+import { FileTransport, MemoryTransport, scanDevices } from "./transport.js";
+import { getImageDimensions } from "./image.js";
+import {
+  ALGORITHMS,
+  MATRIX_ALGORITHMS,
+  RANDOM_ALGORITHMS,
+  SEEDED_ALGORITHMS,
+  parseAlgorithmOption,
+  registeredAlgorithm,
+  validateDitherOptions,
+} from "./dithering.js";
+import {
+  loadAlgorithmModule,
+  loadPluginDir,
+  DEFAULT_PLUGIN_DIR,
+} from "./plugins.js";
+import { MAX_SEED, randomSeed } from "./random.js";
+import { ADJUSTMENTS, LEVELS_MODES, parseAdjustment } from "./adjust.js";
+import {
+  MODELS,
+  PAPERS,
+  DEFAULT_MODEL,
+  resolveProfile,
+  detectModel,
+} from "./profiles.js";
+import { FONT_SIZES } from "./text.js";
+import { encodeCode, CODE_TYPES, QR_ERROR_CORRECTION } from "./codes.js";
+import { expandInputs, SEPARATORS } from "./batch.js";
+import { runTestJobs, DEFAULT_THREADS } from "./workers.js";
+import {
+  isPdf,
+  parsePageRanges,
+  getPdfPageSizes,
+  renderPdfPages,
+} from "./pdf.js";
+import { decodePrintData } from "./decode.js";
+import { buildSettingsPacket, PAPER_TYPES } from "./settings.js";
+import {
+  renderWedge,
+  parseCalibration,
+  parseDistinctSteps,
+  parseMeasuredSteps,
+  calibrationKey,
+  DEFAULT_CALIBRATION_FILE,
+  loadCalibration,
+  saveCalibration,
+  toneCurve,
+  DEFAULT_STEPS,
+} from "./calibration.js";
+import { renderPreview, pageSizeInMm, PREVIEW_MODES } from "./preview.js";
+import { createPrintServer } from "./server.js";
+import { parseLabelSize, LABEL_FIT_MODES } from "./labels.js";
+import {
+  ALIGNMENTS,
+  parseLength,
+  parseMargin,
+  resolveLayout,
+} from "./layout.js";
+import {
+  Spool,
+  processQueue,
+  DEFAULT_SPOOL_DIR,
+  JOB_STATUSES,
+} from "./spool.js";
 
 const { Spinner } = spinner;
 
-// The number of bytes per line that the printer expects.
-// Adjust this value to match the specific printer output width.
-const BYTES_PER_LINE = 70;
-// The image width in pixels matching the printer characteristic.
-// Each byte stands for 8 pixels, so we multiply.
-const IMAGE_WIDTH = BYTES_PER_LINE * 8;
-
-/**
- * Printer Resolution and Image Width Calculation:
- *
- * This printer is designed to work at a resolution of 300 pixels per inch (ppi).
- *
- * The constant BYTES_PER_LINE is set to 70, indicating the printer expects 70 bytes per line.
- * Since each byte represents 8 pixels, the maximum image width in pixels is calculated as:
- *
- *    IMAGE_WIDTH = BYTES_PER_LINE * 8
- *                = 70 * 8
- *                = 560 pixels
- *
- * At 300 ppi, the physical print width is:
- *
- *    Physical width (in inches) = IMAGE_WIDTH / 300
- *                               = 560 / 300 ≈ 1.87 inches
- *
- * Converting inches to centimeters (1 inch ≈ 2.54 cm):
- *
- *    Physical width (in cm) = 1.87 * 2.54 ≈ 4.75 cm
- *
- * Since the paper width is limited, if your image is wider than tall (landscape),
- * you may want to rotate it by 90° so that it prints as large as possible.
- */
-
 // Special keys for device selection menu.
 const SCAN_AGAIN_SELECTION = "__scan_again__";
 const QUIT_SELECTION = "__quit__";
 
-// Object to hold discovered Bluetooth devices.
-let discoveredDevices = {};
-let selectedPeripheral = null; // <-- Added global variable for the peripheral
+// Exit codes, so scripts can tell what went wrong.
+const EXIT_OK = 0; // Printed (and confirmed, if asked).
+const EXIT_FAILURE = 1; // Unexpected error, or the print was not confirmed.
+const EXIT_USAGE = 2; // Invalid or missing command line option.
+const EXIT_CONNECTION_FAILED = 3; // Printer not found or not usable.
+const EXIT_PRINT_FAILED = 4; // Preparing or sending the print data failed.
+const EXIT_CANCELLED = 5; // The user quit the device menu.
+
+const DEFAULT_ALGORITHM = "FLOYD_STEINBERG";
+const DEFAULT_DRY_RUN_PATH = "dry-run.png";
+const DEFAULT_ROTATE = "auto";
+
+// State of the running command, set up before its action runs.
+let command; // The Commander command being run, used to report usage errors.
+let interactive; // Prompts are only shown with a terminal on stdin and without --yes.
+let promptContext; // Where prompts render.
+let log; // Where messages go.
 
 // -------------------------
 // Command line interface setup
 // -------------------------
 
+// Plugins register their algorithms before the command line is parsed, so
+// they're valid choices for -a and show up in the help.
+await loadPlugins(process.argv);
+
 // Set up command line options using Commander.
 const program = new Command();
 program
-  .option("-f, --file <path>", "path for image to print", "./test.png")
+  .name("phomemo")
+  .description("print images and text on phomemo bluetooth printers")
   .option(
-    "-s, --scale <size>",
-    "percent scale at which the image should print (1-100)",
-    100
+    "--algorithm-module <path>",
+    `load dithering algorithms from this plugin module (repeatable), as well as from ${DEFAULT_PLUGIN_DIR}`,
+    (value, previous) => [...previous, value],
+    []
+  );
+// Report every command line error with the usage exit code.
+program.exitOverride((err) => {
+  process.exit(err.exitCode === 0 ? EXIT_OK : EXIT_USAGE);
+});
+program.hook("preAction", (thisCommand, actionCommand) => {
+  const { output, yes } = actionCommand.opts();
+  command = actionCommand;
+  interactive = Boolean(process.stdin.isTTY) && !yes;
+  // When the print data goes to stdout, prompts and messages must not end up in it.
+  promptContext = output === "-" ? { output: process.stderr } : undefined;
+  log = output === "-" ? console.error : console.log;
+});
+
+addLayoutOptions(
+  addPrinterOptions(
+    program
+      .command("print", { isDefault: true })
+      .description("print an image (the default command)")
+      .option(
+        "-f, --file <paths...>",
+        "images (PNG, JPEG, SVG, ...) or PDFs to print: files, globs or directories",
+        ["./test.png"]
+      )
+      .option(
+        "-s, --scale <size>",
+        "percent scale at which the image should print (1-100)",
+        100
+      )
+      .option(
+        "--test",
+        "Run in test mode and generate dithered images for all algorithms"
+      )
+      .addOption(
+        new Option(
+          "-r, --rotate <mode>",
+          "rotate the image by 90° (auto rotates landscape images)"
+        ).choices(["auto", "yes", "no"])
+      )
+      .addOption(
+        new Option("-a, --algorithm <name>", "dithering algorithm").choices(
+          Object.keys(ALGORITHMS)
+        )
+      )
+      .option(
+        "--matrix-size <n>",
+        "width of the threshold matrix of ORDERED_BAYER (2, 4, 8, 16), BLUE_NOISE (8-128) or EVEN_TONED_SCREENING",
+        parseCount
+      )
+      .option(
+        "--algorithm-option <name=value>",
+        "an option of a plugin algorithm, e.g. cell=8 (repeatable)",
+        parseAlgorithmOptionArg,
+        []
+      )
+      .option(
+        "--seed <n>",
+        "seed for the random numbers of RANDOM, DITHERPUNK and EVEN_BETTER_SCREENING, and the BLUE_NOISE matrix",
+        parseSeed
+      )
+      .option(
+        "--label <WxH>",
+        "print on die-cut labels of this size in mm (e.g. 40x30), feeding to the gap after each",
+        parseLabel
+      )
+      .addOption(
+        new Option(
+          "--fit <mode>",
+          "with --label: fit the image on one label, crop it to one, or split it over several"
+        )
+          .choices(LABEL_FIT_MODES)
+          .default("fit")
+      )
+      .option(
+        "--copies <count>",
+        "print everything this many times",
+        parseCount,
+        1
+      )
+      .addOption(
+        new Option(
+          "--separator <type>",
+          "between files: blank paper, a dashed cut line, or the file name before each"
+        ).choices(SEPARATORS)
+      )
+      .option(
+        "--no-antialias",
+        "with an SVG: render shapes and text with hard edges instead of smoothing them"
+      )
+      .option(
+        "--pages <list>",
+        "with a PDF: the pages to print, e.g. 1,3-4 (default: all)",
+        parsePages
+      )
+      .addOption(
+        new Option(
+          "--levels <mode>",
+          "stretch the tones to the full range (auto) or flatten the histogram (equalize)"
+        ).choices(LEVELS_MODES)
+      )
+      .option(
+        "--brightness <amount>",
+        "lighten (up to 100) or darken (down to -100) the image",
+        parseAdjustmentOption("brightness")
+      )
+      .option(
+        "--contrast <amount>",
+        "raise (up to 100) or lower (down to -100) the contrast",
+        parseAdjustmentOption("contrast")
+      )
+      .option(
+        "--gamma <value>",
+        "above 1 lightens the midtones, below 1 darkens them",
+        parseAdjustmentOption("gamma")
+      )
+      .option(
+        "--sharpen <amount>",
+        "sharpen edges with an unsharp mask of this strength, e.g. 1",
+        parseAdjustmentOption("sharpen")
+      )
+      .option(
+        "--white-point <level>",
+        "print pixels at least this light (0-255) as white, e.g. 240",
+        parseAdjustmentOption("whitePoint")
+      )
+      .option("--invert", "swap black and white")
+      .option(
+        "--sweep <adjustment=values>",
+        "with --test: try each of these values, e.g. gamma=0.8,1,1.4 (repeatable)",
+        parseSweep,
+        []
+      )
+      .option(
+        "--threads <count>",
+        "with --test: dither on this many worker threads",
+        parseCount,
+        DEFAULT_THREADS
+      )
+      .option(
+        "--no-calibration",
+        "don't apply the tone curve saved with the calibrate command"
+      )
+      .option(
+        "--debug-dir <dir>",
+        "write the intermediate images (rotated, resized, dithered) to this directory"
+      )
+  )
+).action(printImageCommand);
+
+addPrinterOptions(
+  program
+    .command("text")
+    .description("print plain text or simple Markdown as a receipt")
+    .argument(
+      "[text...]",
+      "text to print; read from --input or stdin if omitted"
+    )
+    .option("-i, --input <path>", 'read the text from a file ("-" for stdin)')
+    .option(
+      "--font-size <px>",
+      `font size in pixels (${FONT_SIZES.join(", ")})`,
+      parseFontSize,
+      32
+    )
+    .option("--bold", "print the text bold")
+    .addOption(
+      new Option("--align <alignment>", "text alignment")
+        .choices(["left", "center", "right"])
+        .default("left")
+    )
+    .option("--markdown", "render headings, lists and rules")
+).action(printTextCommand);
+
+addLayoutOptions(
+  addCodeOptions(
+    addPrinterOptions(
+      program
+        .command("qr")
+        .description("print a QR code")
+        .argument("<data>", "text or URL to encode")
+        .addOption(
+          new Option(
+            "--error-correction <level>",
+            "how much of the code may be damaged: L (7%), M (15%), Q (25%) or H (30%)"
+          )
+            .choices(QR_ERROR_CORRECTION)
+            .default("M")
+        )
+    )
   )
+).action((data, opts) => printCodeCommand(data, "qr", opts));
+
+addLayoutOptions(
+  addCodeOptions(
+    addPrinterOptions(
+      program
+        .command("barcode")
+        .description("print a Code 128, EAN-13 or DataMatrix code")
+        .argument(
+          "<data>",
+          "data to encode (EAN-13: 12 digits, or 13 with the check digit)"
+        )
+        .addOption(
+          new Option("-t, --type <type>", "symbology")
+            .choices(Object.keys(CODE_TYPES).filter((type) => type !== "qr"))
+            .default("code128")
+        )
+        .option(
+          "--height <mm>",
+          "bar height of Code 128 and EAN-13 barcodes in mm",
+          parseMillimeters,
+          10
+        )
+    )
+  )
+).action((data, opts) => printCodeCommand(data, opts.type, opts));
+
+program
+  .command("status")
+  .description("show the battery level and firmware version of a printer")
+  .option("-d, --device <name>", "bluetooth name of the printer")
   .option(
-    "--test",
-    "Run in test mode and generate dithered images for all algorithms"
-  );
-program.parse(process.argv);
-let { file, scale, test } = program.opts();
+    "-m, --model <model>",
+    "printer model; detected from the device name by default"
+  )
+  .option("-y, --yes", "never prompt")
+  .action(statusCommand);
+
+program
+  .command("settings")
+  .description("change the density, print speed, paper type or auto power-off")
+  .option(
+    "--density <level>",
+    "a level name (e.g. Medium) or a byte value (0-255)",
+    parseDensity
+  )
+  .option(
+    "--speed <speed>",
+    "print speed, 1 (slowest) to 5 (fastest)",
+    parseSpeed
+  )
+  .addOption(
+    new Option(
+      "--paper-type <type>",
+      "continuous paper, labels with gaps or black marks"
+    ).choices(PAPER_TYPES)
+  )
+  .option(
+    "--auto-off <minutes>",
+    "turn off after this many minutes without use (0-255)",
+    parseMinutes
+  )
+  .option("-d, --device <name>", "bluetooth name of the printer")
+  .option(
+    "-m, --model <model>",
+    "printer model; detected from the device name by default"
+  )
+  .option(
+    "-o, --output <path>",
+    'write the settings packet to a file ("-" for stdout) instead of sending it'
+  )
+  .option("-y, --yes", "never prompt")
+  .action(settingsCommand);
 
-if (test) {
-  // In test mode: create the 'test' folder if it doesn't exist.
-  const testFolder = path.join(process.cwd(), "test");
-  if (!existsSync(testFolder)) {
-    mkdirSync(testFolder, { recursive: true });
+program
+  .command("calibrate")
+  .description(
+    "print a gray wedge and save a tone curve for the printer and density from what you read off it"
+  )
+  .option(
+    "--density <level>",
+    "a level name (e.g. Medium) or a byte value (0-255)",
+    parseDensity
+  )
+  .addOption(
+    new Option("-a, --algorithm <name>", "dithering algorithm")
+      .choices(Object.keys(ALGORITHMS))
+      .default(DEFAULT_ALGORITHM)
+  )
+  .option(
+    "--steps <count>",
+    "number of steps in the wedge (3-32)",
+    parseSteps,
+    DEFAULT_STEPS
+  )
+  .option(
+    "--distinct <range>",
+    "the steps you can tell apart from blank paper, black and each other, e.g. 2-8"
+  )
+  .option(
+    "--measured <values>",
+    "the measured darkness of every step in %, e.g. 0,14,31,...,100"
+  )
+  .option("-d, --device <name>", "bluetooth name of the printer")
+  .option(
+    "-m, --model <model>",
+    "printer model; detected from the device name by default"
+  )
+  .option("-p, --paper <mm>", "paper roll width in mm")
+  .option(
+    "-o, --output <path>",
+    'write the print data to a file ("-" for stdout) instead of sending it'
+  )
+  .option("-y, --yes", "never prompt")
+  .action(calibrateCommand);
+
+program
+  .command("decode")
+  .description(
+    "list the commands in a print data file and rebuild the page as a PNG"
+  )
+  .argument("<file>", 'print data, e.g. written with --output ("-" for stdin)')
+  .option(
+    "-o, --output <path>",
+    'where to write the PNG ("-" for stdout); defaults to <file>.png'
+  )
+  .option(
+    "--feed-dots <dots>",
+    "blank rows to draw for every line fed",
+    parsePositiveInteger,
+    0
+  )
+  .option(
+    "--undo-substitution",
+    "draw raster bytes 0x14 as 0x0a, as the image was before encoding"
+  )
+  .action(decodeCommand);
+
+program
+  .command("serve")
+  .description("share the printer over a local HTTP API")
+  .option("--port <port>", "port to listen on", parsePositiveInteger, 8080)
+  .option(
+    "--host <address>",
+    "address to listen on (0.0.0.0 for the whole network)",
+    "127.0.0.1"
+  )
+  .option("-d, --device <name>", "bluetooth name of the printer")
+  .option(
+    "-o, --output <path>",
+    "append the print data of every job to a file instead of printing it"
+  )
+  .option(
+    "-m, --model <model>",
+    "printer model; detected from the device name by default"
+  )
+  .option(
+    "-p, --paper <mm>",
+    "paper roll width in mm; defaults to the model's usual roll"
+  )
+  .option(
+    "--chunk-size <bytes>",
+    "bluetooth payload bytes per packet (default: negotiated MTU - 3)",
+    parsePositiveInteger
+  )
+  .option(
+    "--chunk-delay <ms>",
+    "pause between bluetooth packets written without response",
+    parsePositiveInteger,
+    10
+  )
+  .option(
+    "--with-response",
+    "acknowledge every bluetooth packet (slower, for printers that drop data)"
+  )
+  .option(
+    "--no-calibration",
+    "don't apply the tone curves saved with the calibrate command"
+  )
+  .action(serveCommand);
+
+const queue = program
+  .command("queue")
+  .description("manage the spool of jobs printed with --queue");
+queue
+  .command("list")
+  .description("list the jobs in the spool")
+  .option("--spool <dir>", "spool directory", DEFAULT_SPOOL_DIR)
+  .addOption(
+    new Option("--status <status>", "only list jobs with this status").choices(
+      JOB_STATUSES
+    )
+  )
+  .action(queueListCommand);
+queue
+  .command("retry")
+  .description("put failed or cancelled jobs back in the queue")
+  .argument("[ids...]", "job ids; all failed jobs if omitted")
+  .option("--spool <dir>", "spool directory", DEFAULT_SPOOL_DIR)
+  .action(queueRetryCommand);
+queue
+  .command("cancel")
+  .description("cancel queued or failed jobs")
+  .argument("<ids...>", "job ids")
+  .option("--spool <dir>", "spool directory", DEFAULT_SPOOL_DIR)
+  .action(queueCancelCommand);
+queue
+  .command("run")
+  .description("send the queued jobs, retrying those that fail")
+  .option("--spool <dir>", "spool directory", DEFAULT_SPOOL_DIR)
+  .option(
+    "--retries <count>",
+    "how often to retry a job that can't be sent",
+    parsePositiveInteger,
+    5
+  )
+  .option(
+    "--chunk-size <bytes>",
+    "bluetooth payload bytes per packet (default: negotiated MTU - 3)",
+    parsePositiveInteger
+  )
+  .option(
+    "--chunk-delay <ms>",
+    "pause between bluetooth packets written without response",
+    parsePositiveInteger,
+    10
+  )
+  .option(
+    "--with-response",
+    "acknowledge every bluetooth packet (slower, for printers that drop data)"
+  )
+  .action(queueRunCommand);
+
+await program.parseAsync(process.argv);
+
+// -------------------------
+// Commands
+// -------------------------
+
+// Prints an image file (or renders test images for all algorithms).
+async function printImageCommand(opts) {
+  const { scale, test } = opts;
+  const profile = validateProfile(opts);
+  if (opts.label && opts.model && !profile.commands.includes("label")) {
+    command.error(`error: ${profile.name} does not support label paper`);
+  }
+  if (opts.label && opts.separator) {
+    command.error("error: --separator can't be used with --label");
+  }
+  for (const option of ["align", "margin", "feed"]) {
+    if (opts.label && opts[option]) {
+      command.error(`error: --${option} can't be used with --label`);
+    }
   }
+  validateLayout(opts, profile);
+  let files;
+  try {
+    files = await expandInputs(opts.file);
+  } catch (err) {
+    command.error(`error: ${err.message}`);
+  }
+  const pdfs = new Set();
+  for (const file of files) {
+    if (await isPdf(file).catch(() => false)) {
+      pdfs.add(file);
+    }
+  }
+  if (opts.pages && pdfs.size === 0) {
+    command.error("error: --pages only applies to PDF files");
+  }
+  if (opts.sweep.length > 0 && !test) {
+    command.error("error: --sweep only applies to --test");
+  }
+  const adjust = adjustmentsFromOptions(opts);
 
-  // Loop through all algorithms and generate a test image for each.
-  const algorithms = Object.keys(ALGORITHMS);
-  for (const algo of algorithms) {
-    const outputPath = path.join(testFolder, `${algo}.png`);
-    console.log(`Generating test image using ${algo} algorithm...`);
-    try {
-      const ditheredPath = await makeTestDitheredImage(
-        file,
-        scale,
-        algo,
-        outputPath
+  if (test) {
+    if (files.length > 1) {
+      command.error("error: --test takes a single file");
+    }
+    let [file] = files;
+    // In test mode: create the 'test' folder if it doesn't exist.
+    const testFolder = path.join(process.cwd(), "test");
+    if (!existsSync(testFolder)) {
+      mkdirSync(testFolder, { recursive: true });
+    }
+
+    if (pdfs.has(file)) {
+      // Compare the algorithms on the first selected page.
+      try {
+        const [png] = await renderPdfPages(file, {
+          width: profile.printableWidth,
+          pages: (opts.pages || [1]).slice(0, 1),
+        });
+        file = png;
+      } catch (err) {
+        command.error(`error: cannot read PDF ${file}: ${err.message}`);
+      }
+    }
+
+    // The test images use the calibration of the density that would print.
+    const curve = await loadToneCurve(
+      opts,
+      calibratedPrinter(opts, profile),
+      opts.density ?? DEFAULT_DENSITY
+    );
+
+    // Loop through all algorithms (or the one given) and generate a test
+    // image for each, and for every combination of the swept adjustments.
+    const algorithms = opts.algorithm
+      ? [opts.algorithm]
+      : Object.keys(ALGORITHMS);
+    // The random algorithms share a seed, so the gallery can be reproduced.
+    const seed = algorithms.some((algo) => RANDOM_ALGORITHMS.includes(algo))
+      ? useSeed(opts)
+      : undefined;
+    let variants = [{}];
+    for (const { name, values } of opts.sweep) {
+      variants = variants.flatMap((variant) =>
+        values.map((value) => ({ ...variant, [name]: value }))
       );
-      console.log(`Saved: ${ditheredPath}`);
+    }
+    const jobs = algorithms.flatMap((algo) =>
+      variants.map((variant) => {
+        const suffix = Object.entries(variant)
+          .map(([name, value]) => `--${name}-${value}`)
+          .join("");
+        return {
+          name: `${algo}${suffix}`,
+          input: file,
+          scale,
+          algorithm: algo,
+          outputPath: path.join(testFolder, `${algo}${suffix}.png`),
+          profile,
+          options: {
+            antialias: opts.antialias,
+            adjust: { ...adjust, ...variant },
+            toneCurve: curve,
+            ditherOptions: ditherOptionsFor(algo, opts, {
+              gallery: !opts.algorithm,
+              seed,
+            }),
+            align: opts.align,
+            margin: opts.margin,
+          },
+        };
+      })
+    );
+    const threads = Math.min(opts.threads, jobs.length);
+    console.log(
+      `Generating ${jobs.length} test image(s) on ${threads} thread(s)...`
+    );
+    await runTestJobs(jobs, {
+      threads,
+      onResult: ({ job, outputPath, error }) => {
+        if (error) {
+          console.error(`Error generating ${job.name}:`, error);
+        } else {
+          console.log(`Saved: ${outputPath}`);
+        }
+      },
+    });
+    process.exit(EXIT_OK);
+  }
+
+  requireDestination(opts);
+
+  // Check image dimensions to decide whether to rotate landscape images.
+  // PDFs are rotated as a whole, based on their first selected page.
+  // In a batch, files that can't be read are skipped and reported at the end.
+  const items = [];
+  for (const file of files) {
+    const pdf = pdfs.has(file);
+    try {
+      const dimensions = pdf
+        ? (await getPdfPageSizes(file, opts.pages))[0]
+        : await getImageDimensions(file); // Assumes returns { width, height }
+      items.push({ file, isLandscape: dimensions.width > dimensions.height });
     } catch (err) {
-      console.error(`Error generating ${algo}:`, err);
+      const kind = pdf ? "PDF" : "image";
+      if (files.length === 1) {
+        command.error(`error: cannot read ${kind} ${file}: ${err.message}`);
+      }
+      items.push({
+        file,
+        error: new Error(`cannot read ${kind}: ${err.message}`),
+      });
     }
   }
-  process.exit(0);
-}
-
-// Check image dimensions and optionally rotate if image is in landscape mode.
-const dimensions = await getImageDimensions(file); // Assumes returns { width, height }
-if (dimensions.width > dimensions.height) {
-  // Prompt user if they want to rotate the image.
-  const rotateChoice = await select({
-    message:
-      "The image is wider than it is tall. Rotate image for maximum print size?",
-    choices: [
-      { name: "Yes", value: true },
-      { name: "No", value: false },
-    ],
-    default: "Yes",
-    pageSize: 2,
+  let rotate = opts.rotate;
+  if (!rotate && items.some((item) => item.isLandscape)) {
+    const answer = await ask("--rotate", DEFAULT_ROTATE, () =>
+      // Prompt user if they want to rotate the image.
+      select(
+        {
+          message:
+            items.length > 1
+              ? "Some images are wider than they are tall. Rotate them for maximum print size?"
+              : "The image is wider than it is tall. Rotate image for maximum print size?",
+          choices: [
+            { name: "Yes", value: "yes" },
+            { name: "No", value: "no" },
+          ],
+          default: "yes",
+          pageSize: 2,
+        },
+        promptContext
+      )
+    );
+    // The answer is about the landscape images, portrait ones stay as they are.
+    rotate = answer === "no" ? "no" : "auto";
+  }
+  for (const item of items) {
+    item.rotate = rotate === "yes" || (rotate === "auto" && item.isLandscape);
+  }
+
+  // Create a selection prompt using keys from ALGORITHMS.
+  const algorithmChoice =
+    opts.algorithm ||
+    (await ask("--algorithm", DEFAULT_ALGORITHM, () =>
+      select(
+        {
+          message: "Select dithering algorithm:",
+          choices: Object.keys(ALGORITHMS).map((key) => ({
+            // The key is used as both the display and value.
+            value: key,
+            // Plugin algorithms describe themselves.
+            description: registeredAlgorithm(key)?.description || undefined,
+          })),
+          default: DEFAULT_ALGORITHM,
+          pageSize: Object.keys(ALGORITHMS).length,
+        },
+        promptContext
+      )
+    ));
+
+  const ditherOptions = ditherOptionsFor(algorithmChoice, opts, {
+    seed: RANDOM_ALGORITHMS.includes(algorithmChoice)
+      ? useSeed(opts)
+      : undefined,
   });
-  if (rotateChoice) {
-    // rotateImage should rotate the image 90° (counter-clockwise or clockwise as desired)
-    file = await rotateImage(file);
+
+  const printer = await connectPrinter(opts);
+  const densityLevel = await chooseDensity(opts);
+  const curve = await loadToneCurve(
+    opts,
+    calibratedPrinter(opts, printer.profile, printer.transport),
+    densityLevel
+  );
+
+  const print = (item) =>
+    printer.printImage(item.file, {
+      scale,
+      algorithm: algorithmChoice,
+      rotate: item.rotate,
+      label: opts.label,
+      fit: opts.fit,
+      pages: opts.pages,
+      antialias: opts.antialias,
+      adjust,
+      toneCurve: curve,
+      ditherOptions,
+      align: opts.align,
+      margin: opts.margin,
+      feed: opts.feed,
+      debugDir: opts.debugDir,
+    });
+
+  if (items.length === 1 && opts.copies === 1) {
+    // Dither, encode and write the image, waiting until it's sent.
+    await runPrintJob(printer, densityLevel, async () => {
+      if (opts.separator === "name") {
+        await printer.printSeparator("name", { text: itemName(items[0]) });
+      }
+      await print(items[0]);
+    });
+    await finish(printer, opts, "Did the image print successfully?");
   }
+
+  const results = await printBatch(printer, densityLevel, items, opts, print);
+  const failed = results.filter((result) => result.error).length;
+  if (failed === results.length) {
+    await printer.disconnect().catch(() => {});
+    process.exit(EXIT_PRINT_FAILED);
+  }
+  await finish(
+    printer,
+    opts,
+    "Did the images print successfully?",
+    failed > 0 ? EXIT_PRINT_FAILED : EXIT_OK
+  );
 }
 
-// Create a selection prompt using keys from ALGORITHMS.
-const algorithmChoice = await select({
-  message: "Select dithering algorithm:",
-  choices: Object.keys(ALGORITHMS).map((key) => ({
-    // The key is used as both the display and value.
-    value: key,
-  })),
-  default: "FLOYD_STEINBERG",
-  pageSize: Object.keys(ALGORITHMS).length,
-});
+// The name of a batch item: its file name for --separator name, and its path
+// in messages. Copies are numbered.
+function itemName(item, copy = 1, { path: fullPath = false } = {}) {
+  const { copies } = command.opts();
+  const name = fullPath ? item.file : path.basename(item.file);
+  return copies > 1 ? `${name} (${copy}/${copies})` : name;
+}
 
-// Now that algorithmChoice is defined, pass it in:
-const printableImgPath = await makeDitheredImage(file, scale, algorithmChoice);
-const characteristic = await getDeviceCharacteristicMenu(printableImgPath);
-
-// Prompt the user to select a density level.
-// Soft, Medium, and Strong correspond to different density bytes.
-const densityLevel = await select({
-  message: "Select desired density level:",
-  choices: [
-    { name: "Lowest", value: 0x00 },
-    { name: "Very Soft", value: 0x1a },
-    { name: "Soft", value: 0x33 },
-    { name: "Light", value: 0x4d },
-    { name: "Default", value: 0x5e }, // at least it looks like this value is the default
-    { name: "Medium Soft", value: 0x66 },
-    { name: "Midtone", value: 0x80 },
-    { name: "Medium", value: 0x99 },
-    { name: "Medium Strong", value: 0xb3 },
-    { name: "Strong", value: 0xcc },
-    { name: "Very Strong", value: 0xe6 },
-    { name: "Highest", value: 0xff },
-  ],
-  default: "Default",
-  pageSize: 12,
-});
-if (densityLevel !== 0x5e) {
-  await sendDensityControlPacket(characteristic, densityLevel);
+// Prints every item --copies times (all items, then all of them again) with
+// the --separator in between, over the one connection. Items that fail are
+// skipped. Reports what printed and what failed, and returns the results.
+async function printBatch(printer, densityLevel, items, opts, print) {
+  const results = [];
+  await runPrintJob(printer, densityLevel, async () => {
+    for (let copy = 1; copy <= opts.copies; copy++) {
+      for (const item of items) {
+        const name = itemName(item, copy, { path: true });
+        if (item.error) {
+          // Unreadable files are only reported once.
+          if (copy === 1) {
+            results.push({ name: item.file, error: item.error });
+          }
+          continue;
+        }
+        log(`Printing ${name}...`);
+        try {
+          if (opts.separator === "name") {
+            const text = itemName(item, copy);
+            await printer.printSeparator("name", { text });
+          } else if (opts.separator && results.some((r) => !r.error)) {
+            await printer.printSeparator(opts.separator);
+          }
+          await print(item);
+          results.push({ name });
+        } catch (err) {
+          log(`error: ${name}: ${err.message}`);
+          results.push({ name, error: err });
+        }
+      }
+    }
+  });
+
+  const failed = results.filter((result) => result.error);
+  log("Summary:");
+  for (const result of results) {
+    log(
+      result.error
+        ? `  failed   ${result.name}: ${result.error.message}`
+        : `  printed  ${result.name}`
+    );
+  }
+  const printed = results.length - failed.length;
+  log(`${printed} printed, ${failed.length} failed.`);
+  return results;
+}
+
+// Renders text (or simple Markdown) and prints it.
+async function printTextCommand(words, opts) {
+  validateProfile(opts);
+  requireDestination(opts);
+
+  let text;
+  if (words.length > 0) {
+    text = words.join(" ");
+  } else if (opts.input && opts.input !== "-") {
+    try {
+      text = readFileSync(opts.input, "utf8");
+    } catch (err) {
+      command.error(`error: cannot read ${opts.input}: ${err.message}`);
+    }
+  } else if (opts.input === "-" || !process.stdin.isTTY) {
+    text = readFileSync(process.stdin.fd, "utf8");
+  } else {
+    command.error(
+      "error: no text given (pass it as arguments, --input or stdin)"
+    );
+  }
+  if (text.trim().length === 0) {
+    command.error("error: the text is empty");
+  }
+
+  const printer = await connectPrinter(opts);
+  const densityLevel = await chooseDensity(opts);
+
+  await runPrintJob(printer, densityLevel, () =>
+    printer.printText(text, {
+      fontSize: opts.fontSize,
+      bold: opts.bold,
+      align: opts.align,
+      markdown: opts.markdown,
+    })
+  );
+
+  await finish(printer, opts, "Did the text print successfully?");
 }
-// ---------------------------------------------------------
 
-const data = await getPrintDataFromPort(printableImgPath);
+// Prints a QR code, DataMatrix code or barcode.
+async function printCodeCommand(data, type, opts) {
+  validateLayout(opts, validateProfile(opts));
+  requireDestination(opts);
+  // Check the data before connecting, so a typo doesn't cost a connection.
+  try {
+    encodeCode(data, type, { errorCorrection: opts.errorCorrection });
+  } catch (err) {
+    command.error(`error: ${err.message}`);
+  }
+
+  const printer = await connectPrinter(opts);
+  const densityLevel = await chooseDensity(opts);
+  const { dpi } = printer.profile;
+
+  await runPrintJob(printer, densityLevel, () =>
+    printer.printCode(data, {
+      type,
+      moduleSize: opts.module,
+      barHeight: opts.height && Math.round((opts.height / 25.4) * dpi),
+      caption: opts.caption,
+      errorCorrection: opts.errorCorrection,
+      align: opts.align,
+      margin: opts.margin,
+      feed: opts.feed,
+    })
+  );
 
-// Write print data and wait until it's sent.
-await new Promise((resolve, reject) => {
-  characteristic.write(Buffer.from(data), true, (err) => {
-    if (err) {
-      return reject(err);
+  await finish(printer, opts, "Did the code print successfully?");
+}
+
+// Queries and prints the printer's battery level and firmware version.
+async function statusCommand(opts) {
+  validateProfile(opts);
+  requireDestination(opts);
+  const printer = await connectPrinter(opts);
+  if (!printer.canReportStatus) {
+    console.error("error: the printer does not send status notifications");
+    await printer.disconnect().catch(() => {});
+    process.exit(EXIT_FAILURE);
+  }
+  try {
+    const battery = await printer.queryBattery();
+    const firmware = await printer.queryFirmware();
+    console.log(`Battery: ${battery}%`);
+    console.log(`Firmware: ${firmware}`);
+  } catch (err) {
+    console.error(`error: ${err.message}`);
+    await printer.disconnect().catch(() => {});
+    process.exit(EXIT_FAILURE);
+  }
+  await printer.disconnect();
+  process.exit(EXIT_OK);
+}
+
+// Sends a settings packet with the settings given on the command line.
+async function settingsCommand(opts) {
+  validateProfile(opts);
+  const settings = {
+    density: opts.density,
+    speed: opts.speed,
+    paper: opts.paperType,
+    autoOff: opts.autoOff,
+  };
+  if (Object.values(settings).every((value) => value === undefined)) {
+    command.error(
+      "error: give at least one of --density, --speed, --paper-type and --auto-off"
+    );
+  }
+  let packet;
+  try {
+    packet = buildSettingsPacket(settings);
+  } catch (err) {
+    command.error(`error: ${err.message}`);
+  }
+  requireDestination(opts);
+  const printer = await connectPrinter(opts);
+  log(
+    `Settings packet: ${packet.toString("hex").replace(/(..)(?!$)/g, "$1 ")}`
+  );
+  try {
+    await printer.applySettings(settings);
+  } catch (err) {
+    console.error(`error: ${err.message}`);
+    await printer.disconnect().catch(() => {});
+    process.exit(EXIT_FAILURE);
+  }
+  log("Settings sent.");
+  await printer.disconnect();
+  process.exit(EXIT_OK);
+}
+
+// Prints a gray wedge, then saves the darkness the user read off it as the
+// calibration of the printer at that density.
+async function calibrateCommand(opts) {
+  validateProfile(opts);
+  if (opts.distinct && opts.measured) {
+    command.error("error: give either --distinct or --measured");
+  }
+  let darkness = null;
+  try {
+    if (opts.distinct) {
+      darkness = parseDistinctSteps(opts.distinct, opts.steps);
+    } else if (opts.measured) {
+      darkness = parseMeasuredSteps(opts.measured, opts.steps);
     }
-    resolve();
+  } catch (err) {
+    command.error(`error: ${err.message}`);
+  }
+  if (!darkness && !interactive) {
+    command.error(
+      "error: --distinct or --measured is required when stdin is not a TTY or with --yes"
+    );
+  }
+  requireDestination(opts);
+
+  const printer = await connectPrinter(opts);
+  const densityLevel = await chooseDensity(opts);
+  const { name } = printer.profile;
+  const key = calibratedPrinter(opts, printer.profile, printer.transport);
+  const density = `0x${densityLevel.toString(16).padStart(2, "0")}`;
+  const wedge = await renderWedge(printer.profile, {
+    steps: opts.steps,
+    title: `${name}, density ${density}, ${opts.algorithm}`,
   });
-});
+  // The wedge shows how the printer prints without a tone curve.
+  await runPrintJob(printer, densityLevel, () =>
+    printer.printImage(wedge, { algorithm: opts.algorithm })
+  );
+  await printer.disconnect();
+
+  if (!darkness) {
+    const last = opts.steps - 1;
+    const answer = await input(
+      {
+        message: `Which steps can you tell apart from blank paper, black and each other (e.g. 2-${last})? Or enter the darkness of every step in % (0,12,...,100):`,
+        validate: (value) => {
+          try {
+            parseCalibration(value, opts.steps);
+            return true;
+          } catch (err) {
+            return err.message;
+          }
+        },
+      },
+      promptContext
+    );
+    darkness = parseCalibration(answer, opts.steps);
+  }
 
-console.log("Print data sent.");
+  try {
+    await saveCalibration(key, densityLevel, darkness);
+  } catch (err) {
+    console.error(`error: ${err.message}`);
+    process.exit(EXIT_FAILURE);
+  }
+  log(`Saved the calibration for ${key} at density ${density}.`);
+  const midtone = Math.round(100 - toneCurve(darkness)[128] / 2.55);
+  log(`50% gray is now dithered as ${midtone}% gray.`);
+  process.exit(EXIT_OK);
+}
 
-// Prompt the user to confirm that the image printed successfully.
-const printedOk = await confirm({
-  message: "Did the image print successfully?",
-});
+// Lists the commands in a print data file and writes the page it prints.
+async function decodeCommand(file, opts) {
+  let data;
+  try {
+    data = readFileSync(file === "-" ? process.stdin.fd : file);
+  } catch (err) {
+    command.error(`error: cannot read ${file}: ${err.message}`);
+  }
+  const { commands, width, height, png } = await decodePrintData(data, {
+    feedLineDots: opts.feedDots,
+    undoSubstitution: opts.undoSubstitution,
+  });
+  for (const { offset, bytes, description } of commands) {
+    const position = offset.toString(16).padStart(6, "0");
+    log(`${position}  ${bytes.padEnd(24)}  ${description}`);
+  }
+  if (!png) {
+    console.error("error: the file contains no raster data");
+    process.exit(EXIT_FAILURE);
+  }
+  const output = opts.output || (file === "-" ? "-" : `${file}.png`);
+  if (output === "-") {
+    process.stdout.write(png);
+  } else {
+    writeFileSync(output, png);
+    log(`Saved ${width}x${height} page: ${output}`);
+  }
+  process.exit(EXIT_OK);
+}
 
-if (selectedPeripheral) {
-  // Disconnect from the Bluetooth device.
-  await selectedPeripheral.disconnectAsync();
+// Connects to the printer once and serves print jobs until stopped.
+async function serveCommand(opts) {
+  validateProfile(opts);
+  requireDestination(opts);
+  const printer = await connectPrinter(opts);
+  const server = createPrintServer(printer, {
+    log,
+    calibrationFile: opts.calibration ? DEFAULT_CALIBRATION_FILE : null,
+  });
+  server.on("error", (err) => {
+    console.error(`error: ${err.message}`);
+    process.exit(EXIT_FAILURE);
+  });
+  server.listen(opts.port, opts.host, () => {
+    log(`Listening on http://${opts.host}:${opts.port}`);
+  });
+  const stop = async () => {
+    server.close();
+    await printer.disconnect().catch(() => {});
+    process.exit(EXIT_OK);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+// Lists the spooled jobs, oldest first.
+async function queueListCommand(opts) {
+  const jobs = await new Spool(opts.spool).list({ status: opts.status });
+  if (jobs.length === 0) {
+    log("The queue is empty.");
+  }
+  for (const job of jobs) {
+    const attempts = `${job.attempts} attempt${job.attempts === 1 ? "" : "s"}`;
+    const details = [
+      job.device,
+      job.source,
+      job.seed != null && `seed ${job.seed}`,
+      `${job.size} bytes`,
+      attempts,
+    ];
+    log(
+      `${job.id}  ${job.status.padEnd(9)}  ${details
+        .filter(Boolean)
+        .join(", ")}`
+    );
+    if (job.lastError) {
+      log(`    last error: ${job.lastError}`);
+    }
+  }
+  process.exit(EXIT_OK);
 }
 
-if (printedOk) {
-  console.log("Printing confirmed. Exiting.");
-  process.exit(0);
-} else {
-  console.log("Printing not confirmed. Exiting anyway.");
-  process.exit(1);
+// Requeues the given jobs, or every failed one.
+async function queueRetryCommand(ids, opts) {
+  const spool = new Spool(opts.spool);
+  if (ids.length === 0) {
+    ids = (await spool.list({ status: "failed" })).map((job) => job.id);
+    if (ids.length === 0) {
+      log("No failed jobs.");
+    }
+  }
+  const ok = await updateJobs(ids, (id) => spool.retry(id), "queued again");
+  if (ids.length > 0) {
+    log("Send them with: queue run");
+  }
+  process.exit(ok ? EXIT_OK : EXIT_FAILURE);
+}
+
+// Cancels the given jobs.
+async function queueCancelCommand(ids, opts) {
+  const spool = new Spool(opts.spool);
+  const ok = await updateJobs(ids, (id) => spool.cancel(id), "cancelled");
+  process.exit(ok ? EXIT_OK : EXIT_FAILURE);
+}
+
+// Applies a change to every job. Returns false if any of them failed.
+async function updateJobs(ids, change, done) {
+  let ok = true;
+  for (const id of ids) {
+    try {
+      await change(id);
+      log(`Job ${id}: ${done}`);
+    } catch (err) {
+      console.error(`error: ${err.message}`);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// Sends the queued jobs, exiting with EXIT_PRINT_FAILED if any failed.
+async function queueRunCommand(opts) {
+  const { done, failed, locked } = await processQueue(new Spool(opts.spool), {
+    retries: opts.retries,
+    printerOptions: getBleOptions(opts),
+    log,
+  });
+  log(`${done.length} job(s) sent, ${failed.length} failed.`);
+  if (locked) {
+    log("Another process is sending the queue, it sends the remaining jobs.");
+  }
+  process.exit(failed.length > 0 ? EXIT_PRINT_FAILED : EXIT_OK);
 }
 
 // -------------------------
 // Helper Functions
 // -------------------------
 
-// Returns a promise that resolves after a given number of ms.
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// Adds the options every printing command shares.
+function addPrinterOptions(cmd) {
+  const modelNames = Object.keys(MODELS).join(", ");
+  const paperNames = Object.keys(PAPERS).join(", ");
+  return cmd
+    .option(
+      "-m, --model <model>",
+      `printer model (${modelNames}); detected from the device name by default`
+    )
+    .option(
+      "-p, --paper <mm>",
+      `paper roll width in mm (${paperNames}); defaults to the model's usual roll`
+    )
+    .option(
+      "-o, --output <path>",
+      'write the print data to a file ("-" for stdout) instead of sending it over bluetooth'
+    )
+    .option("-d, --device <name>", "bluetooth name of the printer")
+    .addOption(
+      new Option(
+        "--dry-run [png]",
+        `prepare the print without a printer: save the final bitmap (default: ${DEFAULT_DRY_RUN_PATH}) and preview it`
+      ).conflicts(["output", "device"])
+    )
+    .addOption(
+      new Option("--preview <mode>", "terminal preview for --dry-run")
+        .choices([...PREVIEW_MODES, "none"])
+        .default("braille")
+    )
+    .addOption(
+      new Option(
+        "--queue",
+        "store the job in the spool before sending it, and retry it if sending fails"
+      ).conflicts(["output", "dryRun"])
+    )
+    .option(
+      "--density <level>",
+      "print density: a level name (e.g. Medium) or a byte value (0-255, 0x00-0xff)",
+      parseDensity
+    )
+    .option(
+      "--chunk-size <bytes>",
+      "bluetooth payload bytes per packet (default: negotiated MTU - 3)",
+      parsePositiveInteger
+    )
+    .option(
+      "--chunk-delay <ms>",
+      "pause between bluetooth packets written without response",
+      parsePositiveInteger,
+      10
+    )
+    .option(
+      "--with-response",
+      "acknowledge every bluetooth packet (slower, for printers that drop data)"
+    )
+    .option("--spool <dir>", "spool directory for --queue", DEFAULT_SPOOL_DIR)
+    .option(
+      "--retries <count>",
+      "with --queue: how often to retry a job that can't be sent",
+      parsePositiveInteger,
+      5
+    )
+    .option(
+      "--status-timeout <ms>",
+      "how long to wait for the printer to report the job complete",
+      parsePositiveInteger,
+      10000
+    )
+    .option("--no-confirm", "don't ask whether the print succeeded")
+    .option(
+      "-y, --yes",
+      "never prompt: use defaults for missing options and skip the confirmation"
+    );
+}
+
+// Validates the model and paper before doing any work.
+function validateProfile({ model, paper }) {
+  try {
+    return resolveProfile(model || DEFAULT_MODEL, paper);
+  } catch (err) {
+    command.error(`error: ${err.message}`);
+  }
+}
+
+// Checks that the --margin leaves room on the paper of the profile.
+function validateLayout({ align, margin }, profile) {
+  try {
+    resolveLayout({ align, margin }, profile);
+  } catch (err) {
+    command.error(`error: ${err.message}`);
+  }
+}
+
+// Adds the options the qr and barcode commands share.
+function addCodeOptions(cmd) {
+  return cmd
+    .option(
+      "--module <dots>",
+      "size of the smallest square or bar in printer dots (default: the largest that fits, at most 1mm)",
+      parseModuleSize
+    )
+    .option(
+      "--caption [text]",
+      "print a caption under the code (default: the encoded data)"
+    );
+}
+
+// Adds the options that place the print on the paper (see layout.js).
+function addLayoutOptions(cmd) {
+  return cmd
+    .addOption(
+      new Option(
+        "--align <alignment>",
+        "where the print goes on the paper (default: right)"
+      ).choices(ALIGNMENTS)
+    )
+    .option(
+      "--margin <lengths>",
+      "margins in mm or dots: all sides, top/bottom,left/right or top,right,bottom,left (e.g. 2 or 2,4 or 0,16dots)",
+      parseMarginOption
+    )
+    .option(
+      "--feed <length>",
+      "blank paper fed after the print in mm or dots, e.g. 5 or 40dots (default: 4 lines)",
+      parseFeed
+    );
+}
+
+// Without prompts there is no device menu, so a destination must be given.
+function requireDestination({ output, device, dryRun, queue }) {
+  if (queue && !device) {
+    // The job is stored with the name of the printer it goes to.
+    command.error("error: --queue needs the printer's --device name");
+  }
+  if (!output && !device && !dryRun && !interactive) {
+    command.error(
+      "error: --device (or --output) is required when not running interactively"
+    );
+  }
+}
+
+// Returns the answer for a setting that wasn't given on the command line:
+// the default with --yes, the prompt's answer when interactive,
+// and a usage error otherwise.
+async function ask(flag, defaultValue, prompt) {
+  if (command.opts().yes) {
+    return defaultValue;
+  }
+  if (!interactive) {
+    command.error(
+      `error: ${flag} is required when stdin is not a TTY (or pass --yes to use the default)`
+    );
+  }
+  return prompt();
+}
+
+// Parses --density: either the name of a DENSITY_LEVELS entry
+// (case and spaces don't matter) or a byte value in decimal or hex.
+function parseDensity(value) {
+  try {
+    return parseDensityValue(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+// Parses options like --chunk-size as a whole number (0 is allowed).
+function parsePositiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new InvalidArgumentError("Use a whole number.");
+  }
+  return number;
+}
+
+// Parses --label as a label size in mm.
+function parseLabel(value) {
+  try {
+    return parseLabelSize(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+// Parses counts like --copies as a whole number, at least 1.
+function parseCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new InvalidArgumentError("Use a whole number (1 or more).");
+  }
+  return count;
+}
+
+// The options of the algorithm given on the command line, --matrix-size and
+// --seed (see validateDitherOptions in dithering.js). Exits if one doesn't
+// apply. In the --test gallery, they only go to the algorithms that take
+// them. `seed` seeds the random algorithms when --seed isn't given.
+function ditherOptionsFor(algorithm, opts, { gallery = false, seed } = {}) {
+  const options = {};
+  if (
+    opts.matrixSize !== undefined &&
+    (!gallery || MATRIX_ALGORITHMS.includes(algorithm))
+  ) {
+    options.matrixSize = opts.matrixSize;
+  }
+  if (
+    opts.seed !== undefined &&
+    (!gallery || SEEDED_ALGORITHMS.includes(algorithm))
+  ) {
+    options.seed = opts.seed;
+  } else if (seed !== undefined && RANDOM_ALGORITHMS.includes(algorithm)) {
+    options.seed = seed;
+  }
+  const plugin = registeredAlgorithm(algorithm);
+  for (const { name, value } of opts.algorithmOption ?? []) {
+    if (gallery && !plugin?.options[name]) {
+      continue;
+    }
+    if (!plugin) {
+      command.error(
+        `error: --algorithm-option only applies to plugin algorithms, not ${algorithm}`
+      );
+    }
+    try {
+      options[name] = parseAlgorithmOption(algorithm, name, value);
+    } catch (err) {
+      command.error(`error: ${err.message}`);
+    }
+  }
+  try {
+    validateDitherOptions(algorithm, options);
+  } catch (err) {
+    command.error(`error: ${err.message}`);
+  }
+  return options;
+}
+
+// Returns --seed, or picks a new seed and stores it in opts, so the job is
+// spooled with it. Logs it either way, so the print can be reproduced.
+function useSeed(opts) {
+  if (opts.seed === undefined) {
+    opts.pickedSeed = randomSeed();
+  }
+  const seed = opts.seed ?? opts.pickedSeed;
+  log(`Dithering with seed ${seed} (reproduce it with --seed ${seed}).`);
+  return seed;
+}
+
+// Parses --algorithm-option as NAME=VALUE; the value is checked once the
+// algorithm is known (see ditherOptionsFor).
+function parseAlgorithmOptionArg(value, previous) {
+  const match = value.match(/^\s*(\w+)\s*=(.*)$/);
+  if (!match) {
+    throw new InvalidArgumentError("Use NAME=VALUE, e.g. cell=8.");
+  }
+  const [, name, optionValue] = match;
+  return [
+    ...previous.filter((option) => option.name !== name),
+    { name, value: optionValue.trim() },
+  ];
+}
+
+// Registers the algorithms of the plugin directory and of every
+// --algorithm-module in the arguments. A broken plugin in the directory is
+// skipped with a warning; a broken --algorithm-module is a usage error.
+async function loadPlugins(argv) {
+  await loadPluginDir(DEFAULT_PLUGIN_DIR, {
+    onError: (err) => console.error(`warning: ${err.message}`),
+  });
+  const modules = [];
+  for (const [i, arg] of argv.entries()) {
+    if (arg === "--algorithm-module" && i + 1 < argv.length) {
+      modules.push(argv[i + 1]);
+    } else if (arg.startsWith("--algorithm-module=")) {
+      modules.push(arg.slice("--algorithm-module=".length));
+    }
+  }
+  for (const modulePath of modules) {
+    try {
+      await loadAlgorithmModule(modulePath);
+    } catch (err) {
+      console.error(`error: ${err.message}`);
+      process.exit(EXIT_USAGE);
+    }
+  }
+}
+
+// Parses --seed as a whole number, 0 to MAX_SEED.
+function parseSeed(value) {
+  const seed = Number(value);
+  if (!/^\d+$/.test(value.trim()) || seed > MAX_SEED) {
+    throw new InvalidArgumentError(`Use a whole number from 0 to ${MAX_SEED}.`);
+  }
+  return seed;
+}
+
+// Parses --steps as a whole number of wedge steps, 3 to 32.
+function parseSteps(value) {
+  const steps = Number(value);
+  if (!Number.isInteger(steps) || steps < 3 || steps > 32) {
+    throw new InvalidArgumentError("Use a whole number from 3 to 32.");
+  }
+  return steps;
+}
+
+// Parses --module as a whole number of dots, at least 1.
+function parseModuleSize(value) {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1) {
+    throw new InvalidArgumentError("Use a whole number of dots (1 or more).");
+  }
+  return size;
+}
+
+// Parses lengths like --height as a positive number of mm.
+function parseMillimeters(value) {
+  const mm = Number(value);
+  if (!Number.isFinite(mm) || mm <= 0) {
+    throw new InvalidArgumentError("Use a positive number of mm.");
+  }
+  return mm;
+}
+
+// Parses --pages as a list of PDF page numbers.
+function parsePages(value) {
+  try {
+    return parsePageRanges(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+// Returns the parser for an adjustment option like --gamma (see adjust.js).
+function parseAdjustmentOption(name) {
+  return (value) => {
+    try {
+      return parseAdjustment(name, value);
+    } catch (err) {
+      throw new InvalidArgumentError(err.message);
+    }
+  };
+}
+
+// Parses one --sweep, e.g. "gamma=0.8,1,1.4", adding it to the earlier ones.
+// Names can be given like the options, e.g. white-point for whitePoint.
+function parseSweep(value, previous) {
+  const match = value.match(/^\s*([\w-]+)\s*=(.+)$/);
+  const name =
+    match && match[1].replace(/-(\w)/g, (_, char) => char.toUpperCase());
+  if (!match || !ADJUSTMENTS.includes(name)) {
+    const names = ADJUSTMENTS.join(", ");
+    throw new InvalidArgumentError(
+      `Use ADJUSTMENT=VALUES, e.g. gamma=0.8,1,1.4 (adjustments: ${names}).`
+    );
+  }
+  try {
+    const values = match[2]
+      .split(",")
+      .map((v) => parseAdjustment(name, v.trim()));
+    return [
+      ...previous.filter((sweep) => sweep.name !== name),
+      { name, values },
+    ];
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+// The tone adjustments given on the command line (see adjust.js).
+function adjustmentsFromOptions(opts) {
+  return {
+    levels: opts.levels,
+    brightness: opts.brightness,
+    contrast: opts.contrast,
+    gamma: opts.gamma,
+    sharpen: opts.sharpen,
+    whitePoint: opts.whitePoint,
+    invert: opts.invert || undefined,
+  };
+}
+
+// Parses --margin as one, two or four lengths (see parseMargin).
+function parseMarginOption(value) {
+  try {
+    return parseMargin(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+// Parses --feed as a length in mm or dots.
+function parseFeed(value) {
+  try {
+    return parseLength(value);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+}
+
+// Parses --speed as a whole number from 1 to 5.
+function parseSpeed(value) {
+  const speed = Number(value);
+  if (!Number.isInteger(speed) || speed < 1 || speed > 5) {
+    throw new InvalidArgumentError("Use a whole number from 1 to 5.");
+  }
+  return speed;
+}
+
+// Parses --auto-off as a whole number of minutes that fits in a byte.
+function parseMinutes(value) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 0xff) {
+    throw new InvalidArgumentError("Use a whole number of minutes (0-255).");
+  }
+  return minutes;
+}
+
+// Parses --font-size as a positive number of pixels.
+function parseFontSize(value) {
+  const size = Number(value);
+  if (!Number.isFinite(size) || size <= 0) {
+    throw new InvalidArgumentError("Use a positive number of pixels.");
+  }
+  return size;
+}
+
+// Connects to the printer given by --output or --device, or picked from the
+// device menu. Exits when no printer can be used.
+async function connectPrinter(opts) {
+  const { output, device, model, paper } = opts;
+  const bleOptions = getBleOptions(opts);
+  let printer;
+  try {
+    if (opts.dryRun || opts.queue) {
+      // Keep the print data in memory, finish() previews or spools it.
+      printer = new PhomemoPrinter({
+        transport: new MemoryTransport(),
+        model: model || detectModel(device),
+        paper,
+      });
+      await printer.connect();
+    } else if (output) {
+      // Dump the exact bytes instead of printing them.
+      printer = new PhomemoPrinter({
+        transport: new FileTransport(output),
+        model,
+        paper,
+      });
+      await printer.connect();
+    } else if (device) {
+      printer = new PhomemoPrinter({
+        name: device,
+        model,
+        paper,
+        ...bleOptions,
+      });
+      log(`Connecting to ${device}...`);
+      await printer.connect();
+    } else {
+      printer = await getPrinterMenu({ model, paper, ...bleOptions });
+      if (!printer) {
+        // The user opted to quit.
+        process.exit(EXIT_CANCELLED);
+      }
+    }
+  } catch (err) {
+    console.error(`error: ${err.message}`);
+    process.exit(EXIT_CONNECTION_FAILED);
+  }
+  const { profile } = printer;
+  log(`Using profile: ${profile.name}, ${profile.paper}mm paper`);
+  return printer;
+}
+
+// Bluetooth write options from --chunk-size, --chunk-delay and --with-response.
+function getBleOptions(opts) {
+  return {
+    chunkSize: opts.chunkSize || undefined,
+    chunkDelay: opts.chunkDelay,
+    withResponse: opts.withResponse ? true : "auto",
+  };
+}
+
+// Returns the density from --density, or asks for it.
+async function chooseDensity(opts) {
+  if (opts.density !== undefined) {
+    return opts.density;
+  }
+  if (opts.dryRun) {
+    // The density doesn't change the bitmap, so don't ask for it.
+    return DEFAULT_DENSITY;
+  }
+  // Prompt the user to select a density level.
+  return ask("--density", DEFAULT_DENSITY, () =>
+    select(
+      {
+        message: "Select desired density level:",
+        choices: DENSITY_LEVELS,
+        default: DEFAULT_DENSITY,
+        pageSize: 12,
+      },
+      promptContext
+    )
+  );
+}
+
+// The key of the printer calibrations are saved for (see calibrationKey):
+// the Bluetooth name of the printer, or --device when the print data is
+// previewed or queued for it, or else the model, e.g. with --output.
+function calibratedPrinter(opts, profile, transport = null) {
+  const device = opts.output
+    ? null
+    : transport?.deviceName || opts.device || null;
+  return calibrationKey({ device, model: profile.name });
+}
+
+// Loads the tone curve saved by the calibrate command for the printer (see
+// calibratedPrinter) and density, unless --no-calibration is given.
+async function loadToneCurve(opts, printer, densityLevel) {
+  if (!opts.calibration) {
+    return null;
+  }
+  let calibration;
+  try {
+    calibration = await loadCalibration(printer, densityLevel);
+  } catch (err) {
+    command.error(`error: ${err.message}`);
+  }
+  if (!calibration) {
+    return null;
+  }
+  const density = `0x${densityLevel.toString(16).padStart(2, "0")}`;
+  log(`Using the calibration for ${printer} at density ${density}.`);
+  return toneCurve(calibration.darkness);
+}
+
+// Sets the density and runs the print, exiting if either fails.
+async function runPrintJob(printer, densityLevel, print) {
+  try {
+    if (densityLevel !== DEFAULT_DENSITY) {
+      await printer.setDensity(densityLevel);
+      const hex = densityLevel.toString(16);
+      log(`Density control packet sent with density: 0x${hex}`);
+    }
+    await print();
+  } catch (err) {
+    console.error(`error: ${err.message}`);
+    await printer.disconnect().catch(() => {});
+    process.exit(EXIT_PRINT_FAILED);
+  }
+  const { dryRun, queue } = command.opts();
+  log(dryRun || queue ? "Print data prepared." : "Print data sent.");
+}
+
+// Waits for the printer to report the job complete, or optionally asks
+// whether the print worked if it can't. Then disconnects and exits, with
+// `exitCode` if everything worked (a batch passes EXIT_PRINT_FAILED when
+// some of its items failed).
+async function finish(printer, opts, question, exitCode = EXIT_OK) {
+  if (opts.dryRun) {
+    await showDryRun(printer, opts);
+    await printer.disconnect();
+    process.exit(exitCode);
+  }
+  if (opts.queue) {
+    await spoolAndSend(printer, opts, exitCode);
+  }
+  if (!opts.output && printer.canReportStatus) {
+    let printed;
+    try {
+      printed = await printer.waitForCompletion({
+        timeout: opts.statusTimeout,
+      });
+    } catch (err) {
+      // Paper out, cover open or overheated while printing.
+      console.error(`error: ${err.message}`);
+      await printer.disconnect().catch(() => {});
+      process.exit(EXIT_PRINT_FAILED);
+    }
+    if (printed) {
+      log("Printing complete.");
+      await printer.disconnect();
+      process.exit(exitCode);
+    }
+    log("The printer did not report the job complete.");
+  }
+  if (opts.output || !opts.confirm || !interactive) {
+    await printer.disconnect();
+    process.exit(exitCode);
+  }
+
+  // Prompt the user to confirm that the print succeeded.
+  const printedOk = await confirm({ message: question }, promptContext);
+
+  // Disconnect from the Bluetooth device.
+  await printer.disconnect();
+
+  if (printedOk) {
+    console.log("Printing confirmed. Exiting.");
+    process.exit(exitCode);
+  } else {
+    console.log("Printing not confirmed. Exiting anyway.");
+    process.exit(EXIT_FAILURE);
+  }
+}
+
+// Stores the prepared job in the spool, then sends every queued job.
+// Exits with EXIT_PRINT_FAILED if this job fails after all its retries.
+async function spoolAndSend(printer, opts, exitCode = EXIT_OK) {
+  const spool = new Spool(opts.spool);
+  const job = await spool.add(printer.transport.data, {
+    device: opts.device,
+    model: printer.profile.model,
+    paper: printer.profile.paper,
+    source: opts.file ? opts.file.join(", ") : opts.input || null,
+    seed: opts.seed ?? opts.pickedSeed ?? null,
+  });
+  log(`Queued job ${job.id}`);
+  const { done, failed, locked } = await processQueue(spool, {
+    retries: opts.retries,
+    completionTimeout: opts.statusTimeout,
+    printerOptions: getBleOptions(opts),
+    log,
+  });
+  if (locked && !done.includes(job.id) && !failed.includes(job.id)) {
+    log(`Another process is sending the queue, it sends job ${job.id}.`);
+  }
+  if (failed.includes(job.id)) {
+    const { lastError } = await spool.get(job.id);
+    console.error(`error: ${lastError}`);
+    console.error(
+      `The job stays in the spool, retry it with: queue retry ${job.id}`
+    );
+    process.exit(EXIT_PRINT_FAILED);
+  }
+  process.exit(exitCode);
+}
+
+// Saves the bitmap the dry run would have printed, reports its size and
+// shows it in the terminal.
+async function showDryRun(printer, opts) {
+  const { profile } = printer;
+  const outputPath =
+    typeof opts.dryRun === "string" ? opts.dryRun : DEFAULT_DRY_RUN_PATH;
+  // Labels are drawn with a 2mm gap between them.
+  const gapDots = Math.round((2 / 25.4) * profile.dpi);
+  const { commands, width, height, png } = await decodePrintData(
+    printer.transport.data,
+    { gapDots }
+  );
+  writeFileSync(outputPath, png);
+  log(`Saved: ${outputPath}`);
+
+  const size = pageSizeInMm(width, height, profile);
+  const mmWidth = size.width.toFixed(1);
+  const mmHeight = size.height.toFixed(1);
+  const printable = pageSizeInMm(profile.printableWidth, 0, profile);
+  log(
+    `Size: ${width} x ${height} dots, ${mmWidth} x ${mmHeight} mm at ${profile.dpi} dpi ` +
+      `(printable width ${printable.width.toFixed(1)} mm)`
+  );
+  const labels = commands.filter((cmd) => cmd.type === "gapFeed").length;
+  if (labels > 0) {
+    log(`Labels: ${labels} (the size includes the gaps between them)`);
+  } else {
+    log(`Print length: ${mmHeight} mm`);
+  }
+
+  if (opts.preview !== "none") {
+    const columns = Math.max(20, (process.stdout.columns || 80) - 1);
+    log(renderPreview(png, { columns, mode: opts.preview }));
+  }
 }
 
 // This function scans for nearby Bluetooth devices and presents
 // an interactive menu to select a valid Bluetooth printer.
-// It keeps scanning until a writable device is found or the user quits.
-async function getDeviceCharacteristicMenu(printableImgPath) {
+// It keeps scanning until a connected printer is returned,
+// or returns null if the user quits.
+// The options are passed on to PhomemoPrinter.
+async function getPrinterMenu(printerOptions) {
   let scanDurationInMs = 5000;
   do {
-    await scanDevices(scanDurationInMs);
-    const choice = await selectDevice();
+    const discoveredDevices = await scanDevicesWithSpinner(scanDurationInMs);
+    const choice = await selectDevice(discoveredDevices);
 
     if (choice === SCAN_AGAIN_SELECTION) {
       // If the user chooses to scan again, increase the scan duration.
       scanDurationInMs = 10000;
-      scanDevices();
     } else if (choice == QUIT_SELECTION) {
-      // Exit the process if the user opts to quit.
-      process.exit();
+      return null;
     } else {
-      // Retrieve the selected peripheral device.
-      let peripheral = discoveredDevices[choice];
-      // Attempt to get a characteristic that we can write to.
-      const characteristic = await getWritableCharacteristic(peripheral);
-
-      if (!characteristic) {
+      // Connect to the selected peripheral device.
+      const printer = new PhomemoPrinter({
+        ...printerOptions,
+        peripheral: discoveredDevices[choice],
+      });
+      try {
+        await printer.connect();
+        return printer;
+      } catch (err) {
         // If unable to write to the chosen device, ask if the user wants to try again.
         const tryAgain = await promptTryAgain();
-        if (tryAgain) {
-          continue;
-        } else {
-          process.exit();
+        if (!tryAgain) {
+          return null;
         }
-      } else {
-        // Return the writable characteristic if available.
-        selectedPeripheral = peripheral; // Store peripheral globally
-        return characteristic;
       }
     }
   } while (true);
 }
 
-// Scans for Bluetooth devices for a specified duration.
-// Discovered devices with a valid localName are stored in discoveredDevices.
-async function scanDevices(scanDurationInMs = 5000) {
-  discoveredDevices = {};
-
+// Scans for Bluetooth devices while displaying a spinner.
+async function scanDevicesWithSpinner(scanDurationInMs) {
   const spinner = new Spinner("scanning bluetooth devices.. %s");
   spinner.setSpinnerString("|/-\\");
   spinner.start();
-  noble.on("discover", async (peripheral) => {
-    const { localName } = peripheral.advertisement;
-    if (localName === undefined || localName.trim().length === 0) {
-      // Skip peripherals with invalid names.
-      return;
-    }
-    discoveredDevices[localName] = peripheral;
-  });
-  noble.startScanningAsync();
-
-  // Wait for the specified scanning duration.
-  await delay(scanDurationInMs);
-
-  // Stop scanning and clear the spinner.
-  await noble.stopScanningAsync();
-  spinner.stop(true);
+  try {
+    return await scanDevices(scanDurationInMs);
+  } finally {
+    // Clear the spinner.
+    spinner.stop(true);
+  }
 }
 
 // Presents an interactive CLI menu listing all discovered devices,
 // along with options to scan again or quit.
-async function selectDevice() {
+async function selectDevice(discoveredDevices) {
   const choices = [];
   for (const key in discoveredDevices) {
     choices.push({
@@ -291,317 +1945,11 @@ async function selectDevice() {
     choices,
     pageSize: 12,
   };
-  return select(prompt);
-}
-
-// Connects to a peripheral and discovers all its services and characteristics.
-// Returns a characteristic that supports 'write' if available.
-async function getWritableCharacteristic(peripheral) {
-  await peripheral.connectAsync();
-  const { characteristics } =
-    await peripheral.discoverAllServicesAndCharacteristicsAsync();
-  // Filter characteristics to find one that supports writing.
-  const [characteristic] = characteristics.filter((characteristic) => {
-    return characteristic.properties.includes("write");
-  });
-  return characteristic;
+  return select(prompt, promptContext);
 }
 
 // Inform the user about an unsupported device and ask whether to try again.
 async function promptTryAgain() {
-  console.log("dang it doesn't look like we can print to this device 😕");
-  return confirm({ message: "want to try again?" });
-}
-
-// This asynchronous function loads a dithered image from a file,
-// converts it into a series of printer commands (following an ESC/POS‑style protocol),
-// and returns an array of bytes that represent the complete print data.
-async function getPrintDataFromPort(printableImgPath) {
-  // Load the image using Jimp (a Node.js image library)
-  const pic = await Jimp.read(printableImgPath);
-  // 'remaining' holds the number of rows (vertical pixels) that need to be printed.
-  let remaining = pic.bitmap.height;
-  // 'printData' is our byte array that will contain the complete command stream.
-  let printData = [];
-  let index = 0;
-
-  // ----- PRINTING HEADER -----
-  // The header consists of commands that initialize the printer and set basic formatting.
-
-  // ESC @ (27, 64): This command initializes the printer (resets it to default settings).
-  printData[index++] = 27; // ESC (Escape, ASCII 27)
-  printData[index++] = 64; // '@'
-
-  // ESC a (27, 97): This command selects the justification (text alignment).
-  // It is followed by one byte that indicates the desired alignment:
-  // 0 = left, 1 = center, 2 = right.
-  printData[index++] = 27; // ESC
-  printData[index++] = 97; // 'a'
-  printData[index++] = 0; // 0 means left-justified
-
-  // These additional bytes (31, 17, 2, 4) are part of the printer’s initialization/header.
-  // In many ESC/POS implementations, commands following the basic ones can be used to set specific modes
-  // (such as print density, line spacing, or other manufacturer-specific settings).
-  // Their exact meaning can vary by printer model.
-  printData[index++] = 31; // (ASCII Unit Separator, sometimes used as a header delimiter)
-  printData[index++] = 17; // (Device Control 1)
-  printData[index++] = 2; // Parameter byte (could indicate a setting like print density/speed)
-  printData[index++] = 4; // Another parameter byte
-  // -----------------------------
-
-  // 'line' keeps track of which row of the image we are processing.
-  let line = 0;
-
-  // The image is processed in blocks of up to 256 lines because of protocol limitations.
-  while (remaining > 0) {
-    let lines = remaining;
-    if (lines > 256) {
-      lines = 256; // Maximum block height: 256 lines.
-    }
-
-    // ----- PRINTING MARKER -----
-    // Now we insert the command to print a raster bit image.
-    // In Epson ESC/POS, the command for printing a raster image is GS v 0.
-    // GS is ASCII 29, 'v' is ASCII 118, and '0' is ASCII 48.
-    printData[index++] = 29; // GS (Group Separator, ASCII 29)
-    printData[index++] = 118; // 'v'
-    printData[index++] = 48; // '0'
-
-    // Next comes the mode byte:
-    // For Epson printers, the mode can control scaling (normal, double-width, double-height, or quadruple).
-    // Here we use mode 0, which means "normal" (no scaling).
-    printData[index++] = 0;
-
-    // Then we specify the horizontal data: the number of bytes per line.
-    // This value is sent as a 16-bit little-endian number.
-    // 'BYTES_PER_LINE' is a constant (pre-calculated as image width/8) that tells how many bytes represent one line.
-    printData[index++] = BYTES_PER_LINE; // Lower byte of the horizontal byte count
-    printData[index++] = 0; // Upper byte (assuming BYTES_PER_LINE is less than 256)
-
-    // Next, we specify the block height (the number of lines in this block) minus one.
-    // This value is also given as a 16-bit little-endian number.
-    printData[index++] = lines - 1; // Lower byte: (block height - 1)
-    printData[index++] = 0; // Upper byte
-    // -----------------------------
-
-    // Deduct the lines we are about to process.
-    remaining -= lines;
-
-    // For each line in the current block:
-    while (lines > 0) {
-      // For each horizontal block of 8 pixels (one byte), repeat:
-      for (let x = 0; x < BYTES_PER_LINE; x++) {
-        let byte = 0; // This byte will represent 8 pixels (1 bit per pixel)
-        for (let bit = 0; bit < 8; bit++) {
-          // Calculate the x coordinate: each byte represents 8 pixels.
-          const pixelX = x * 8 + bit;
-          const pixelY = line;
-          // Get the color of the pixel at (pixelX, pixelY) and convert it into an RGBA object.
-          const rgba = Jimp.intToRGBA(pic.getPixelColor(pixelX, pixelY));
-          // In our dithered image, a pixel is “on” (black) if its red component is 0
-          // and it is not transparent (alpha ≠ 0). If so, we set the corresponding bit.
-          if (rgba.r === 0 && rgba.a !== 0) {
-            byte |= 1 << (7 - bit);
-          }
-        }
-        // Special handling: if the byte equals 0x0A (line feed), replace it with 0x14.
-        // This avoids conflicts with actual line-feed commands in the protocol.
-        if (byte === 0x0a) {
-          byte = 0x14;
-        }
-        // Append this byte (representing 8 pixels) to our printData array.
-        printData[index++] = byte;
-      }
-      // One line of image data is done; update counters.
-      lines--; // One less line to process in the current block.
-      line++; // Move to the next line in the overall image.
-    }
-  }
-
-  // ----- PRINTING FOOTER -----
-  // After sending all image data, we add footer commands.
-  // These commands typically feed extra blank lines to push the printed image fully out of the printer,
-  // and may also signal the end of the print job.
-
-  // ESC d n (27, 100, n): This command prints the data in the buffer and feeds paper n lines.
-  // Here, we feed 2 lines, twice.
-  printData[index++] = 27; // ESC
-  printData[index++] = 100; // 'd'
-  printData[index++] = 2; // Feed 2 lines
-
-  printData[index++] = 27; // ESC
-  printData[index++] = 100; // 'd'
-  printData[index++] = 2; // Feed another 2 lines
-
-  // These additional footer bytes (31, 17, followed by 8, 14, 7, 9) are likely proprietary or
-  // manufacturer-specific commands that signal the end of the print job and ensure that the paper is
-  // properly positioned for cutting or finishing.
-  printData[index++] = 31;
-  printData[index++] = 17;
-  printData[index++] = 8;
-
-  printData[index++] = 31;
-  printData[index++] = 17;
-  printData[index++] = 14;
-
-  printData[index++] = 31;
-  printData[index++] = 17;
-  printData[index++] = 7;
-
-  printData[index++] = 31;
-  printData[index++] = 17;
-  printData[index++] = 9;
-  // -----------------------------
-
-  // Finally, return the complete array of commands and image data.
-  return printData;
-}
-
-// This function processes the image file to match the printer's requirements.
-// It performs several steps: resizing, compositing with a transparent background,
-// and finally dithering.
-async function makeDitheredImage(imgPath, scale, algorithmChoice) {
-  let originalFileName = path.basename(imgPath);
-  if (!originalFileName) {
-    throw new Error("Invalid file name");
-  }
-  let pic = await Jimp.read(imgPath);
-  const scalePercentage = Math.max(scale / 100.0, 0.01);
-  const scaledWidth = Math.floor(scalePercentage * IMAGE_WIDTH);
-
-  // Resize the image based on scale percentage.
-  const resizedImgPath = `${imgPath}--resized.png`;
-  pic = pic.resize(scaledWidth, Jimp.AUTO);
-
-  // Read the transparent background image to fill in space.
-  let transparentBackground = await Jimp.read("./transparent-square.png");
-  transparentBackground = transparentBackground.resize(
-    IMAGE_WIDTH,
-    pic.bitmap.height
-  );
-  // Calculate offset to composite the image against the background.
-  const x = IMAGE_WIDTH - pic.bitmap.width;
-  const composedPic = transparentBackground.composite(pic, x, 0);
-
-  // Write the composite image to file.
-  await composedPic.writeAsync(resizedImgPath);
-
-  // Convert the composed image to a dithered black & white image.
-  // TODO: Consider swapping the dithering library for improved quality.
-  return convertToDithered(resizedImgPath, algorithmChoice);
-}
-
-// This function performs image dithering using the Floyd-Steinberg algorithm.
-// It converts a resized image into a dithered image suitable for the printer.
-async function convertToDithered(resizedImgPath, algorithmChoice) {
-  const ditheredImgPath = `${resizedImgPath}--dithered.png`;
-  return new Promise((resolve, reject) => {
-    createReadStream(resizedImgPath)
-      .pipe(new PNG())
-      .on("parsed", function () {
-        // 'this' is the PNG image object with width, height, and data properties.
-        // Apply the selected dithering algorithm using your library.
-        // Lookup the algorithm from ALGORITHMS using the algorithmChoice key.
-        dither(this, ALGORITHMS[algorithmChoice]);
-        // Pack the modified image data and pipe it to a write stream.
-        this.pack()
-          .pipe(createWriteStream(ditheredImgPath))
-          .on("finish", () => resolve(ditheredImgPath))
-          .on("error", reject);
-      })
-      .on("error", reject);
-  });
-}
-
-// Helper function for test mode: Process the image using the selected dithering algorithm and output to a specific path.
-async function makeTestDitheredImage(
-  imgPath,
-  scale,
-  algorithmChoice,
-  outputPath
-) {
-  let originalFileName = path.basename(imgPath);
-  if (!originalFileName) {
-    throw new Error("Invalid file name");
-  }
-  let pic = await Jimp.read(imgPath);
-  const scalePercentage = Math.max(scale / 100.0, 0.01);
-  const scaledWidth = Math.floor(scalePercentage * IMAGE_WIDTH);
-
-  // Resize the image.
-  const resizedImgPath = `${imgPath}--resized.png`;
-  pic = pic.resize(scaledWidth, Jimp.AUTO);
-
-  // Read the transparent background image.
-  let transparentBackground = await Jimp.read("./transparent-square.png");
-  transparentBackground = transparentBackground.resize(
-    IMAGE_WIDTH,
-    pic.bitmap.height
-  );
-
-  // Calculate offset and composite image.
-  const x = IMAGE_WIDTH - pic.bitmap.width;
-  const composedPic = transparentBackground.composite(pic, x, 0);
-
-  // Save the composed image.
-  await composedPic.writeAsync(resizedImgPath);
-
-  // Convert the composed image to a dithered image and write directly to outputPath.
-  return new Promise((resolve, reject) => {
-    createReadStream(resizedImgPath)
-      .pipe(new PNG())
-      .on("parsed", function () {
-        // 'this' is the PNG image object.
-        dither(this, ALGORITHMS[algorithmChoice]);
-        this.pack()
-          .pipe(createWriteStream(outputPath))
-          .on("finish", () => resolve(outputPath))
-          .on("error", reject);
-      })
-      .on("error", reject);
-  });
-}
-
-// ----- NEW HELPER FUNCTION -----
-async function sendDensityControlPacket(characteristic, density) {
-  // Build the packet using a minimal header and command sequence.
-  // The density control byte is placed at offset 22.
-  const packet = [
-    0x02, 0x08, 0x00, 0x1a,
-    0x00, 0x16, 0x00, 0x41,
-    0x00, 0x0b, 0xff, 0x23,
-    0x01, 0x1b, 0x40, 0x1f,
-    0x11, 0x02, 0x04, 0x1f,
-    0x11, 0x37, density, 0x1f,
-    0x11, 0x0b, 0x1f, 0x11,
-    0x35, 0x00, 0x86
-  ];
-  // Write the packet to the printer.
-  characteristic.write(Buffer.from(packet), true);
-  console.log(
-    `Density control packet sent with density: 0x${density.toString(16)}`
-  );
-}
-
-/**
- * Returns an object with the image dimensions ({ width, height }).
- * Uses Jimp to load the image and extract its dimensions.
- */
-async function getImageDimensions(filePath) {
-  const image = await Jimp.read(filePath);
-  return { width: image.bitmap.width, height: image.bitmap.height };
-}
-
-/**
- * Rotates the image by 90° clockwise to maximize printed size.
- * The rotated image is saved to a new file, and its path is returned.
- */
-async function rotateImage(filePath) {
-  const image = await Jimp.read(filePath);
-  // Rotate image by 90 degrees clockwise.
-  image.rotate(90);
-  // Create a new file name for the rotated image.
-  const rotatedPath = filePath.replace(/(\.[\w\d_-]+)$/i, "-rotated$1");
-  await image.writeAsync(rotatedPath);
-  return rotatedPath;
+  log("dang it doesn't look like we can print to this device 😕");
+  return confirm({ message: "want to try again?" }, promptContext);
 }
@@ -0,0 +1,170 @@
+/**
+ * labels.js
+ *
+ * Lays images out on die-cut labels (e.g. 40x30mm) for printers that support
+ * label paper. Every label becomes one page of exactly the label's size:
+ *
+ *    - fit:   scale the image to fit inside the label, centered
+ *    - crop:  scale the image to cover the label and cut off what sticks out
+ *    - split: scale the image to the label width and continue it on as many
+ *             labels as it needs
+ *
+ * The pages are dithered like any other image (see image.js) and encoded with
+ * getLabelPrintData (see protocol.js), which feeds to the gap after each label.
+ */
+
+import Jimp from "jimp"; // For image processing.
+
+import { makeDitheredImage } from "./image.js";
+import { isSvg, getSvgDimensions, renderSvg } from "./svg.js";
+
+export const LABEL_FIT_MODES = ["fit", "crop", "split"];
+
+/**
+ * Parses a label size like "40x30" or "40x30mm" (width x height in mm).
+ *
+ * @param {String} value - The label size.
+ * @returns {Object} { width, height } in mm.
+ */
+export function parseLabelSize(value) {
+  const match = String(value).match(
+    /^\s*(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)\s*(mm)?\s*$/i
+  );
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+    throw new Error(
+      `Invalid label size: ${value} (use WIDTHxHEIGHT in mm, e.g. 40x30)`
+    );
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Converts a label size in mm to dots for the profile, checking that it fits
+ * the print head.
+ *
+ * @param {Object} label - { width, height } in mm.
+ * @param {Object} profile - The print profile (see profiles.js).
+ * @returns {Object} { width, height } in dots.
+ */
+export function labelSizeInDots(label, profile) {
+  const toDots = (mm) => Math.round((mm / 25.4) * profile.dpi);
+  const size = { width: toDots(label.width), height: toDots(label.height) };
+  if (size.width > profile.imageWidth) {
+    const maxWidth = ((profile.imageWidth / profile.dpi) * 25.4).toFixed(1);
+    throw new Error(
+      `Labels ${label.width}mm wide don't fit the ${profile.name} (at most ${maxWidth}mm)`
+    );
+  }
+  return size;
+}
+
+// Returns a white page of the given size with the image drawn at (x, y).
+function page(width, height, pic, x, y) {
+  return new Jimp(width, height, 0xffffffff).composite(pic, x, y);
+}
+
+/**
+ * Lays an image out on labels.
+ *
+ * @param {Jimp} pic - The image.
+ * @param {Object} size - Label { width, height } in dots.
+ * @param {String} [fit="fit"] - One of LABEL_FIT_MODES.
+ * @returns {Array<Jimp>} One image per label, each exactly the label's size.
+ */
+export function layoutLabels(pic, size, fit = "fit") {
+  const { width, height } = size;
+  if (fit === "fit") {
+    pic.scaleToFit(width, height);
+    const x = Math.floor((width - pic.bitmap.width) / 2);
+    const y = Math.floor((height - pic.bitmap.height) / 2);
+    return [page(width, height, pic, x, y)];
+  }
+  if (fit === "crop") {
+    pic.cover(width, height);
+    return [page(width, height, pic, 0, 0)];
+  }
+  if (fit === "split") {
+    pic.resize(width, Jimp.AUTO);
+    const pages = [];
+    for (let top = 0; top < pic.bitmap.height; top += height) {
+      const slice = pic
+        .clone()
+        .crop(0, top, width, Math.min(height, pic.bitmap.height - top));
+      pages.push(page(width, height, slice, 0, 0));
+    }
+    return pages;
+  }
+  throw new Error(
+    `Unknown label fit: ${fit} (use ${LABEL_FIT_MODES.join(", ")})`
+  );
+}
+
+// Reads the image for layoutLabels. SVG images are rendered at the width
+// they are laid out at, so layoutLabels doesn't have to scale them.
+async function readLabelImage(input, size, fit, antialias) {
+  if (!(await isSvg(input))) {
+    return Jimp.read(input);
+  }
+  const svg = await getSvgDimensions(input);
+  // The width at which the image is as tall as the label.
+  const widthAtLabelHeight = (size.height * svg.width) / svg.height;
+  const widths = {
+    fit: Math.min(size.width, Math.floor(widthAtLabelHeight)),
+    crop: Math.max(size.width, Math.ceil(widthAtLabelHeight)),
+    split: size.width,
+  };
+  const width = Math.max(1, widths[fit] ?? size.width);
+  return Jimp.read(await renderSvg(input, { width, antialias }));
+}
+
+/**
+ * Lays an image out on labels and dithers every label.
+ *
+ * @param {String|Buffer} input - Image path or encoded image data.
+ * @param {Object} label - Label { width, height } in mm.
+ * @param {String} fit - One of LABEL_FIT_MODES.
+ * @param {String} algorithmChoice - One of the ALGORITHMS keys.
+ * @param {Object} profile - The print profile (see profiles.js).
+ * @param {Object} [options]
+ * @param {Boolean} [options.antialias=true] - For SVG images: smooth the edges (see svg.js).
+ * @param {Object} [options.adjust] - Tone adjustments made before dithering (see adjust.js).
+ * @param {Uint8Array} [options.toneCurve] - Compensates for dot gain (see calibration.js).
+ * @param {Object} [options.ditherOptions] - Options of the algorithm, e.g. { matrixSize: 8 }.
+ * @param {Object} [options.debug] - Writes the intermediate images of every
+ *   label, named "<name>-label-N" (see writeDebugImage in image.js).
+ * @returns {Promise<Array<Buffer>>} The dithered labels as PNGs.
+ */
+export async function makeDitheredLabels(
+  input,
+  label,
+  fit,
+  algorithmChoice,
+  profile,
+  { antialias = true, adjust = {}, toneCurve, ditherOptions, debug } = {}
+) {
+  const size = labelSizeInDots(label, profile);
+  const pages = layoutLabels(
+    await readLabelImage(input, size, fit, antialias),
+    size,
+    fit
+  );
+  // Each label is dithered at its own width, the rest of the line stays blank.
+  const labelProfile = { ...profile, printableWidth: size.width };
+  const dithered = [];
+  for (const [number, labelPage] of pages.entries()) {
+    const labelDebug = debug && {
+      ...debug,
+      name: `${debug.name || "image"}-label-${number + 1}`,
+    };
+    dithered.push(
+      await makeDitheredImage(
+        await labelPage.getBufferAsync(Jimp.MIME_PNG),
+        100,
+        algorithmChoice,
+        labelProfile,
+        { adjust, toneCurve, ditherOptions, debug: labelDebug }
+      )
+    );
+  }
+  return dithered;
+}
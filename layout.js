@@ -0,0 +1,141 @@
+/**
+ * layout.js
+ *
+ * Where an image goes on the paper: its horizontal alignment, the margins
+ * around it and the blank paper fed after it.
+ *
+ * The print data always spans the whole print head, so images are aligned by
+ * placing them on the line before encoding (see image.js) rather than with
+ * the printer's justification command. The printable part of the line, the
+ * paper roll, is at its right end; images are aligned within that part,
+ * right-aligned by default.
+ *
+ * Lengths are given in mm or in dots: a plain number is mm, "2mm" and
+ * "16dots" (or "16dot", "16px") say so explicitly.
+ */
+
+export const ALIGNMENTS = ["left", "center", "right"];
+export const DEFAULT_ALIGN = "right";
+
+/**
+ * Parses a length in mm or dots.
+ *
+ * @param {String|Number|Object} value - e.g. 2, "2.5mm", "16dots" or an
+ *   already parsed { value, unit }.
+ * @returns {Object} { value, unit } with unit "mm" or "dots".
+ */
+export function parseLength(value) {
+  if (value && typeof value === "object") {
+    return parseLength(`${value.value}${value.unit}`);
+  }
+  const match = String(value).match(
+    /^\s*(\d+(?:\.\d+)?)\s*(mm|dots?|px)?\s*$/i
+  );
+  if (!match) {
+    throw new Error(
+      `Invalid length: ${value} (use mm or dots, e.g. 2mm or 16dots)`
+    );
+  }
+  const unit = match[2] && match[2].toLowerCase() !== "mm" ? "dots" : "mm";
+  const length = Number(match[1]);
+  if (unit === "dots" && !Number.isInteger(length)) {
+    throw new Error(`Invalid length: ${value} (use a whole number of dots)`);
+  }
+  return { value: length, unit };
+}
+
+/**
+ * Converts a length to dots at the given resolution.
+ *
+ * @param {String|Number|Object} length - See parseLength.
+ * @param {Number} dpi - Resolution of the printer.
+ * @returns {Number} Whole dots.
+ */
+export function lengthToDots(length, dpi) {
+  const { value, unit } = parseLength(length);
+  return unit === "dots" ? value : Math.round((value / 25.4) * dpi);
+}
+
+/**
+ * Parses margins given like in CSS, separated by commas: one length for all
+ * sides, two for top and bottom, then left and right, or four for top, right,
+ * bottom and left. An object with some of the sides is accepted as well.
+ *
+ * @param {String|Number|Object} value - e.g. "2", "2,4", "2mm,0,5mm,16dots"
+ *   or { top: 2, left: "16dots" }.
+ * @returns {Object} { top, right, bottom, left }, each { value, unit }.
+ */
+export function parseMargin(value) {
+  if (value && typeof value === "object") {
+    const { top = 0, right = 0, bottom = 0, left = 0, ...unknown } = value;
+    const [side] = Object.keys(unknown);
+    if (side) {
+      throw new Error(`Unknown margin: ${side} (use top, right, bottom, left)`);
+    }
+    return {
+      top: parseLength(top),
+      right: parseLength(right),
+      bottom: parseLength(bottom),
+      left: parseLength(left),
+    };
+  }
+  const lengths = String(value).split(",").map(parseLength);
+  if (![1, 2, 4].includes(lengths.length)) {
+    throw new Error(
+      `Invalid margin: ${value} (use 1, 2 or 4 lengths, e.g. 2 or 2,4 or 2,4,2,4)`
+    );
+  }
+  const [top, right = top, bottom = top, left = right] = lengths;
+  return { top, right, bottom, left };
+}
+
+/**
+ * Resolves the alignment and margins for a profile, in dots.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.align="right"] - One of ALIGNMENTS.
+ * @param {String|Number|Object} [options.margin] - See parseMargin. No margins by default.
+ * @param {Object} profile - The print profile (see profiles.js).
+ * @returns {Object} { align, top, right, bottom, left, width }, where `width`
+ *   is what's left of the printable width between the side margins.
+ */
+export function resolveLayout(
+  { align = DEFAULT_ALIGN, margin = 0 } = {},
+  profile
+) {
+  if (!ALIGNMENTS.includes(align)) {
+    throw new Error(
+      `Unknown alignment: ${align} (use ${ALIGNMENTS.join(", ")})`
+    );
+  }
+  const sides = parseMargin(margin ?? 0);
+  const [top, right, bottom, left] = ["top", "right", "bottom", "left"].map(
+    (side) => lengthToDots(sides[side], profile.dpi)
+  );
+  const width = profile.printableWidth - left - right;
+  if (width < 1) {
+    const mm = ((profile.printableWidth / profile.dpi) * 25.4).toFixed(1);
+    throw new Error(
+      `The left and right margins leave no room on the ${mm}mm wide paper`
+    );
+  }
+  return { align, top, right, bottom, left, width };
+}
+
+/**
+ * Returns the x position of an image on the line, for a resolved layout.
+ *
+ * @param {Number} width - Width of the image in dots.
+ * @param {Object} layout - See resolveLayout.
+ * @param {Object} profile - The print profile (see profiles.js).
+ * @returns {Number} The x position in dots.
+ */
+export function alignOnLine(width, layout, profile) {
+  // The paper covers the right end of the line.
+  const start = profile.imageWidth - profile.printableWidth + layout.left;
+  // Images wider than the room between the margins stick out on the side
+  // away from the alignment, or on both sides when centered.
+  const free = layout.width - width;
+  const offsets = { left: 0, center: Math.floor(free / 2), right: free };
+  return start + offsets[layout.align];
+}
@@ -0,0 +1,261 @@
+/**
+ * matrices.js
+ *
+ * Threshold matrices for ordered dithering (see dithering.js). A matrix ranks
+ * the cells of an N×N tile from 0 to N²-1; a pixel under a cell turns white
+ * when its gray level is above the cell's rank, scaled to 0-255, and the tile
+ * repeats over the image.
+ *
+ *    - Bayer matrices (2, 4, 8 or 16 wide) are built recursively and spread
+ *      the dots in a regular cross-hatch.
+ *    - Blue-noise matrices are built with Ulichney's void-and-cluster method:
+ *      the dots of every gray level are spread evenly, without a visible
+ *      pattern. They're slow to build (seconds for 128×128), so they're cached
+ *      in $PHOMEMO_MATRIX_CACHE or ~/.phomemo/matrices, one file per size and
+ *      seed, holding the ranks as 16-bit little-endian integers.
+ */
+
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import * as os from "os";
+import * as path from "path"; // For path-related operations.
+
+import { checkSeed, createRandom } from "./random.js";
+
+export const BAYER_SIZES = [2, 4, 8, 16];
+export const DEFAULT_BAYER_SIZE = 4;
+
+export const BLUE_NOISE_SIZES = { min: 8, max: 128 };
+export const DEFAULT_BLUE_NOISE_SIZE = 64;
+export const DEFAULT_BLUE_NOISE_SEED = 1;
+
+export const MATRIX_CACHE_DIR =
+  process.env.PHOMEMO_MATRIX_CACHE ||
+  path.join(os.homedir(), ".phomemo", "matrices");
+
+// Spread of the Gaussian filter that finds clusters and voids, in cells.
+const SIGMA = 1.5;
+
+// Matrices built in this process, keyed by kind and size (and seed).
+const built = new Map();
+
+/**
+ * Builds a Bayer matrix: each size doubles the previous one,
+ * [[4M, 4M + 2], [4M + 3, 4M + 1]], from the 1×1 matrix [0].
+ *
+ * @param {Number} [size=4] - One of BAYER_SIZES.
+ * @returns {Uint16Array} The ranks, row by row.
+ */
+export function bayerMatrix(size = DEFAULT_BAYER_SIZE) {
+  if (!BAYER_SIZES.includes(size)) {
+    throw new Error(
+      `Invalid Bayer matrix size: ${size} (use ${BAYER_SIZES.join(", ")})`
+    );
+  }
+  const key = `bayer-${size}`;
+  if (!built.has(key)) {
+    let matrix = Uint16Array.of(0);
+    for (let n = 1; n < size; n *= 2) {
+      const next = new Uint16Array(4 * n * n);
+      for (let y = 0; y < n; y++) {
+        for (let x = 0; x < n; x++) {
+          const rank = 4 * matrix[y * n + x];
+          next[y * 2 * n + x] = rank;
+          next[y * 2 * n + x + n] = rank + 2;
+          next[(y + n) * 2 * n + x] = rank + 3;
+          next[(y + n) * 2 * n + x + n] = rank + 1;
+        }
+      }
+      matrix = next;
+    }
+    built.set(key, matrix);
+  }
+  return built.get(key);
+}
+
+/**
+ * Checks the size and seed of a blue-noise matrix, without building it.
+ *
+ * @param {Number} size - Width and height, BLUE_NOISE_SIZES.min to .max.
+ * @param {Number} [seed] - 0 to MAX_SEED (see random.js).
+ */
+export function checkBlueNoiseOptions(size, seed = DEFAULT_BLUE_NOISE_SEED) {
+  const { min, max } = BLUE_NOISE_SIZES;
+  if (!Number.isInteger(size) || size < min || size > max) {
+    throw new Error(
+      `Invalid blue-noise matrix size: ${size} (use ${min} to ${max})`
+    );
+  }
+  checkSeed(seed);
+}
+
+/**
+ * Returns a blue-noise matrix, from this process's matrices, the cache
+ * directory, or built with the void-and-cluster method (and then cached).
+ * The same size and seed always give the same matrix.
+ *
+ * @param {Number} [size=64] - Width and height, BLUE_NOISE_SIZES.min to .max.
+ * @param {Object} [options]
+ * @param {Number} [options.seed=1] - Seeds the initial random pattern.
+ * @param {String|null} [options.cacheDir] - Defaults to MATRIX_CACHE_DIR; null
+ *   to neither read nor write the cache.
+ * @returns {Uint16Array} The ranks, row by row.
+ */
+export function blueNoiseMatrix(
+  size = DEFAULT_BLUE_NOISE_SIZE,
+  { seed = DEFAULT_BLUE_NOISE_SEED, cacheDir = MATRIX_CACHE_DIR } = {}
+) {
+  checkBlueNoiseOptions(size, seed);
+  const key = `blue-noise-${size}-seed-${seed}`;
+  if (!built.has(key)) {
+    const file = cacheDir && path.join(cacheDir, `${key}.bin`);
+    let matrix = file && readCachedMatrix(file, size * size);
+    if (!matrix) {
+      matrix = voidAndCluster(size, seed);
+      if (file) {
+        writeCachedMatrix(file, matrix);
+      }
+    }
+    built.set(key, matrix);
+  }
+  return built.get(key);
+}
+
+// Reads a cached matrix; a missing or damaged file is built again.
+function readCachedMatrix(file, cells) {
+  let data;
+  try {
+    data = readFileSync(file);
+  } catch {
+    return null;
+  }
+  if (data.length !== cells * 2) {
+    return null;
+  }
+  const matrix = new Uint16Array(cells);
+  for (let i = 0; i < cells; i++) {
+    matrix[i] = data.readUInt16LE(i * 2);
+  }
+  // Every rank must be there exactly once.
+  const seen = new Uint8Array(cells);
+  for (const rank of matrix) {
+    if (rank >= cells || seen[rank]) {
+      return null;
+    }
+    seen[rank] = 1;
+  }
+  return matrix;
+}
+
+// Caches a matrix. Dithering still works where the cache can't be written,
+// e.g. in a read-only home directory; the matrix is built again next time.
+function writeCachedMatrix(file, matrix) {
+  const data = Buffer.alloc(matrix.length * 2);
+  matrix.forEach((rank, i) => data.writeUInt16LE(rank, i * 2));
+  // Written atomically, so other processes never read half a matrix.
+  const tmpPath = `${file}.${process.pid}.tmp`;
+  try {
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(tmpPath, data);
+    renameSync(tmpPath, file);
+  } catch {
+    // Not cached.
+  }
+}
+
+/**
+ * Void-and-cluster (Ulichney, 1993). The energy of a cell is the sum of a
+ * Gaussian of its distance to every dot, wrapping around the tile's edges, so
+ * the tightest cluster is the dot with the most energy and the largest void
+ * the empty cell with the least.
+ *
+ *    1. Scatter a tenth of the cells with dots at random, then move the dot
+ *       of the tightest cluster to the largest void until it lands where it
+ *       came from: the dots are then evenly spread.
+ *    2. Remove the dots of the tightest clusters one by one, ranking them
+ *       from the number of dots down to 0.
+ *    3. From the spread dots again, fill the largest voids one by one,
+ *       ranking them upwards, until every cell has a dot.
+ */
+function voidAndCluster(size, seed) {
+  const cells = size * size;
+  // The Gaussian of every offset, wrapping around.
+  const kernel = new Float64Array(cells);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const wy = Math.min(dy, size - dy);
+      const wx = Math.min(dx, size - dx);
+      kernel[dy * size + dx] = Math.exp(
+        -(wx * wx + wy * wy) / (2 * SIGMA * SIGMA)
+      );
+    }
+  }
+  // Adds (or with sign -1, removes) a dot and its energy.
+  const toggle = (dots, energy, cell, sign) => {
+    dots[cell] = sign > 0 ? 1 : 0;
+    const cy = Math.floor(cell / size);
+    const cx = cell % size;
+    for (let y = 0; y < size; y++) {
+      const row = ((y - cy + size) % size) * size;
+      for (let x = 0; x < size; x++) {
+        energy[y * size + x] += sign * kernel[row + ((x - cx + size) % size)];
+      }
+    }
+  };
+  // The dot with the most energy: the tightest cluster.
+  const tightestCluster = (dots, energy) => {
+    let best = -1;
+    for (let i = 0; i < cells; i++) {
+      if (dots[i] && (best < 0 || energy[i] > energy[best])) best = i;
+    }
+    return best;
+  };
+  // The empty cell with the least energy: the largest void.
+  const largestVoid = (dots, energy) => {
+    let best = -1;
+    for (let i = 0; i < cells; i++) {
+      if (!dots[i] && (best < 0 || energy[i] < energy[best])) best = i;
+    }
+    return best;
+  };
+
+  // 1. The initial pattern.
+  const random = createRandom(seed);
+  const dots = new Uint8Array(cells);
+  const energy = new Float64Array(cells);
+  const initial = Math.max(1, Math.floor(cells / 10));
+  for (let placed = 0; placed < initial; ) {
+    const cell = Math.floor(random() * cells);
+    if (!dots[cell]) {
+      toggle(dots, energy, cell, 1);
+      placed++;
+    }
+  }
+  // Every swap lowers the energy of the pattern, but stop in any case.
+  for (let swaps = 0; swaps < cells; swaps++) {
+    const cluster = tightestCluster(dots, energy);
+    toggle(dots, energy, cluster, -1);
+    const emptiest = largestVoid(dots, energy);
+    toggle(dots, energy, emptiest, 1);
+    if (emptiest === cluster) {
+      break;
+    }
+  }
+
+  const ranks = new Uint16Array(cells);
+  // 2. Rank the initial dots, removing them from a copy.
+  const removing = Uint8Array.from(dots);
+  const removingEnergy = Float64Array.from(energy);
+  for (let rank = initial - 1; rank >= 0; rank--) {
+    const cluster = tightestCluster(removing, removingEnergy);
+    toggle(removing, removingEnergy, cluster, -1);
+    ranks[cluster] = rank;
+  }
+  // 3. Rank the rest, filling the voids. Past half full, the largest void is
+  // also the tightest cluster of empty cells, so one rule does for both.
+  for (let rank = initial; rank < cells; rank++) {
+    const emptiest = largestVoid(dots, energy);
+    toggle(dots, energy, emptiest, 1);
+    ranks[emptiest] = rank;
+  }
+  return ranks;
+}
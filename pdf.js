@@ -0,0 +1,192 @@
+/**
+ * pdf.js
+ *
+ * Rasterizes PDF pages (shipping labels, tickets, small documents) so they can
+ * be printed like any other image. Pages are rendered offline with pdf.js
+ * (pdfjs-dist), directly at the width they will be printed at, so nothing is
+ * scaled twice before dithering.
+ *
+ * Pages are selected with ranges like "1,3-4" (see parsePageRanges). pdf.js
+ * is only loaded when a PDF is actually printed.
+ *
+ * pdf.js draws the pages on @napi-rs/canvas, a native module with prebuilt
+ * binaries for the common platforms. It is an optional dependency: where it
+ * can't be installed, everything but PDFs still prints, and printing a PDF
+ * fails with an error saying what is missing (see loadCanvas).
+ */
+
+import { open, readFile } from "fs/promises";
+import { createRequire } from "module";
+import * as path from "path"; // For path-related operations.
+
+// Every PDF file starts with this signature.
+const PDF_SIGNATURE = "%PDF-";
+
+// The fonts and character maps that ship with pdfjs-dist, for PDFs that
+// don't embed their fonts. pdf.js reads them from disk, so no network is needed.
+const require = createRequire(import.meta.url);
+const PDFJS_DIR = path.dirname(require.resolve("pdfjs-dist/package.json"));
+const STANDARD_FONTS_DIR = path.join(PDFJS_DIR, "standard_fonts") + path.sep;
+const CMAPS_DIR = path.join(PDFJS_DIR, "cmaps") + path.sep;
+
+/**
+ * Tells whether an image path or Buffer holds a PDF, by its signature.
+ *
+ * @param {String|Buffer} input - Path or file contents.
+ * @returns {Promise<Boolean>}
+ */
+export async function isPdf(input) {
+  if (Buffer.isBuffer(input)) {
+    return input.subarray(0, PDF_SIGNATURE.length).toString() === PDF_SIGNATURE;
+  }
+  const file = await open(input, "r");
+  try {
+    const header = Buffer.alloc(PDF_SIGNATURE.length);
+    await file.read(header, 0, header.length, 0);
+    return header.toString() === PDF_SIGNATURE;
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Parses a page selection like "1,3-4" into page numbers, in the given order.
+ *
+ * @param {String} value - Comma separated page numbers and ranges (1-based).
+ * @returns {Array<Number>} The page numbers, e.g. [1, 3, 4].
+ */
+export function parsePageRanges(value) {
+  const pages = [];
+  for (const part of String(value).split(",")) {
+    const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    const first = match && Number(match[1]);
+    const last = match && Number(match[2] ?? match[1]);
+    if (!match || first < 1 || last < first) {
+      throw new Error(
+        `Invalid page selection: ${value} (use page numbers and ranges, e.g. 1,3-4)`
+      );
+    }
+    for (let page = first; page <= last; page++) {
+      pages.push(page);
+    }
+  }
+  return pages;
+}
+
+/**
+ * Loads @napi-rs/canvas, the canvas pdf.js renders pages on in Node.
+ *
+ * @param {Function} [load] - Imports the module; replaced in tests.
+ * @returns {Promise<Object>} The module, with createCanvas.
+ * @throws {Error} When the module or its binary for this platform is missing.
+ */
+export async function loadCanvas(load = () => import("@napi-rs/canvas")) {
+  try {
+    return await load();
+  } catch (err) {
+    throw new Error(
+      `Printing PDFs needs @napi-rs/canvas, a native module that isn't installed for this platform (${process.platform}-${process.arch}). Install it with "npm install @napi-rs/canvas", or convert the PDF to an image first.`,
+      { cause: err }
+    );
+  }
+}
+
+// Opens a PDF with pdf.js. The caller destroys the returned document.
+async function openPdf(input) {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const data = new Uint8Array(
+    Buffer.isBuffer(input) ? input : await readFile(input)
+  );
+  return getDocument({
+    data,
+    standardFontDataUrl: STANDARD_FONTS_DIR,
+    cMapUrl: CMAPS_DIR,
+    cMapPacked: true,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+}
+
+// Checks a page selection against the document; all pages without one.
+function selectPages(doc, pages) {
+  if (!pages) {
+    return Array.from({ length: doc.numPages }, (_, i) => i + 1);
+  }
+  for (const page of pages) {
+    if (page > doc.numPages) {
+      throw new Error(
+        `Page ${page} doesn't exist, the PDF has ${doc.numPages} page(s)`
+      );
+    }
+  }
+  return pages;
+}
+
+/**
+ * Returns the sizes of the selected pages, in PDF points (1/72 inch).
+ *
+ * @param {String|Buffer} input - Path or contents of the PDF.
+ * @param {Array<Number>} [pages] - Page numbers; all pages by default.
+ * @returns {Promise<Array<Object>>} { page, width, height } for every page.
+ */
+export async function getPdfPageSizes(input, pages = null) {
+  const doc = await openPdf(input);
+  try {
+    const sizes = [];
+    for (const number of selectPages(doc, pages)) {
+      const page = await doc.getPage(number);
+      const { width, height } = page.getViewport({ scale: 1 });
+      sizes.push({ page: number, width, height });
+    }
+    return sizes;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * renderPdfPages(input, options)
+ *
+ * Renders PDF pages into PNGs that are exactly `options.width` pixels wide,
+ * on a white background.
+ *
+ * @param {String|Buffer} input - Path or contents of the PDF.
+ * @param {Object} options
+ * @param {Number} options.width - Width in pixels, usually the width the page is printed at.
+ * @param {Array<Number>} [options.pages] - Page numbers to render, in order; all pages by default.
+ * @param {Boolean} [options.rotate=false] - Rotate every page by 90°, the way
+ *   rotateImage does (see image.js), so its height becomes the width.
+ * @returns {Promise<Array<Buffer>>} One PNG per page.
+ */
+export async function renderPdfPages(
+  input,
+  { width, pages = null, rotate = false } = {}
+) {
+  const { createCanvas } = await loadCanvas();
+  const doc = await openPdf(input);
+  try {
+    const pngs = [];
+    for (const number of selectPages(doc, pages)) {
+      const page = await doc.getPage(number);
+      // rotateImage turns images counter-clockwise, pdf.js rotates clockwise,
+      // on top of the rotation the page itself asks for.
+      const rotation = (page.rotate + (rotate ? 270 : 0)) % 360;
+      const unscaled = page.getViewport({ scale: 1, rotation });
+      const viewport = page.getViewport({
+        scale: width / unscaled.width,
+        rotation,
+      });
+      const canvas = createCanvas(width, Math.ceil(viewport.height));
+      const context = canvas.getContext("2d");
+      // PDF pages are transparent where nothing is drawn.
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+      pngs.push(canvas.toBuffer("image/png"));
+      page.cleanup();
+    }
+    return pngs;
+  } finally {
+    await doc.destroy();
+  }
+}
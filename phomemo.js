@@ -0,0 +1,134 @@
+/**
+ * phomemo.js
+ *
+ * Public entry point of the cli-phomemo-printer package.
+ */
+
+export {
+  PhomemoPrinter,
+  DENSITY_LEVELS,
+  DEFAULT_DENSITY,
+  parseDensity,
+} from "./printer.js";
+export {
+  BleTransport,
+  FileTransport,
+  MemoryTransport,
+  scanDevices,
+  writeChunked,
+} from "./transport.js";
+export {
+  makeDitheredImage,
+  getImageDimensions,
+  rotateImage,
+  placeOnLine,
+} from "./image.js";
+export {
+  getPrintDataFromPort,
+  getLabelPrintData,
+  MEDIA_TYPES,
+} from "./protocol.js";
+export {
+  parseLabelSize,
+  layoutLabels,
+  makeDitheredLabels,
+  LABEL_FIT_MODES,
+} from "./labels.js";
+export {
+  MODELS,
+  PAPERS,
+  resolveProfile,
+  detectModel,
+  DEFAULT_PROFILE,
+} from "./profiles.js";
+export {
+  parseLength,
+  lengthToDots,
+  parseMargin,
+  resolveLayout,
+  alignOnLine,
+  ALIGNMENTS,
+  DEFAULT_ALIGN,
+} from "./layout.js";
+export { parsePrintData, decodePrintData } from "./decode.js";
+export { renderPreview, pageSizeInMm, PREVIEW_MODES } from "./preview.js";
+export { createPrintServer } from "./server.js";
+export {
+  Spool,
+  processQueue,
+  DEFAULT_SPOOL_DIR,
+  JOB_STATUSES,
+} from "./spool.js";
+export { decodeStatus, statusError, STATUS_QUERIES } from "./status.js";
+export {
+  buildSettingsPacket,
+  buildSettingCommand,
+  buildDensityControlPacket,
+  frameSettings,
+  parseSettingsPacket,
+  SETTINGS,
+  PAPER_TYPES,
+} from "./settings.js";
+export { renderText, FONT_SIZES } from "./text.js";
+export {
+  expandInputs,
+  renderSeparator,
+  SEPARATORS,
+  PRINTABLE_EXTENSIONS,
+} from "./batch.js";
+export { isSvg, getSvgDimensions, renderSvg, rotateSvg } from "./svg.js";
+export {
+  isPdf,
+  parsePageRanges,
+  getPdfPageSizes,
+  renderPdfPages,
+} from "./pdf.js";
+export {
+  renderCode,
+  encodeCode,
+  CODE_TYPES,
+  QR_ERROR_CORRECTION,
+} from "./codes.js";
+export {
+  dither,
+  validateDitherOptions,
+  registerAlgorithm,
+  checkAlgorithm,
+  registeredAlgorithm,
+  parseAlgorithmOption,
+  ALGORITHMS,
+  MATRIX_ALGORITHMS,
+  RANDOM_ALGORITHMS,
+  SEEDED_ALGORITHMS,
+  OPTION_TYPES,
+} from "./dithering.js";
+export {
+  loadAlgorithmModule,
+  loadPluginDir,
+  loadedPluginModules,
+  DEFAULT_PLUGIN_DIR,
+} from "./plugins.js";
+export { createRandom, randomSeed, checkSeed, MAX_SEED } from "./random.js";
+export {
+  bayerMatrix,
+  blueNoiseMatrix,
+  BAYER_SIZES,
+  BLUE_NOISE_SIZES,
+  MATRIX_CACHE_DIR,
+} from "./matrices.js";
+export {
+  renderWedge,
+  parseCalibration,
+  toneCurve,
+  calibrationKey,
+  loadCalibration,
+  saveCalibration,
+  DEFAULT_CALIBRATION_FILE,
+} from "./calibration.js";
+export {
+  adjustImage,
+  normalizeAdjustments,
+  parseAdjustment,
+  ADJUSTMENTS,
+  LEVELS_MODES,
+} from "./adjust.js";
@@ -0,0 +1,133 @@
+/**
+ * plugins.js
+ *
+ * Loads dithering algorithms from plugin modules: ES modules whose default
+ * export is an algorithm definition, or an array of them, as taken by
+ * registerAlgorithm (see dithering.js):
+ *
+ *    export default {
+ *      name: "HALFTONE",
+ *      description: "round dots on a 45° grid",
+ *      options: { cell: { type: "integer", default: 6, min: 2, max: 32 } },
+ *      dither(image, { cell }) { ... },
+ *    };
+ *
+ * Plugins are loaded from the modules given with --algorithm-module and from
+ * every .js and .mjs file in the plugin directory, $PHOMEMO_PLUGINS or
+ * ~/.phomemo/plugins. Their algorithms join ALGORITHMS, so they can be
+ * chosen like the built-in ones and show up in the --test gallery.
+ */
+
+import { readdir } from "fs/promises";
+import * as os from "os";
+import * as path from "path"; // For path-related operations.
+import { pathToFileURL } from "url";
+
+import { checkAlgorithm, registerAlgorithm } from "./dithering.js";
+
+export const DEFAULT_PLUGIN_DIR =
+  process.env.PHOMEMO_PLUGINS || path.join(os.homedir(), ".phomemo", "plugins");
+
+const PLUGIN_EXTENSIONS = [".js", ".mjs"];
+
+// URLs of the modules loaded so far, so worker threads can load them too.
+const loaded = new Set();
+
+/**
+ * Loads a plugin module and registers its algorithms.
+ *
+ * @param {String} modulePath - Path of the module, or a file: URL.
+ * @returns {Promise<Array<String>>} The names of the algorithms it registered.
+ */
+export async function loadAlgorithmModule(modulePath) {
+  const url = modulePath.startsWith("file:")
+    ? modulePath
+    : pathToFileURL(path.resolve(modulePath)).href;
+  let module;
+  try {
+    module = await import(url);
+  } catch (err) {
+    throw new Error(`Cannot load plugin ${modulePath}: ${err.message}`);
+  }
+  const definitions = [].concat(module.default ?? []);
+  if (definitions.length === 0) {
+    throw new Error(
+      `Plugin ${modulePath} has no algorithms (export them as default)`
+    );
+  }
+  // Every algorithm is checked before any is registered, so a plugin with an
+  // invalid one registers none.
+  let algorithms;
+  try {
+    algorithms = definitions.map(checkAlgorithm);
+    const names = algorithms.map((algorithm) => algorithm.name);
+    const twice = names.find((name, i) => names.indexOf(name) !== i);
+    if (twice) {
+      throw new Error(`There already is an algorithm named ${twice}`);
+    }
+  } catch (err) {
+    throw new Error(`Plugin ${modulePath}: ${err.message}`);
+  }
+  loaded.add(url);
+  return algorithms.map((algorithm) => registerAlgorithm(algorithm).name);
+}
+
+/**
+ * Loads every plugin module in a directory, in alphabetical order. A missing
+ * directory has no plugins.
+ *
+ * @param {String} [dir] - Defaults to DEFAULT_PLUGIN_DIR.
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - Called with the error of a plugin
+ *   that can't be loaded, which is then skipped, or of a directory that
+ *   can't be read (e.g. a file), which then has no plugins. Without it,
+ *   loading stops at the first error.
+ * @returns {Promise<Array<String>>} The names of the algorithms registered.
+ */
+export async function loadPluginDir(
+  dir = DEFAULT_PLUGIN_DIR,
+  { onError } = {}
+) {
+  let files;
+  try {
+    files = await readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return [];
+    }
+    const error = new Error(
+      `Cannot read the plugin directory ${dir}: ${err.message}`,
+      { cause: err }
+    );
+    if (!onError) {
+      throw error;
+    }
+    onError(error);
+    return [];
+  }
+  const names = [];
+  const modules = files
+    .filter((file) => PLUGIN_EXTENSIONS.includes(path.extname(file)))
+    .sort();
+  for (const file of modules) {
+    try {
+      names.push(...(await loadAlgorithmModule(path.join(dir, file))));
+    } catch (err) {
+      if (!onError) {
+        throw err;
+      }
+      onError(err);
+    }
+  }
+  return names;
+}
+
+/**
+ * Returns the plugin modules loaded in this thread, as file: URLs that
+ * loadAlgorithmModule takes (see workers.js).
+ *
+ * @returns {Array<String>}
+ */
+export function loadedPluginModules() {
+  return [...loaded];
+}
@@ -0,0 +1,122 @@
+/**
+ * preview.js
+ *
+ * Shows a 1-bit page in the terminal and works out its physical size, so a
+ * print can be checked without wasting paper.
+ *
+ * Two preview modes are available:
+ *    - braille:   every character shows 2x4 dots (the sharpest preview)
+ *    - halfblock: every character shows 1x2 dots with ▀, ▄ and █
+ *
+ * The page is scaled down to fit the terminal; a dot is drawn when at least
+ * a quarter of the pixels it covers are black, so thin lines and text strokes
+ * stay visible.
+ */
+
+import { PNG } from "pngjs"; // For PNG parsing and manipulation.
+
+export const PREVIEW_MODES = ["braille", "halfblock"];
+
+// Dots per character cell for each mode.
+const CELL_SIZES = {
+  braille: { width: 2, height: 4 },
+  halfblock: { width: 1, height: 2 },
+};
+
+// Braille dot bits, indexed by [row][column] within a 2x4 cell.
+const BRAILLE_BITS = [
+  [0x01, 0x08],
+  [0x02, 0x10],
+  [0x04, 0x20],
+  [0x40, 0x80],
+];
+const BRAILLE_BLANK = 0x2800;
+
+const HALF_BLOCKS = [" ", "▀", "▄", "█"];
+
+// Returns a function telling whether the dot at (x, y) of a grid of
+// `columns` dots across the page is black.
+function sampler(png, columns) {
+  const scale = png.width / columns;
+  const isBlack = (x, y) => {
+    const idx = (png.width * y + x) << 2;
+    return png.data[idx + 3] !== 0 && png.data[idx] < 128;
+  };
+  return (dotX, dotY) => {
+    const x0 = Math.floor(dotX * scale);
+    const y0 = Math.floor(dotY * scale);
+    const x1 = Math.min(
+      png.width,
+      Math.max(x0 + 1, Math.floor((dotX + 1) * scale))
+    );
+    const y1 = Math.min(
+      png.height,
+      Math.max(y0 + 1, Math.floor((dotY + 1) * scale))
+    );
+    let black = 0;
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        black += isBlack(x, y) ? 1 : 0;
+      }
+    }
+    return black * 4 >= (x1 - x0) * (y1 - y0);
+  };
+}
+
+/**
+ * renderPreview(png, options)
+ *
+ * Draws a page as lines of text for the terminal.
+ *
+ * @param {Buffer} png - The page, black on white.
+ * @param {Object} [options]
+ * @param {Number} [options.columns=80] - Maximum number of characters per line.
+ * @param {String} [options.mode="braille"] - braille or halfblock.
+ * @returns {String} The preview, one line per character row.
+ */
+export function renderPreview(png, { columns = 80, mode = "braille" } = {}) {
+  const cell = CELL_SIZES[mode];
+  if (!cell) {
+    throw new Error(`Unknown preview mode: ${mode}`);
+  }
+  const page = PNG.sync.read(png);
+  // Never scale up: a dot of the preview covers at least one pixel.
+  const dotColumns = Math.min(page.width, columns * cell.width);
+  const dotRows = Math.ceil((page.height * dotColumns) / page.width);
+  const isDot = sampler(page, dotColumns);
+
+  const lines = [];
+  for (let row = 0; row < dotRows; row += cell.height) {
+    let line = "";
+    for (let column = 0; column < dotColumns; column += cell.width) {
+      let bits = 0;
+      for (let dy = 0; dy < cell.height && row + dy < dotRows; dy++) {
+        for (let dx = 0; dx < cell.width && column + dx < dotColumns; dx++) {
+          if (isDot(column + dx, row + dy)) {
+            bits |= mode === "braille" ? BRAILLE_BITS[dy][dx] : 1 << dy;
+          }
+        }
+      }
+      line +=
+        mode === "braille"
+          ? String.fromCharCode(BRAILLE_BLANK + bits)
+          : HALF_BLOCKS[bits];
+    }
+    // Drop trailing blank cells (braille blanks are not whitespace).
+    lines.push(line.replace(/[\u2800 ]+$/, ""));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Converts a page size in dots to millimeters for the profile's resolution.
+ *
+ * @param {Number} width - Width in dots.
+ * @param {Number} height - Height in dots.
+ * @param {Object} profile - The print profile (see profiles.js).
+ * @returns {Object} { width, height } in mm.
+ */
+export function pageSizeInMm(width, height, profile) {
+  const toMm = (dots) => (dots / profile.dpi) * 25.4;
+  return { width: toMm(width), height: toMm(height) };
+}
@@ -0,0 +1,602 @@
+/**
+ * printer.js
+ *
+ * A small library API for Phomemo Bluetooth printers.
+ *
+ *    const printer = new PhomemoPrinter({ name: "M02S" });
+ *    await printer.connect();
+ *    await printer.setDensity(0x80);
+ *    await printer.printImage("./test.png", { algorithm: "ATKINSON" });
+ *    await printer.disconnect();
+ *
+ * The bytes go to a transport (see transport.js). Without one, the printer is
+ * reached over Bluetooth; pass a FileTransport or MemoryTransport to build
+ * print jobs without a printer:
+ *
+ *    const printer = new PhomemoPrinter({ transport: new FileTransport("job.bin") });
+ *
+ * The library never prompts or exits the process; failures are thrown as errors.
+ *
+ * Printers that send status notifications (see status.js) are tracked in
+ * `printer.status`, and every notification is emitted as a "status" event and
+ * as an event named after its type:
+ *
+ *    printer.on("paperOut", () => console.log("Out of paper!"));
+ *    console.log(await printer.queryBattery()); // e.g. 80
+ *
+ * A print job fails fast with a PAPER_OUT, COVER_OPEN or OVERHEAT error when
+ * the printer reports such a problem before or while the job is sent.
+ */
+
+import { EventEmitter, once } from "events";
+import * as path from "path";
+
+import { normalizeAdjustments } from "./adjust.js";
+import { renderSeparator } from "./batch.js";
+import { renderCode } from "./codes.js";
+import { ALGORITHMS, validateDitherOptions } from "./dithering.js";
+import { rotateImage, makeDitheredImage, placeOnLine } from "./image.js";
+import { labelSizeInDots, makeDitheredLabels } from "./labels.js";
+import { resolveLayout, lengthToDots } from "./layout.js";
+import { isPdf, renderPdfPages } from "./pdf.js";
+import { getPrintDataFromPort, getLabelPrintData } from "./protocol.js";
+import { resolveProfile, detectModel, DEFAULT_MODEL } from "./profiles.js";
+import { buildDensityControlPacket, buildSettingsPacket } from "./settings.js";
+import { decodeStatus, statusError, STATUS_QUERIES } from "./status.js";
+import { renderText } from "./text.js";
+import { BleTransport } from "./transport.js";
+
+// Density levels known to work with the printer.
+// Soft, Medium, and Strong correspond to different density bytes.
+export const DENSITY_LEVELS = [
+  { name: "Lowest", value: 0x00 },
+  { name: "Very Soft", value: 0x1a },
+  { name: "Soft", value: 0x33 },
+  { name: "Light", value: 0x4d },
+  { name: "Default", value: 0x5e }, // at least it looks like this value is the default
+  { name: "Medium Soft", value: 0x66 },
+  { name: "Midtone", value: 0x80 },
+  { name: "Medium", value: 0x99 },
+  { name: "Medium Strong", value: 0xb3 },
+  { name: "Strong", value: 0xcc },
+  { name: "Very Strong", value: 0xe6 },
+  { name: "Highest", value: 0xff },
+];
+export const DEFAULT_DENSITY = 0x5e;
+
+/**
+ * Parses a density given as the name of a DENSITY_LEVELS entry (case and
+ * spaces don't matter) or as a byte value in decimal or hex.
+ *
+ * @param {String|Number} value - e.g. "Medium", "medium strong", 128 or "0x80".
+ * @returns {Number} The density byte.
+ */
+export function parseDensity(value) {
+  const normalize = (name) =>
+    String(name)
+      .toLowerCase()
+      .replace(/[\s_-]/g, "");
+  const level = DENSITY_LEVELS.find(
+    (level) => normalize(level.name) === normalize(value)
+  );
+  if (level) {
+    return level.value;
+  }
+  const density = Number(value);
+  if (!/^(0x[0-9a-f]+|\d+)$/i.test(String(value)) || density > 0xff) {
+    const names = DENSITY_LEVELS.map((level) => level.name).join(", ");
+    throw new Error(`Use one of ${names} or a number between 0 and 255.`);
+  }
+  return density;
+}
+
+// How long to wait for the answer to a status query, in ms.
+const QUERY_TIMEOUT = 2000;
+
+// Waits for the next `type` event on the printer, rejecting after `timeout` ms.
+async function waitForEvent(printer, type, timeout, what) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const [event] = await once(printer, type, { signal: controller.signal });
+    return event;
+  } catch (err) {
+    if (err.name === "AbortError") {
+      throw new Error(`The printer did not report its ${what}`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class PhomemoPrinter extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.transport] - Where to send the bytes. Defaults to a
+   *   BleTransport built from the remaining options.
+   * @param {String} [options.model] - Printer model (see profiles.js). Detected from
+   *   the device name on connect when omitted, falling back to the M02S.
+   * @param {String} [options.paper] - Paper roll width in mm. Defaults to the
+   *   model's usual roll (53mm for the M02 family).
+   * @param {Object} [options.peripheral] - An already discovered noble peripheral.
+   * @param {String} [options.name] - Bluetooth name of the printer to scan for.
+   * @param {Number} [options.scanDuration=5000] - Scan duration in ms when searching by name.
+   */
+  constructor({
+    transport = null,
+    model = null,
+    paper = null,
+    ...bleOptions
+  } = {}) {
+    super();
+    this.transport = transport || new BleTransport(bleOptions);
+    this.model = model;
+    this.paper = paper;
+    // Resolve eagerly so invalid models and papers fail before connecting.
+    this.profile = resolveProfile(model || DEFAULT_MODEL, paper);
+    // Last known state, null until the printer reports it.
+    this.status = {
+      paper: null, // "ok" or "out"
+      cover: null, // "open" or "closed"
+      overheated: null,
+      battery: null, // percent
+      firmware: null,
+      printing: false, // a job was sent and has not been reported complete
+    };
+    // Aborted when the printer reports a problem while a job is sent.
+    this.jobController = null;
+    this.onData = (data) => this.handleStatus(data);
+  }
+
+  get connected() {
+    return this.transport.isOpen;
+  }
+
+  // Whether the transport delivers status notifications from the printer.
+  get canReportStatus() {
+    return Boolean(this.transport.canNotify);
+  }
+
+  // Opens the transport, e.g. connects to the Bluetooth printer, or connects
+  // again after the connection dropped. Without an explicit model, the
+  // profile is picked from the device name.
+  async connect() {
+    if (typeof this.transport.on === "function") {
+      // Listen once, however often the printer is connected.
+      this.transport.removeListener("data", this.onData);
+      this.transport.on("data", this.onData);
+    }
+    await this.transport.open();
+    if (!this.model) {
+      const detected = detectModel(this.transport.deviceName);
+      if (detected) {
+        this.profile = resolveProfile(detected, this.paper);
+      }
+    }
+  }
+
+  // Decodes a notification, updates `status` and emits its events.
+  handleStatus(data) {
+    for (const event of decodeStatus(data)) {
+      switch (event.type) {
+        case "paperOut":
+        case "paperOk":
+          this.status.paper = event.type === "paperOut" ? "out" : "ok";
+          break;
+        case "coverOpen":
+        case "coverClosed":
+          this.status.cover = event.type === "coverOpen" ? "open" : "closed";
+          break;
+        case "overheat":
+        case "temperatureOk":
+          this.status.overheated = event.type === "overheat";
+          break;
+        case "battery":
+          this.status.battery = event.level;
+          break;
+        case "firmware":
+          this.status.firmware = event.version;
+          break;
+        case "printComplete":
+          this.status.printing = false;
+          break;
+      }
+      const err = statusError(event);
+      if (err && this.jobController) {
+        this.jobController.abort(err);
+      }
+      this.emit("status", event);
+      this.emit(event.type, event);
+    }
+  }
+
+  /**
+   * Throws if the last reported status makes printing impossible:
+   * out of paper, cover open or overheated. The error's `code` says which.
+   */
+  assertReady() {
+    const { paper, cover, overheated } = this.status;
+    const type =
+      (paper === "out" && "paperOut") ||
+      (cover === "open" && "coverOpen") ||
+      (overheated && "overheat");
+    if (type) {
+      throw statusError({ type });
+    }
+  }
+
+  /**
+   * Asks the printer for its battery level.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=2000] - How long to wait for the answer, in ms.
+   * @returns {Promise<Number>} The battery level in percent.
+   */
+  async queryBattery({ timeout = QUERY_TIMEOUT } = {}) {
+    const [answer] = await Promise.all([
+      waitForEvent(this, "battery", timeout, "battery level"),
+      this.write(STATUS_QUERIES.battery),
+    ]);
+    return answer.level;
+  }
+
+  /**
+   * Asks the printer for its firmware version.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=2000] - How long to wait for the answer, in ms.
+   * @returns {Promise<String>} The version, e.g. "1.2.3".
+   */
+  async queryFirmware({ timeout = QUERY_TIMEOUT } = {}) {
+    const [answer] = await Promise.all([
+      waitForEvent(this, "firmware", timeout, "firmware version"),
+      this.write(STATUS_QUERIES.firmware),
+    ]);
+    return answer.version;
+  }
+
+  /**
+   * Waits until the printer reports that the last job came out.
+   * Rejects with a PAPER_OUT, COVER_OPEN or OVERHEAT error if the printer
+   * reports a problem first.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=10000] - How long to wait, in ms.
+   * @returns {Promise<Boolean>} true once printed, false if the printer
+   *   can't report its status or didn't within the timeout.
+   */
+  async waitForCompletion({ timeout = 10000 } = {}) {
+    if (!this.status.printing) {
+      return true;
+    }
+    if (!this.canReportStatus) {
+      return false;
+    }
+    return new Promise((resolve, reject) => {
+      const onStatus = (event) => {
+        const err = statusError(event);
+        if (err) {
+          done();
+          reject(err);
+        } else if (event.type === "printComplete") {
+          done();
+          resolve(true);
+        }
+      };
+      const timer = setTimeout(() => {
+        done();
+        resolve(false);
+      }, timeout);
+      const done = () => {
+        clearTimeout(timer);
+        this.removeListener("status", onStatus);
+      };
+      this.on("status", onStatus);
+    });
+  }
+
+  /**
+   * Whether the printer model supports an optional command, e.g. "density".
+   *
+   * @param {String} command - Command name from the profile.
+   * @returns {Boolean}
+   */
+  supports(command) {
+    return this.profile.commands.includes(command);
+  }
+
+  /**
+   * Writes raw bytes to the printer and waits until they are sent.
+   * Stops early if the printer reports that it can't print.
+   *
+   * @param {Buffer|Array<Number>} data - Bytes to send.
+   */
+  async write(data) {
+    if (!this.transport.isOpen) {
+      throw new Error("Printer is not connected");
+    }
+    const controller = new AbortController();
+    this.jobController = controller;
+    try {
+      await this.transport.write(Buffer.from(data), {
+        signal: controller.signal,
+      });
+    } finally {
+      this.jobController = null;
+    }
+    // Transports that can't be interrupted finish the write anyway.
+    controller.signal.throwIfAborted();
+  }
+
+  /**
+   * Changes the print density. See DENSITY_LEVELS for known values.
+   *
+   * @param {Number} density - Density byte (0x00 - 0xff).
+   */
+  async setDensity(density) {
+    if (!Number.isInteger(density) || density < 0 || density > 0xff) {
+      throw new Error(`Invalid density: ${density}`);
+    }
+    if (!this.supports("settings") || !this.supports("density")) {
+      throw new Error(`${this.profile.name} does not support density control`);
+    }
+    await this.write(buildDensityControlPacket(density));
+  }
+
+  /**
+   * Changes several printer settings with one packet (see settings.js).
+   * Settings that are not given stay as they are.
+   *
+   * @param {Object} settings
+   * @param {Number} [settings.density] - Density byte (0x00 - 0xff), see DENSITY_LEVELS.
+   * @param {Number} [settings.speed] - Print speed, 1 (slowest) to 5 (fastest).
+   * @param {String} [settings.paper] - Paper type: continuous, gaps or marks.
+   * @param {Number} [settings.autoOff] - Minutes without use before the printer turns off.
+   * @returns {Promise<Buffer>} The packet that was sent.
+   */
+  async applySettings(settings) {
+    // Builds (and checks) the packet before anything is sent.
+    const packet = buildSettingsPacket(settings);
+    if (!this.supports("settings")) {
+      throw new Error(`${this.profile.name} does not support printer settings`);
+    }
+    const density = settings.density !== undefined && settings.density !== null;
+    if (density && !this.supports("density")) {
+      throw new Error(`${this.profile.name} does not support density control`);
+    }
+    await this.write(packet);
+    return packet;
+  }
+
+  /**
+   * Dithers, encodes and prints an image, or the pages of a PDF one after another.
+   *
+   * @param {String|Buffer} input - Image or PDF path, or encoded image or PDF data.
+   * @param {Object} [options]
+   * @param {Number} [options.scale=100] - Percent of the printable paper width to use.
+   * @param {String} [options.algorithm="FLOYD_STEINBERG"] - One of the ALGORITHMS keys.
+   * @param {Boolean} [options.rotate=false] - Rotate the image by 90° before printing.
+   * @param {Object} [options.label] - Print on die-cut labels of this { width, height }
+   *   in mm instead of a continuous strip (see labels.js). `scale` is ignored then.
+   * @param {String} [options.fit="fit"] - How the image goes on the labels: fit, crop or split.
+   * @param {Array<Number>} [options.pages] - For PDFs: the page numbers to print, in
+   *   order (see parsePageRanges in pdf.js). All pages by default.
+   * @param {Boolean} [options.antialias=true] - For SVGs: smooth the edges of shapes
+   *   and text. SVGs are rendered at the print width instead of being resized (see svg.js).
+   * @param {Object} [options.adjust] - Tone adjustments made before dithering, e.g.
+   *   { levels: "auto", gamma: 1.4, sharpen: 1 } (see adjust.js).
+   * @param {Uint8Array|Array<Number>} [options.toneCurve] - For every gray level, the
+   *   level to dither at, to make up for dot gain; see toneCurve in calibration.js.
+   * @param {Object} [options.ditherOptions] - Options of the algorithm: `matrixSize`
+   *   for ORDERED_BAYER, BLUE_NOISE and EVEN_TONED_SCREENING, `seed` for the ones
+   *   that use random numbers and BLUE_NOISE (see dither in dithering.js). Without
+   *   a seed, RANDOM, DITHERPUNK and EVEN_BETTER_SCREENING differ on every print.
+   * @param {String} [options.align="right"] - Where the image goes on the paper:
+   *   left, center or right (see layout.js).
+   * @param {String|Number|Object} [options.margin] - Margins around the image in mm
+   *   or dots, e.g. "2,4" or { top: 2, left: "16dots" }. `scale` is relative to
+   *   the width between the side margins.
+   * @param {String|Number} [options.feed] - Blank paper fed after the image, in mm
+   *   or dots (e.g. 5 or "40dots"). By default the printer feeds 4 lines.
+   * @param {String} [options.debugDir] - Writes the intermediate images (rotated,
+   *   resized and dithered) to this directory, named after the input file. Nothing
+   *   is written otherwise.
+   */
+  async printImage(
+    input,
+    {
+      scale = 100,
+      algorithm = "FLOYD_STEINBERG",
+      rotate = false,
+      label = null,
+      fit = "fit",
+      pages = null,
+      antialias = true,
+      adjust = {},
+      toneCurve = null,
+      ditherOptions = {},
+      align,
+      margin,
+      feed,
+      debugDir,
+    } = {}
+  ) {
+    if (!ALGORITHMS[algorithm]) {
+      throw new Error("Unknown algorithm: " + algorithm);
+    }
+    validateDitherOptions(algorithm, ditherOptions);
+    const adjustments = normalizeAdjustments(adjust);
+    if (toneCurve && toneCurve.length !== 256) {
+      throw new Error(
+        "A tone curve needs a level for each of the 256 gray levels"
+      );
+    }
+    if (label && !this.supports("label")) {
+      throw new Error(`${this.profile.name} does not support label paper`);
+    }
+    if (label && (align || margin || feed !== undefined)) {
+      // Images are centered on the labels, which feed to the next gap.
+      throw new Error("Alignment, margins and feed don't apply to labels");
+    }
+    const layout = resolveLayout({ align, margin }, this.profile);
+    const feedDots = this.feedInDots(feed);
+    this.assertReady();
+    // Intermediate images are named after the input file, if there is one.
+    const name =
+      typeof input === "string" ? path.parse(input).name || "image" : "image";
+    let images;
+    if (await isPdf(input)) {
+      // Render the pages at the width they print at, one image per page.
+      const width = label
+        ? labelSizeInDots(label, this.profile).width
+        : Math.floor(Math.max(scale / 100, 0.01) * layout.width);
+      const pngs = await renderPdfPages(input, { width, pages, rotate });
+      images = pngs.map((png, i) => ({
+        image: png,
+        debug: debugDir && {
+          dir: debugDir,
+          name: `${name}-page-${pages ? pages[i] : i + 1}`,
+        },
+      }));
+    } else {
+      const debug = debugDir && { dir: debugDir, name };
+      images = [
+        { image: rotate ? await rotateImage(input, { debug }) : input, debug },
+      ];
+    }
+    // Pages print in sequence, each as its own job.
+    for (const { image, debug } of images) {
+      if (label) {
+        const labels = await makeDitheredLabels(
+          image,
+          label,
+          fit,
+          algorithm,
+          this.profile,
+          { antialias, adjust: adjustments, toneCurve, ditherOptions, debug }
+        );
+        await this.sendJob(await getLabelPrintData(labels, this.profile));
+        continue;
+      }
+      const printableImg = await makeDitheredImage(
+        image,
+        scale,
+        algorithm,
+        this.profile,
+        {
+          antialias,
+          adjust: adjustments,
+          toneCurve,
+          ditherOptions,
+          align,
+          margin,
+          debug,
+        }
+      );
+      const data = await getPrintDataFromPort(printableImg, this.profile, {
+        feed: feedDots,
+      });
+      await this.sendJob(data);
+    }
+  }
+
+  /**
+   * Sends an already encoded print job, e.g. one from the spool (see spool.js).
+   * Like printImage, it fails fast if the printer reported a problem, and
+   * waitForCompletion() waits for the job afterwards.
+   *
+   * @param {Buffer|Array<Number>} data - The complete print data.
+   */
+  async sendJob(data) {
+    this.assertReady();
+    this.status.printing = true;
+    await this.write(data);
+  }
+
+  /**
+   * Renders text (optionally simple Markdown) at the printable width and
+   * prints it without resizing or dithering, like printCode.
+   *
+   * @param {String} text - The text to print.
+   * @param {Object} [options] - fontSize, bold, align and markdown, see renderText.
+   */
+  async printText(text, options = {}) {
+    this.assertReady();
+    const png = await renderText(text, {
+      ...options,
+      width: this.profile.printableWidth,
+    });
+    await this.printBitmap(png);
+  }
+
+  /**
+   * Renders a QR code, DataMatrix code or barcode with every module a whole
+   * number of dots at the profile's resolution, and prints it without
+   * resizing or dithering.
+   *
+   * @param {String} data - The data to encode.
+   * @param {Object} [options] - type, moduleSize, barHeight, caption and
+   *   errorCorrection, see renderCode, and align, margin and feed, see printBitmap.
+   */
+  async printCode(data, { align, margin, feed, ...options } = {}) {
+    this.assertReady();
+    const png = await renderCode(data, {
+      ...options,
+      width: resolveLayout({ align, margin }, this.profile).width,
+      dpi: this.profile.dpi,
+    });
+    await this.printBitmap(png, { align, margin, feed });
+  }
+
+  /**
+   * Prints a separator between the items of a batch (see batch.js).
+   *
+   * @param {String} type - blank, cut or name.
+   * @param {Object} [options]
+   * @param {String} [options.text] - The name printed by "name" separators.
+   */
+  async printSeparator(type, { text = "" } = {}) {
+    this.assertReady();
+    const png = await renderSeparator(type, {
+      width: this.profile.printableWidth,
+      dpi: this.profile.dpi,
+      text,
+    });
+    await this.printBitmap(png);
+  }
+
+  /**
+   * Prints a black & white image as is, one pixel per dot, without resizing
+   * or dithering it. It may be at most as wide as the printable width.
+   *
+   * @param {String|Buffer} input - Image path or encoded image data.
+   * @param {Object} [options]
+   * @param {String} [options.align="right"] - left, center or right (see layout.js).
+   * @param {String|Number|Object} [options.margin] - Margins around the image in mm or dots.
+   * @param {String|Number} [options.feed] - Blank paper fed after the image, in mm or dots.
+   */
+  async printBitmap(input, { align, margin, feed } = {}) {
+    const line = await placeOnLine(input, this.profile, { align, margin });
+    const data = await getPrintDataFromPort(line, this.profile, {
+      feed: this.feedInDots(feed),
+    });
+    await this.sendJob(data);
+  }
+
+  // Converts a feed length to dots; null keeps the printer's default feed.
+  feedInDots(feed) {
+    if (feed === undefined || feed === null) {
+      return null;
+    }
+    return lengthToDots(feed, this.profile.dpi);
+  }
+
+  // Closes the transport, e.g. disconnects from the Bluetooth device.
+  async disconnect() {
+    if (typeof this.transport.removeListener === "function") {
+      this.transport.removeListener("data", this.onData);
+    }
+    await this.transport.close();
+  }
+}
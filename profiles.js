@@ -0,0 +1,151 @@
+/**
+ * profiles.js
+ *
+ * Printer model and paper width profiles.
+ *
+ * Each model describes its print head: the resolution in dots per inch and the
+ * number of bytes the printer expects per raster line (each byte stands for
+ * 8 pixels). Each paper roll describes how much of that head it covers.
+ *
+ * Printer Resolution and Image Width Calculation (M02S):
+ *
+ * This printer is designed to work at a resolution of 300 pixels per inch (ppi)
+ * and expects 70 bytes per line. The maximum image width in pixels is:
+ *
+ *    imageWidth = bytesPerLine * 8
+ *               = 70 * 8
+ *               = 560 pixels
+ *
+ * At 300 ppi, the physical print width is:
+ *
+ *    Physical width (in inches) = 560 / 300 ≈ 1.87 inches
+ *    Physical width (in cm)     = 1.87 * 2.54 ≈ 4.75 cm
+ *
+ * Narrower rolls only cover part of the head, so images are scaled to the
+ * printable width of the roll instead of the full line.
+ *
+ * Since the paper width is limited, if your image is wider than tall (landscape),
+ * you may want to rotate it by 90° so that it prints as large as possible.
+ */
+
+// Printable width (in mm) of the supported paper rolls, keyed by roll width.
+export const PAPERS = {
+  53: { name: "53mm", printableWidth: 48 },
+  50: { name: "50mm", printableWidth: 48 },
+  40: { name: "40mm", printableWidth: 40 },
+  30: { name: "30mm", printableWidth: 30 },
+  25: { name: "25mm", printableWidth: 24 },
+  15: { name: "15mm", printableWidth: 12 },
+};
+
+// Known printer models, keyed by the name used for --model.
+// `papers` lists the rolls each model takes, the first one is its default.
+// `commands` lists the optional commands each model understands
+// ("label" means it can find the gaps between die-cut labels, "settings"
+// that it takes settings packets, see settings.js, and "density" that they
+// can change its print density).
+export const MODELS = {
+  M02: {
+    name: "M02",
+    dpi: 203,
+    bytesPerLine: 48,
+    papers: ["53", "25", "15"],
+    commands: ["density", "settings"],
+  },
+  M02S: {
+    name: "M02S",
+    dpi: 300,
+    bytesPerLine: 70,
+    papers: ["53", "25", "15"],
+    commands: ["density", "settings"],
+  },
+  M02PRO: {
+    name: "M02 Pro",
+    dpi: 300,
+    bytesPerLine: 70,
+    papers: ["53", "25", "15"],
+    commands: ["density", "settings"],
+  },
+  T02: {
+    name: "T02",
+    dpi: 203,
+    bytesPerLine: 48,
+    papers: ["53", "25", "15"],
+    commands: ["density", "settings"],
+  },
+  M110: {
+    name: "M110",
+    dpi: 203,
+    bytesPerLine: 48,
+    papers: ["50", "40", "30"],
+    commands: ["label"],
+  },
+};
+
+export const DEFAULT_MODEL = "M02S";
+export const DEFAULT_PAPER = "53";
+
+/**
+ * Resolves a model and paper width into a print profile.
+ *
+ * @param {String} [model="M02S"] - One of the MODELS keys (case-insensitive).
+ * @param {String|Number} [paper] - Paper roll width in mm, one of the PAPERS keys.
+ *   Defaults to the model's first roll (53mm for the M02 family).
+ * @returns {Object} The profile: { model, name, paper, dpi, bytesPerLine,
+ *   imageWidth, printableWidth, commands }. Widths are in pixels (dots).
+ */
+export function resolveProfile(model = DEFAULT_MODEL, paper = null) {
+  const modelKey = String(model)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  const modelInfo = MODELS[modelKey];
+  if (!modelInfo) {
+    const known = Object.keys(MODELS).join(", ");
+    throw new Error(`Unknown printer model: ${model} (known: ${known})`);
+  }
+  const paperKey =
+    paper === null || paper === undefined
+      ? modelInfo.papers[0]
+      : String(paper).replace(/mm$/i, "");
+  if (!PAPERS[paperKey] || !modelInfo.papers.includes(paperKey)) {
+    const known = modelInfo.papers.join(", ");
+    throw new Error(
+      `Unsupported paper width for ${modelInfo.name}: ${paper} (known: ${known})`
+    );
+  }
+  const imageWidth = modelInfo.bytesPerLine * 8;
+  // Convert the printable width to dots, the head width is the upper bound.
+  const printableWidth = Math.min(
+    imageWidth,
+    Math.round((PAPERS[paperKey].printableWidth / 25.4) * modelInfo.dpi)
+  );
+  return {
+    model: modelKey,
+    name: modelInfo.name,
+    paper: paperKey,
+    dpi: modelInfo.dpi,
+    bytesPerLine: modelInfo.bytesPerLine,
+    imageWidth,
+    printableWidth,
+    commands: modelInfo.commands,
+  };
+}
+
+/**
+ * Picks the model matching an advertised Bluetooth device name,
+ * e.g. "M02S" or "M02 Pro-1A2B". Returns null for unknown devices.
+ *
+ * @param {String} deviceName - The peripheral's local name.
+ * @returns {String|null} One of the MODELS keys.
+ */
+export function detectModel(deviceName) {
+  if (!deviceName) {
+    return null;
+  }
+  const normalized = deviceName.toUpperCase().replace(/[^A-Z0-9]/g, "");
+  // Check longer names first so "M02PRO" and "M02S" win over "M02".
+  const candidates = Object.keys(MODELS).sort((a, b) => b.length - a.length);
+  return candidates.find((key) => normalized.startsWith(key)) || null;
+}
+
+export const DEFAULT_PROFILE = resolveProfile();
@@ -0,0 +1,269 @@
+/**
+ * protocol.js
+ *
+ * Encodes dithered images into the byte stream understood by Phomemo
+ * printers (an ESC/POS-style protocol with a few vendor specific commands).
+ */
+
+import Jimp from "jimp"; // For image processing.
+import { DEFAULT_PROFILE } from "./profiles.js";
+
+// Packs the dithered image into rows of bits, `bytesPerLine` bytes per row.
+// Each byte represents 8 pixels (1 bit per pixel), the leftmost in the highest bit.
+function packRows(bitmap, bytesPerLine) {
+  const { width, height, data } = bitmap;
+  const rows = Buffer.alloc(bytesPerLine * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < bytesPerLine * 8; x++) {
+      // Pixels past the right edge repeat the last column, like Jimp's getPixelColor.
+      const p = (y * width + Math.min(x, width - 1)) * 4;
+      // In our dithered image, a pixel is “on” (black) if its red component is 0
+      // and it is not transparent (alpha ≠ 0). If so, we set the corresponding bit.
+      if (data[p] === 0 && data[p + 3] !== 0) {
+        rows[y * bytesPerLine + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  // Special handling: if a byte equals 0x0A (line feed), replace it with 0x14.
+  // This avoids conflicts with actual line-feed commands in the protocol.
+  for (let i = 0; i < rows.length; i++) {
+    if (rows[i] === 0x0a) {
+      rows[i] = 0x14;
+    }
+  }
+  return rows;
+}
+
+// The number of bytes the packed rows take as raster blocks: a block of up to
+// 256 lines has an 8 byte header.
+function rasterLength(rows, bytesPerLine) {
+  const lines = rows.length / bytesPerLine;
+  return Math.ceil(lines / 256) * 8 + rows.length;
+}
+
+// Writes packed rows as GS v 0 raster blocks to printData, starting at `index`.
+// Returns the index after the last byte written.
+function writeRaster(printData, index, rows, bytesPerLine) {
+  // 'remaining' holds the number of rows (vertical pixels) that need to be printed.
+  let remaining = rows.length / bytesPerLine;
+
+  // 'line' keeps track of which row of the image we are processing.
+  let line = 0;
+
+  // The image is processed in blocks of up to 256 lines because of protocol limitations.
+  while (remaining > 0) {
+    const lines = Math.min(remaining, 256); // Maximum block height: 256 lines.
+
+    // ----- PRINTING MARKER -----
+    // Now we insert the command to print a raster bit image.
+    // In Epson ESC/POS, the command for printing a raster image is GS v 0.
+    // GS is ASCII 29, 'v' is ASCII 118, and '0' is ASCII 48.
+    printData[index++] = 29; // GS (Group Separator, ASCII 29)
+    printData[index++] = 118; // 'v'
+    printData[index++] = 48; // '0'
+
+    // Next comes the mode byte:
+    // For Epson printers, the mode can control scaling (normal, double-width, double-height, or quadruple).
+    // Here we use mode 0, which means "normal" (no scaling).
+    printData[index++] = 0;
+
+    // Then we specify the horizontal data: the number of bytes per line.
+    // This value is sent as a 16-bit little-endian number.
+    // 'bytesPerLine' comes from the profile (image width/8) and tells how many bytes represent one line.
+    printData[index++] = bytesPerLine & 0xff; // Lower byte of the horizontal byte count
+    printData[index++] = bytesPerLine >> 8; // Upper byte
+
+    // Next, we specify the block height (the number of lines in this block) minus one.
+    // This value is also given as a 16-bit little-endian number.
+    printData[index++] = lines - 1; // Lower byte: (block height - 1)
+    printData[index++] = 0; // Upper byte
+    // -----------------------------
+
+    // Copy the packed lines of this block.
+    const start = line * bytesPerLine;
+    index += rows.copy(printData, index, start, start + lines * bytesPerLine);
+
+    // Deduct the lines we just processed.
+    remaining -= lines;
+    line += lines;
+  }
+
+  return index;
+}
+
+// Decodes a dithered image: a Jimp image, a file path or a Buffer.
+async function readBitmap(img) {
+  return (img instanceof Jimp ? img : await Jimp.read(img)).bitmap;
+}
+
+// This asynchronous function loads a dithered image (a Jimp image, a file path or a Buffer),
+// converts it into a series of printer commands (following an ESC/POS‑style protocol),
+// and returns a Buffer with the complete print data.
+// The profile (see profiles.js) provides the number of bytes per line.
+// `options.feed` is the number of blank dots fed after the image; by default
+// the printer feeds 2 + 2 lines, which depends on its line spacing.
+export async function getPrintDataFromPort(
+  printableImg,
+  profile = DEFAULT_PROFILE,
+  { feed = null } = {}
+) {
+  const { bytesPerLine } = profile;
+  // Load the image using Jimp (a Node.js image library) and pack its pixels.
+  const rows = packRows(await readBitmap(printableImg), bytesPerLine);
+  // An exact feed is sent as blank raster lines, which are exactly one dot each.
+  const feedRows = feed > 0 ? Buffer.alloc(bytesPerLine * feed) : null;
+  // 'printData' is our Buffer that will contain the complete command stream:
+  // 9 header bytes, the image, the feed and 12 footer bytes.
+  const printData = Buffer.alloc(
+    9 +
+      rasterLength(rows, bytesPerLine) +
+      (feed === null
+        ? 6
+        : feedRows
+        ? rasterLength(feedRows, bytesPerLine)
+        : 0) +
+      12
+  );
+  let index = 0;
+
+  // ----- PRINTING HEADER -----
+  // The header consists of commands that initialize the printer and set basic formatting.
+
+  // ESC @ (27, 64): This command initializes the printer (resets it to default settings).
+  printData[index++] = 27; // ESC (Escape, ASCII 27)
+  printData[index++] = 64; // '@'
+
+  // ESC a (27, 97): This command selects the justification (text alignment).
+  // It is followed by one byte that indicates the desired alignment:
+  // 0 = left, 1 = center, 2 = right.
+  printData[index++] = 27; // ESC
+  printData[index++] = 97; // 'a'
+  printData[index++] = 0; // 0 means left-justified
+  // The raster lines always span the whole print head, so justification
+  // doesn't move them; images are aligned on the line instead (see layout.js).
+
+  // These additional bytes (31, 17, 2, 4) are part of the printer’s initialization/header.
+  // In many ESC/POS implementations, commands following the basic ones can be used to set specific modes
+  // (such as print density, line spacing, or other manufacturer-specific settings).
+  // Their exact meaning can vary by printer model.
+  printData[index++] = 31; // (ASCII Unit Separator, sometimes used as a header delimiter)
+  printData[index++] = 17; // (Device Control 1)
+  printData[index++] = 2; // Parameter byte (could indicate a setting like print density/speed)
+  printData[index++] = 4; // Another parameter byte
+  // -----------------------------
+
+  // The image itself: raster blocks of up to 256 lines each.
+  index = writeRaster(printData, index, rows, bytesPerLine);
+
+  // ----- PRINTING FOOTER -----
+  // After sending all image data, we add footer commands.
+  // These commands typically feed extra blank lines to push the printed image fully out of the printer,
+  // and may also signal the end of the print job.
+
+  if (feed === null) {
+    // ESC d n (27, 100, n): This command prints the data in the buffer and feeds paper n lines.
+    // Here, we feed 2 lines, twice.
+    printData[index++] = 27; // ESC
+    printData[index++] = 100; // 'd'
+    printData[index++] = 2; // Feed 2 lines
+
+    printData[index++] = 27; // ESC
+    printData[index++] = 100; // 'd'
+    printData[index++] = 2; // Feed another 2 lines
+  } else if (feedRows) {
+    index = writeRaster(printData, index, feedRows, bytesPerLine);
+  }
+
+  // These additional footer bytes (31, 17, followed by 8, 14, 7, 9) are likely proprietary or
+  // manufacturer-specific commands that signal the end of the print job and ensure that the paper is
+  // properly positioned for cutting or finishing.
+  printData[index++] = 31;
+  printData[index++] = 17;
+  printData[index++] = 8;
+
+  printData[index++] = 31;
+  printData[index++] = 17;
+  printData[index++] = 14;
+
+  printData[index++] = 31;
+  printData[index++] = 17;
+  printData[index++] = 7;
+
+  printData[index++] = 31;
+  printData[index++] = 17;
+  printData[index++] = 9;
+  // -----------------------------
+
+  // Finally, return the complete command stream.
+  return printData;
+}
+
+// Media types of label-capable printers, selected with 1f 11 n.
+// With "gaps" the printer finds the gap after every die-cut label with its
+// sensor; "continuous" is plain receipt paper and "marks" black mark paper.
+export const MEDIA_TYPES = {
+  gaps: 0x0a,
+  continuous: 0x0b,
+  marks: 0x26,
+};
+
+// This asynchronous function encodes a series of dithered label images, one
+// image per label, for printers that support label paper (see profiles.js).
+// Instead of feeding a fixed number of lines, the printer is told to feed to
+// the next gap after every label, so each image starts at the top of a label.
+export async function getLabelPrintData(
+  labelImgs,
+  profile = DEFAULT_PROFILE,
+  { media = "gaps" } = {}
+) {
+  const { bytesPerLine } = profile;
+  if (MEDIA_TYPES[media] === undefined) {
+    throw new Error(`Unknown media type: ${media}`);
+  }
+  const labels = [];
+  for (const labelImg of labelImgs) {
+    labels.push(packRows(await readBitmap(labelImg), bytesPerLine));
+  }
+  // 8 header bytes, every label and its feed command, and 4 footer bytes.
+  const printData = Buffer.alloc(
+    labels.reduce(
+      (length, rows) => length + rasterLength(rows, bytesPerLine) + 4,
+      8 + 4
+    )
+  );
+  let index = 0;
+
+  // ----- PRINTING HEADER -----
+  // ESC @: initialize the printer, ESC a 0: left-justified (see getPrintDataFromPort).
+  printData[index++] = 27; // ESC
+  printData[index++] = 64; // '@'
+  printData[index++] = 27; // ESC
+  printData[index++] = 97; // 'a'
+  printData[index++] = 0; // 0 means left-justified
+
+  // 1f 11 n: select the media type, which turns gap (or mark) detection on.
+  printData[index++] = 31;
+  printData[index++] = 17;
+  printData[index++] = MEDIA_TYPES[media];
+  // -----------------------------
+
+  for (const rows of labels) {
+    index = writeRaster(printData, index, rows, bytesPerLine);
+
+    // 1f f0 05 00: feed to the next gap, i.e. to the top of the next label.
+    printData[index++] = 31;
+    printData[index++] = 240;
+    printData[index++] = 5;
+    printData[index++] = 0;
+  }
+
+  // ----- PRINTING FOOTER -----
+  // 1f f0 03 00: end of the label job.
+  printData[index++] = 31;
+  printData[index++] = 240;
+  printData[index++] = 3;
+  printData[index++] = 0;
+  // -----------------------------
+
+  return printData;
+}
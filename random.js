@@ -0,0 +1,51 @@
+/**
+ * random.js
+ *
+ * Seeded random numbers, so dithering with random thresholds or noise (see
+ * dithering.js) can be reproduced exactly: the same seed gives the same
+ * numbers, and so the same dots, on every run and every machine.
+ */
+
+import { randomInt } from "crypto";
+
+// Seeds are 32-bit unsigned integers.
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Checks a seed.
+ *
+ * @param {Number} seed - A whole number, 0 to MAX_SEED.
+ * @returns {Number} The seed.
+ */
+export function checkSeed(seed) {
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw new Error(`Invalid seed: ${seed} (use 0 to ${MAX_SEED})`);
+  }
+  return seed;
+}
+
+/**
+ * Picks a new seed, for a job that should still be reproducible.
+ *
+ * @returns {Number} A random seed, 0 to MAX_SEED.
+ */
+export function randomSeed() {
+  return randomInt(MAX_SEED + 1);
+}
+
+/**
+ * Creates a seeded PRNG (Mulberry32: small and fast, with 32 bits of state).
+ *
+ * @param {Number} seed - 0 to MAX_SEED.
+ * @returns {Function} Gives numbers in [0, 1), like Math.random.
+ */
+export function createRandom(seed) {
+  let state = checkSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,356 @@
+/**
+ * server.js
+ *
+ * A small HTTP API, so one printer can be shared on the local network.
+ *
+ *    POST /print      - queue an image; answers 202 with the job
+ *    GET  /jobs/:id   - the job's state: queued, printing, done or failed
+ *    GET  /printer    - connection state, profile and last reported status
+ *
+ * The image (or a PDF, with the pages to print in `pages`, e.g. "1,3-4") is
+ * sent either as the raw request body with the options in the query string:
+ *
+ *    curl --data-binary @label.png -H "Content-Type: image/png" \
+ *      "http://localhost:8080/print?algorithm=ATKINSON&scale=80&density=0x80"
+ *
+ * or as JSON with the image in base64:
+ *
+ *    { "image": "<base64>", "algorithm": "ATKINSON", "scale": 80, "rotate": true }
+ *
+ * Tone adjustments (see adjust.js) are options too, e.g. `levels=auto&gamma=1.4`,
+ * and so are `align`, `margin` and `feed` (see layout.js), and `matrixSize` for
+ * the algorithms that dither with a matrix, e.g. BLUE_NOISE (see dithering.js).
+ * The algorithms that use random numbers are seeded with `seed`, or a new
+ * seed that is kept in the job's options, so any job can be reproduced.
+ *
+ * Jobs run one after another over a single printer connection, which is
+ * opened on the first job and reopened if it drops. Every job prints at its
+ * own density: a job without one is printed at DEFAULT_DENSITY, whatever the
+ * job before it asked for. Like the CLI, jobs are printed with the tone curve
+ * saved by the calibrate command for the printer and density (see
+ * calibration.js). Pass a printer with a MemoryTransport (see transport.js)
+ * to run the server without a printer.
+ */
+
+import { randomUUID } from "crypto";
+import * as http from "http";
+
+import { ADJUSTMENTS, normalizeAdjustments } from "./adjust.js";
+import {
+  calibrationKey,
+  DEFAULT_CALIBRATION_FILE,
+  loadCalibration,
+  toneCurve,
+} from "./calibration.js";
+import {
+  ALGORITHMS,
+  RANDOM_ALGORITHMS,
+  validateDitherOptions,
+} from "./dithering.js";
+import { ALIGNMENTS, parseLength, parseMargin } from "./layout.js";
+import { parsePageRanges } from "./pdf.js";
+import { DEFAULT_DENSITY, parseDensity } from "./printer.js";
+import { randomSeed } from "./random.js";
+
+// Largest accepted request body, in bytes.
+const MAX_BODY_SIZE = 20 * 1024 * 1024;
+
+// Finished jobs kept for GET /jobs/:id; older ones are forgotten.
+const MAX_FINISHED_JOBS = 100;
+
+// An error answered with its HTTP status code.
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Reads the whole request body, rejecting bodies over MAX_BODY_SIZE.
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw new HttpError(413, "The request body is too large");
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Validates the print options of a request.
+function parsePrintOptions({
+  algorithm,
+  scale,
+  density,
+  rotate,
+  pages,
+  align,
+  margin,
+  feed,
+  matrixSize,
+  seed,
+  ...fields
+}) {
+  const options = {
+    algorithm: algorithm || "FLOYD_STEINBERG",
+    scale: scale === undefined || scale === "" ? 100 : Number(scale),
+    density: undefined,
+    rotate: rotate === true || rotate === "true" || rotate === "yes",
+    pages: undefined,
+    adjust: undefined,
+    align: align || undefined,
+    margin: undefined,
+    feed: undefined,
+    ditherOptions: undefined,
+  };
+  if (align && !ALIGNMENTS.includes(align)) {
+    const known = ALIGNMENTS.join(", ");
+    throw new HttpError(400, `Unknown alignment: ${align} (known: ${known})`);
+  }
+  try {
+    if (margin !== undefined && margin !== "") {
+      options.margin = parseMargin(margin);
+    }
+    if (feed !== undefined && feed !== "") {
+      options.feed = parseLength(feed);
+    }
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+  const adjust = Object.fromEntries(
+    ADJUSTMENTS.filter((name) => fields[name] !== undefined).map((name) => [
+      name,
+      fields[name],
+    ])
+  );
+  if (Object.keys(adjust).length > 0) {
+    try {
+      options.adjust = normalizeAdjustments(adjust);
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+  }
+  if (pages !== undefined && pages !== "") {
+    try {
+      options.pages = parsePageRanges(pages);
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+  }
+  if (density !== undefined && density !== "") {
+    try {
+      options.density = parseDensity(density);
+    } catch (err) {
+      throw new HttpError(400, `Invalid density: ${density}. ${err.message}`);
+    }
+  }
+  if (!Object.hasOwn(ALGORITHMS, options.algorithm)) {
+    const known = Object.keys(ALGORITHMS).join(", ");
+    throw new HttpError(
+      400,
+      `Unknown algorithm: ${algorithm} (known: ${known})`
+    );
+  }
+  if (!Number.isFinite(options.scale) || options.scale <= 0) {
+    throw new HttpError(400, `Invalid scale: ${scale}`);
+  }
+  const ditherOptions = {};
+  if (matrixSize !== undefined && matrixSize !== "") {
+    ditherOptions.matrixSize = Number(matrixSize);
+  }
+  if (seed !== undefined && seed !== "") {
+    ditherOptions.seed = Number(seed);
+  } else if (RANDOM_ALGORITHMS.includes(options.algorithm)) {
+    ditherOptions.seed = randomSeed();
+  }
+  if (Object.keys(ditherOptions).length > 0) {
+    try {
+      validateDitherOptions(options.algorithm, ditherOptions);
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+    options.ditherOptions = ditherOptions;
+  }
+  return options;
+}
+
+// Extracts the image and its options from a POST /print request.
+async function parsePrintRequest(req, url) {
+  const body = await readBody(req);
+  const contentType = req.headers["content-type"] || "";
+  let image;
+  let fields;
+  if (contentType.startsWith("application/json")) {
+    try {
+      fields = JSON.parse(body.toString("utf8"));
+    } catch (err) {
+      throw new HttpError(400, `Invalid JSON: ${err.message}`);
+    }
+    if (
+      fields === null ||
+      typeof fields !== "object" ||
+      Array.isArray(fields)
+    ) {
+      throw new HttpError(400, "The JSON body must be an object");
+    }
+    if (typeof fields.image !== "string") {
+      throw new HttpError(400, "The JSON body needs an image in base64");
+    }
+    image = Buffer.from(fields.image, "base64");
+  } else {
+    fields = Object.fromEntries(url.searchParams);
+    image = body;
+  }
+  if (image.length === 0) {
+    throw new HttpError(400, "No image given");
+  }
+  return { image, options: parsePrintOptions(fields) };
+}
+
+// The public view of a job, without its image.
+function describeJob({ id, status, options, error, createdAt, finishedAt }) {
+  return { id, status, options, error, createdAt, finishedAt };
+}
+
+/**
+ * createPrintServer(printer)
+ *
+ * Creates the HTTP server. Call `listen()` on it to start serving.
+ *
+ * @param {PhomemoPrinter} printer - The printer every job goes to. It's
+ *   connected on the first job when it isn't already.
+ * @param {Object} [options]
+ * @param {Function} [options.log] - Called with a message for every job.
+ * @param {String|null} [options.calibrationFile] - Where calibrations are
+ *   loaded from; defaults to DEFAULT_CALIBRATION_FILE, null to print without.
+ * @returns {http.Server} The server; `server.jobs` maps job ids to jobs.
+ */
+export function createPrintServer(
+  printer,
+  { log = () => {}, calibrationFile = DEFAULT_CALIBRATION_FILE } = {}
+) {
+  const jobs = new Map();
+  // Jobs are chained, so only one talks to the printer at a time.
+  let queue = Promise.resolve();
+  // The density the printer was last set to; like the CLI, a printer that
+  // wasn't set is assumed to be at the default.
+  let printerDensity = DEFAULT_DENSITY;
+
+  // The tone curve saved for the printer at the density, if it was calibrated.
+  const loadToneCurve = async (job, density) => {
+    if (!calibrationFile) {
+      return null;
+    }
+    const key = calibrationKey({
+      device: printer.transport.deviceName || null,
+      model: printer.profile.name,
+    });
+    const calibration = await loadCalibration(key, density, {
+      file: calibrationFile,
+    });
+    if (!calibration) {
+      return null;
+    }
+    const hex = `0x${density.toString(16).padStart(2, "0")}`;
+    log(`Job ${job.id}: using the calibration for ${key} at density ${hex}`);
+    return toneCurve(calibration.darkness);
+  };
+
+  const forgetOldJobs = () => {
+    const finished = [...jobs.values()].filter((job) => job.finishedAt);
+    for (const job of finished.slice(0, -MAX_FINISHED_JOBS)) {
+      jobs.delete(job.id);
+    }
+  };
+
+  const runJob = async (job) => {
+    job.status = "printing";
+    log(`Job ${job.id}: printing`);
+    try {
+      if (!printer.connected) {
+        await printer.connect();
+      }
+      const { density = DEFAULT_DENSITY, ...printOptions } = job.options;
+      if (density !== printerDensity) {
+        await printer.setDensity(density);
+        printerDensity = density;
+      }
+      await printer.printImage(job.image, {
+        ...printOptions,
+        toneCurve: await loadToneCurve(job, density),
+      });
+      // Printers that report their status can still run out of paper.
+      await printer.waitForCompletion();
+      job.status = "done";
+      log(`Job ${job.id}: done`);
+    } catch (err) {
+      job.status = "failed";
+      job.error = { message: err.message, code: err.code };
+      log(`Job ${job.id}: failed: ${err.message}`);
+    }
+    job.image = null;
+    job.finishedAt = new Date().toISOString();
+    forgetOldJobs();
+  };
+
+  const routes = async (req, res, url) => {
+    const jobMatch = url.pathname.match(/^\/jobs\/([^/]+)$/);
+    if (url.pathname === "/print" && req.method === "POST") {
+      const { image, options } = await parsePrintRequest(req, url);
+      const job = {
+        id: randomUUID(),
+        status: "queued",
+        options,
+        image,
+        createdAt: new Date().toISOString(),
+      };
+      jobs.set(job.id, job);
+      queue = queue.then(() => runJob(job));
+      log(`Job ${job.id}: queued`);
+      return sendJson(res, 202, describeJob(job));
+    }
+    if (jobMatch && req.method === "GET") {
+      const job = jobs.get(jobMatch[1]);
+      if (!job) {
+        throw new HttpError(404, `Unknown job: ${jobMatch[1]}`);
+      }
+      return sendJson(res, 200, describeJob(job));
+    }
+    if (url.pathname === "/printer" && req.method === "GET") {
+      const queued = [...jobs.values()].filter(
+        (job) => job.status === "queued" || job.status === "printing"
+      ).length;
+      return sendJson(res, 200, {
+        connected: printer.connected,
+        device: printer.transport.deviceName || null,
+        profile: printer.profile,
+        status: printer.status,
+        queued,
+      });
+    }
+    if (url.pathname === "/print" || url.pathname === "/printer" || jobMatch) {
+      throw new HttpError(405, `${req.method} is not allowed here`);
+    }
+    throw new HttpError(404, `Not found: ${url.pathname}`);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      await routes(req, res, url);
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      sendJson(res, status, { error: err.message });
+    }
+  });
+  server.jobs = jobs;
+  return server;
+}
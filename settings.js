@@ -0,0 +1,185 @@
+/**
+ * settings.js
+ *
+ * Builds the packets that change printer settings: density, print speed,
+ * paper type and the auto power-off timer. Each setting is a vendor command
+ * (1f 11 xx [n], like the ones in print jobs, see protocol.js), and the
+ * commands are sent together in a framed packet:
+ *
+ *    02 08              start of a settings packet
+ *    LL LL              length of everything up to the checksum (big-endian)
+ *    BB BB              length of the body (big-endian)
+ *    00 41              packet type
+ *    <body>             00 0b ff 23 01, ESC @, 1f 11 02 04, then the settings
+ *    CS                 checksum: the sum of the body's bytes, inverted
+ *
+ * The framing and the density command come from a capture of the Phomemo app.
+ * As with the header and footer commands of print jobs, what a printer does
+ * with a code can vary by model; speed and auto power-off in particular are
+ * not confirmed on every model.
+ */
+
+import { MEDIA_TYPES } from "./protocol.js";
+
+// Frame bytes, see above.
+const PACKET_START = [0x02, 0x08];
+const PACKET_TYPE = [0x00, 0x41];
+const BODY_PREFIX = [0x00, 0x0b, 0xff, 0x23, 0x01];
+// ESC @ and the header setting every print job starts with.
+const BODY_HEADER = [0x1b, 0x40, 0x1f, 0x11, 0x02, 0x04];
+// Sent by the app along with the density; what it does isn't known.
+const APP_SETTING = [0x1f, 0x11, 0x35, 0x00];
+
+// Settings with a value, keyed by name: the vendor command code and the
+// accepted values. The paper type has a command per type (see MEDIA_TYPES).
+export const SETTINGS = {
+  density: { code: 0x37, min: 0x00, max: 0xff }, // density byte, see DENSITY_LEVELS
+  speed: { code: 0x3c, min: 1, max: 5 }, // 1 = slowest, 5 = fastest
+  autoOff: { code: 0x21, min: 0, max: 0xff }, // minutes without use
+};
+
+export const PAPER_TYPES = Object.keys(MEDIA_TYPES);
+
+// The order settings are sent in.
+const SETTING_ORDER = ["density", "speed", "paper", "autoOff"];
+
+/**
+ * Builds the vendor command for one setting.
+ *
+ * @param {String} name - density, speed, autoOff or paper.
+ * @param {Number|String} value - The value; for paper one of PAPER_TYPES.
+ * @returns {Array<Number>} The command bytes, e.g. [0x1f, 0x11, 0x37, 0x80].
+ */
+export function buildSettingCommand(name, value) {
+  if (name === "paper") {
+    if (MEDIA_TYPES[value] === undefined) {
+      throw new Error(
+        `Unknown paper type: ${value} (use ${PAPER_TYPES.join(", ")})`
+      );
+    }
+    return [0x1f, 0x11, MEDIA_TYPES[value]];
+  }
+  const setting = SETTINGS[name];
+  if (!setting) {
+    const names = SETTING_ORDER.join(", ");
+    throw new Error(`Unknown setting: ${name} (use ${names})`);
+  }
+  if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+    throw new Error(
+      `Invalid ${name}: ${value} (use ${setting.min} to ${setting.max})`
+    );
+  }
+  return [0x1f, 0x11, setting.code, value];
+}
+
+// The checksum of a packet body: the inverted sum of its bytes.
+function checksum(body) {
+  return ~body.reduce((sum, byte) => sum + byte, 0) & 0xff;
+}
+
+/**
+ * Frames vendor commands into a settings packet, with its lengths and
+ * checksum (see above).
+ *
+ * @param {Array<Number>} commands - The command bytes, sent after the header.
+ * @returns {Buffer} The packet to write to the printer.
+ */
+export function frameSettings(commands) {
+  const body = [...BODY_PREFIX, ...BODY_HEADER, ...commands];
+  const length = 4 + body.length;
+  if (length > 0xffff) {
+    throw new Error("Too many settings for one packet");
+  }
+  return Buffer.from([
+    ...PACKET_START,
+    length >> 8,
+    length & 0xff,
+    body.length >> 8,
+    body.length & 0xff,
+    ...PACKET_TYPE,
+    ...body,
+    checksum(body),
+  ]);
+}
+
+/**
+ * Builds a packet that changes the given settings, in the order density,
+ * speed, paper type, auto power-off. Settings that are not given stay as
+ * they are.
+ *
+ * @param {Object} settings
+ * @param {Number} [settings.density] - Density byte (0x00 - 0xff).
+ * @param {Number} [settings.speed] - Print speed, 1 (slowest) to 5 (fastest).
+ * @param {String} [settings.paper] - Paper type, one of PAPER_TYPES.
+ * @param {Number} [settings.autoOff] - Minutes without use before the printer turns off.
+ * @returns {Buffer} The packet to write to the printer.
+ */
+export function buildSettingsPacket(settings = {}) {
+  const unknown = Object.keys(settings).find(
+    (name) => !SETTING_ORDER.includes(name)
+  );
+  if (unknown) {
+    const names = SETTING_ORDER.join(", ");
+    throw new Error(`Unknown setting: ${unknown} (use ${names})`);
+  }
+  const commands = [];
+  for (const name of SETTING_ORDER) {
+    if (settings[name] !== undefined && settings[name] !== null) {
+      commands.push(...buildSettingCommand(name, settings[name]));
+    }
+  }
+  if (commands.length === 0) {
+    throw new Error("No settings to change");
+  }
+  return frameSettings(commands);
+}
+
+/**
+ * Builds the packet that changes the print density. It's the packet the
+ * Phomemo app sends, which also selects continuous paper and sends
+ * 1f 11 35 00; only the density byte and the checksum change.
+ *
+ * @param {Number} density - Density byte (0x00 - 0xff).
+ * @returns {Buffer} The packet to write to the printer.
+ */
+export function buildDensityControlPacket(density) {
+  return frameSettings([
+    ...buildSettingCommand("density", density),
+    ...buildSettingCommand("paper", "continuous"),
+    ...APP_SETTING,
+  ]);
+}
+
+/**
+ * Parses a settings packet at `offset`, e.g. while decoding a print stream
+ * (see decode.js).
+ *
+ * @param {Buffer} bytes - The stream.
+ * @param {Number} [offset=0] - Where the packet starts.
+ * @returns {Object|null} { length, commands, checksum, expected } where
+ *   `commands` are the bytes after the body prefix, or null if no complete
+ *   packet starts there.
+ */
+export function parseSettingsPacket(bytes, offset = 0) {
+  const available = bytes.length - offset;
+  if (
+    available < 8 ||
+    bytes[offset] !== PACKET_START[0] ||
+    bytes[offset + 1] !== PACKET_START[1]
+  ) {
+    return null;
+  }
+  const length = bytes.readUInt16BE(offset + 2);
+  const bodyLength = bytes.readUInt16BE(offset + 4);
+  if (length !== 4 + bodyLength || available < 4 + length + 1) {
+    return null;
+  }
+  const body = bytes.subarray(offset + 8, offset + 8 + bodyLength);
+  const prefixed = BODY_PREFIX.every((byte, i) => body[i] === byte);
+  return {
+    length: 4 + length + 1,
+    commands: body.subarray(prefixed ? BODY_PREFIX.length : 0),
+    checksum: bytes[offset + 4 + length],
+    expected: checksum([...body]),
+  };
+}
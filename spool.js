@@ -0,0 +1,435 @@
+/**
+ * spool.js
+ *
+ * A persistent print queue. Encoded jobs are stored in a spool directory
+ * before they are sent, so a dropped connection or a restart doesn't lose them.
+ *
+ * Every job is two files in the spool directory:
+ *
+ *    <id>.bin   - the exact print data
+ *    <id>.json  - its state: { id, status, device, model, paper, source,
+ *                 seed, size, attempts, lastError, nextAttemptAt, createdAt,
+ *                 updatedAt }
+ *
+ * `seed` is the seed the source was dithered with, if the algorithm used
+ * random numbers (see random.js), so it can be dithered the same way again.
+ *
+ * A job's status is one of queued, sending, done, failed or cancelled. Ids
+ * sort in the order the jobs were added, which is the order they are sent.
+ *
+ * processQueue() sends the queued jobs one by one. A job that can't be sent
+ * (no connection, a failed write, paper out, ...) is retried with exponential
+ * backoff and marked failed once it runs out of attempts; the jobs behind it
+ * are sent while it waits. A retried job is sent again from the start, so a
+ * job interrupted halfway may print twice.
+ *
+ * Only one process sends the queue at a time: it holds the lock file
+ * `queue.lock`, which holds its process id.
+ */
+
+import { randomBytes } from "crypto";
+import { existsSync } from "fs";
+import {
+  link,
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  unlink,
+  writeFile,
+} from "fs/promises";
+import * as os from "os";
+import * as path from "path"; // For path-related operations.
+
+import { PhomemoPrinter } from "./printer.js";
+
+export const DEFAULT_SPOOL_DIR =
+  process.env.PHOMEMO_SPOOL || path.join(os.homedir(), ".phomemo", "spool");
+
+export const JOB_STATUSES = [
+  "queued",
+  "sending",
+  "done",
+  "failed",
+  "cancelled",
+];
+
+const LOCK_FILE = "queue.lock";
+
+// How often a queue waiting for a job's next attempt looks for new jobs, in ms.
+const POLL_INTERVAL = 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Whether a process is running, e.g. the one holding the queue lock.
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: it runs, as another user.
+    return err.code === "EPERM";
+  }
+}
+
+// Whether a queued job's next attempt is due.
+const isDue = (job) =>
+  !job.nextAttemptAt || Date.parse(job.nextAttemptAt) <= Date.now();
+
+// Ids start with the time in base 36, padded so they sort by creation time.
+// Jobs added within the same millisecond get consecutive times.
+let lastIdTime = 0;
+function createJobId() {
+  lastIdTime = Math.max(Date.now(), lastIdTime + 1);
+  const time = lastIdTime.toString(36).padStart(10, "0");
+  return `${time}-${randomBytes(3).toString("hex")}`;
+}
+
+// Writes a file atomically, so a crash never leaves half a job behind.
+async function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, data);
+  await rename(tmpPath, filePath);
+}
+
+export class Spool {
+  /**
+   * @param {String} [dir] - The spool directory, created when needed.
+   *   Defaults to $PHOMEMO_SPOOL or ~/.phomemo/spool.
+   */
+  constructor(dir = DEFAULT_SPOOL_DIR) {
+    this.dir = dir;
+  }
+
+  jobPath(id, extension) {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(this.dir, `${id}.${extension}`);
+  }
+
+  /**
+   * Stores an encoded job at the end of the queue.
+   *
+   * @param {Buffer} data - The complete print data.
+   * @param {Object} [info] - Where and how to print it: device (bluetooth
+   *   name), model, paper, source (e.g. the image path) and the seed it was
+   *   dithered with, kept with the job.
+   * @returns {Promise<Object>} The new job.
+   */
+  async add(
+    data,
+    {
+      device = null,
+      model = null,
+      paper = null,
+      source = null,
+      seed = null,
+    } = {}
+  ) {
+    await mkdir(this.dir, { recursive: true });
+    const now = new Date().toISOString();
+    const job = {
+      id: createJobId(),
+      status: "queued",
+      device,
+      model,
+      paper,
+      source,
+      seed,
+      size: data.length,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await writeFileAtomic(this.jobPath(job.id, "bin"), data);
+    await writeFileAtomic(
+      this.jobPath(job.id, "json"),
+      JSON.stringify(job, null, 2)
+    );
+    return job;
+  }
+
+  /**
+   * Lists the jobs in queue order.
+   *
+   * @param {Object} [options]
+   * @param {String|Array<String>} [options.status] - Only jobs with this status.
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ status } = {}) {
+    if (!existsSync(this.dir)) {
+      return [];
+    }
+    const statuses = status ? [].concat(status) : JOB_STATUSES;
+    const files = (await readdir(this.dir)).filter((file) =>
+      file.endsWith(".json")
+    );
+    const jobs = [];
+    for (const file of files.sort()) {
+      const job = JSON.parse(await readFile(path.join(this.dir, file), "utf8"));
+      if (statuses.includes(job.status)) {
+        jobs.push(job);
+      }
+    }
+    return jobs;
+  }
+
+  // Returns the job with the given id, or null.
+  async get(id) {
+    const jsonPath = this.jobPath(id, "json");
+    if (!existsSync(jsonPath)) {
+      return null;
+    }
+    return JSON.parse(await readFile(jsonPath, "utf8"));
+  }
+
+  // Returns the print data of a job.
+  async readData(id) {
+    return readFile(this.jobPath(id, "bin"));
+  }
+
+  // Saves changes to a job and returns the updated job.
+  async update(id, changes) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await writeFileAtomic(
+      this.jobPath(id, "json"),
+      JSON.stringify(job, null, 2)
+    );
+    return job;
+  }
+
+  /**
+   * Puts a failed or cancelled job back in the queue with fresh attempts.
+   *
+   * @param {String} id - The job id.
+   * @returns {Promise<Object>} The updated job.
+   */
+  async retry(id) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+    if (job.status !== "failed" && job.status !== "cancelled") {
+      throw new Error(
+        `Job ${id} is ${job.status}, only failed or cancelled jobs can be retried`
+      );
+    }
+    return this.update(id, {
+      status: "queued",
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+    });
+  }
+
+  /**
+   * Cancels a job that hasn't been printed yet.
+   *
+   * @param {String} id - The job id.
+   * @returns {Promise<Object>} The updated job.
+   */
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+    if (job.status !== "queued" && job.status !== "failed") {
+      throw new Error(
+        `Job ${id} is ${job.status}, only queued or failed jobs can be cancelled`
+      );
+    }
+    return this.update(id, { status: "cancelled", nextAttemptAt: null });
+  }
+
+  /**
+   * Takes the lock that lets one process send the queued jobs. A lock left
+   * behind by a process that stopped is taken over.
+   *
+   * @returns {Promise<Function|null>} Releases the lock, or null if another
+   *   running process (or this one) holds it.
+   */
+  async lock() {
+    await mkdir(this.dir, { recursive: true });
+    const lockPath = path.join(this.dir, LOCK_FILE);
+    // The lock file is linked into place with the process id already in it,
+    // so no other process ever reads an empty lock.
+    const tmpPath = `${lockPath}.${process.pid}.tmp`;
+    await writeFile(tmpPath, String(process.pid));
+    try {
+      for (;;) {
+        try {
+          await link(tmpPath, lockPath);
+          return () => unlink(lockPath).catch(() => {});
+        } catch (err) {
+          if (err.code !== "EEXIST") {
+            throw err;
+          }
+        }
+        const holder = await readFile(lockPath, "utf8").catch(() => null);
+        if (holder !== null && isRunning(Number(holder))) {
+          return null;
+        }
+        await unlink(lockPath).catch(() => {});
+      }
+    } finally {
+      await unlink(tmpPath).catch(() => {});
+    }
+  }
+
+  // Deletes a job and its print data.
+  async remove(id) {
+    await unlink(this.jobPath(id, "bin")).catch(() => {});
+    await unlink(this.jobPath(id, "json"));
+  }
+}
+
+/**
+ * processQueue(spool, options)
+ *
+ * Sends the queued jobs in order until the queue is empty, holding the
+ * spool's lock. A job waiting for its next attempt lets the jobs behind it
+ * go first. Jobs left in the "sending" state by a process that stopped are
+ * sent again.
+ *
+ * @param {Spool} spool - The spool to work through.
+ * @param {Object} [options]
+ * @param {Number} [options.retries=5] - Retries per job before it's marked failed.
+ * @param {Number} [options.retryDelay=2000] - Pause in ms before the first retry, doubled for each attempt.
+ * @param {Number} [options.maxRetryDelay=60000] - Longest pause in ms between two attempts.
+ * @param {Number} [options.completionTimeout=10000] - How long to wait for printers that
+ *   report their status to finish a job, in ms.
+ * @param {Object} [options.printerOptions] - Extra PhomemoPrinter options, e.g. chunkDelay.
+ * @param {Function} [options.createPrinter] - Returns the PhomemoPrinter for a job;
+ *   defaults to one that connects to the job's device over bluetooth.
+ * @param {Function} [options.log] - Called with a message for every attempt.
+ * @returns {Promise<Object>} { done, failed, locked }: the ids of the sent
+ *   and failed jobs; `locked` is true when another process is sending the
+ *   queue, and so sends the jobs still in it.
+ */
+export async function processQueue(
+  spool,
+  {
+    retries = 5,
+    retryDelay = 2000,
+    maxRetryDelay = 60000,
+    completionTimeout = 10000,
+    printerOptions = {},
+    createPrinter = (job) =>
+      new PhomemoPrinter({
+        name: job.device,
+        model: job.model,
+        paper: job.paper || undefined,
+        ...printerOptions,
+      }),
+    log = () => {},
+  } = {}
+) {
+  const result = { done: [], failed: [], locked: false };
+  // The connection is kept while consecutive jobs go to the same device.
+  let current = null;
+  const disconnect = async () => {
+    if (current) {
+      await current.printer.disconnect().catch(() => {});
+      current = null;
+    }
+  };
+  // Jobs whose wait for their next attempt was logged.
+  const waiting = new Set();
+
+  const sendJob = async (job) => {
+    const attempts = job.attempts + 1;
+    await spool.update(job.id, { status: "sending", attempts });
+    log(`Job ${job.id}: sending (attempt ${attempts} of ${retries + 1})`);
+    try {
+      if (!current || current.device !== job.device) {
+        await disconnect();
+        current = { device: job.device, printer: createPrinter(job) };
+      }
+      const { printer } = current;
+      if (!printer.connected) {
+        await printer.connect();
+      }
+      await printer.sendJob(await spool.readData(job.id));
+      await printer.waitForCompletion({ timeout: completionTimeout });
+      await spool.update(job.id, {
+        status: "done",
+        lastError: null,
+        nextAttemptAt: null,
+      });
+      result.done.push(job.id);
+      log(`Job ${job.id}: done`);
+    } catch (err) {
+      // Start from a fresh connection on the next attempt.
+      await disconnect();
+      const lastError = err.code ? `${err.code}: ${err.message}` : err.message;
+      if (attempts > retries) {
+        await spool.update(job.id, {
+          status: "failed",
+          lastError,
+          nextAttemptAt: null,
+        });
+        result.failed.push(job.id);
+        log(`Job ${job.id}: failed: ${err.message}`);
+        return;
+      }
+      const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** (attempts - 1));
+      await spool.update(job.id, {
+        status: "queued",
+        lastError,
+        nextAttemptAt: new Date(Date.now() + backoff).toISOString(),
+      });
+      log(`Job ${job.id}: ${err.message}`);
+    }
+  };
+
+  const pending = () => spool.list({ status: ["queued", "sending"] });
+
+  for (;;) {
+    const release = await spool.lock();
+    if (!release) {
+      result.locked = true;
+      return result;
+    }
+    try {
+      for (;;) {
+        const jobs = await pending();
+        if (jobs.length === 0) {
+          break;
+        }
+        const job = jobs.find(isDue);
+        if (job) {
+          waiting.delete(job.id);
+          await sendJob(job);
+          continue;
+        }
+        // Every job waits for its next attempt: wait for the first, looking
+        // for new jobs meanwhile. Cancelled jobs drop out of the list.
+        const [next] = jobs.sort(
+          (a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt)
+        );
+        const wait = Date.parse(next.nextAttemptAt) - Date.now();
+        if (!waiting.has(next.id)) {
+          waiting.add(next.id);
+          log(`Job ${next.id}: retrying in ${Math.ceil(wait / 1000)}s`);
+        }
+        await delay(Math.min(wait, POLL_INTERVAL));
+      }
+    } finally {
+      await disconnect();
+      await release();
+    }
+    // A process that found the queue locked leaves its jobs to this one, so
+    // look again once the lock is released.
+    if ((await pending()).length === 0) {
+      break;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,106 @@
+/**
+ * status.js
+ *
+ * Decodes the status notifications Phomemo printers send on their notify
+ * characteristic. Every message starts with 0x1a, followed by a code and its
+ * value(s):
+ *
+ *    1a 03 a9 / a8      - overheated / temperature back to normal
+ *    1a 04 nn           - battery level in percent (reply to 1f 11 08)
+ *    1a 05 99 / 88      - cover open / cover closed
+ *    1a 06 88 / 89      - paper out / paper loaded
+ *    1a 07 aa bb cc     - firmware version aa.bb.cc (reply to 1f 11 07)
+ *    1a 0f 0c           - print job complete
+ *
+ * The table was reverse engineered from M02 family printers; other models may
+ * send codes that are not listed here. Those are decoded as "unknown" events
+ * so nothing is lost.
+ */
+
+// Queries the printer answers with a notification.
+export const STATUS_QUERIES = {
+  battery: [0x1f, 0x11, 0x08],
+  firmware: [0x1f, 0x11, 0x07],
+};
+
+// Notifications with a fixed value, keyed by code and value.
+const FIXED_NOTIFICATIONS = {
+  0x03: { 0xa9: "overheat", 0xa8: "temperatureOk" },
+  0x05: { 0x99: "coverOpen", 0x88: "coverClosed" },
+  0x06: { 0x88: "paperOut", 0x89: "paperOk" },
+  0x0f: { 0x0c: "printComplete" },
+};
+
+const STATUS_PREFIX = 0x1a;
+const BATTERY_CODE = 0x04;
+const FIRMWARE_CODE = 0x07;
+
+// Events that make printing impossible, with their error code and message.
+export const STATUS_ERRORS = {
+  paperOut: { code: "PAPER_OUT", message: "The printer is out of paper" },
+  coverOpen: { code: "COVER_OPEN", message: "The printer cover is open" },
+  overheat: { code: "OVERHEAT", message: "The printer is overheated" },
+};
+
+/**
+ * decodeStatus(data)
+ *
+ * Decodes a notification into status events. A single notification may hold
+ * several messages.
+ *
+ * @param {Buffer|Array<Number>} data - Bytes received from the notify characteristic.
+ * @returns {Array<Object>} Events like { type: "battery", level: 80, raw },
+ *   { type: "firmware", version: "1.2.3", raw } or { type: "paperOut", raw }.
+ */
+export function decodeStatus(data) {
+  const bytes = Buffer.from(data);
+  const events = [];
+  let index = 0;
+  while (index < bytes.length) {
+    if (bytes[index] !== STATUS_PREFIX || index + 2 >= bytes.length) {
+      // Not a status message we understand: keep the rest as is.
+      events.push({ type: "unknown", raw: bytes.subarray(index) });
+      break;
+    }
+    const code = bytes[index + 1];
+    const value = bytes[index + 2];
+    if (code === FIRMWARE_CODE && index + 4 < bytes.length) {
+      const raw = bytes.subarray(index, index + 5);
+      events.push({
+        type: "firmware",
+        version: [...raw.subarray(2)].join("."),
+        raw,
+      });
+      index += 5;
+      continue;
+    }
+    const raw = bytes.subarray(index, index + 3);
+    if (code === BATTERY_CODE) {
+      events.push({ type: "battery", level: value, raw });
+    } else if (FIXED_NOTIFICATIONS[code]?.[value]) {
+      events.push({ type: FIXED_NOTIFICATIONS[code][value], raw });
+    } else {
+      events.push({ type: "unknown", code, value, raw });
+    }
+    index += 3;
+  }
+  return events;
+}
+
+/**
+ * Creates the error thrown when a status event makes printing impossible,
+ * or returns null for harmless events. The error's `code` is one of
+ * PAPER_OUT, COVER_OPEN or OVERHEAT.
+ *
+ * @param {Object} event - A decoded status event.
+ * @returns {Error|null}
+ */
+export function statusError(event) {
+  const known = STATUS_ERRORS[event.type];
+  if (!known) {
+    return null;
+  }
+  const err = new Error(known.message);
+  err.code = known.code;
+  return err;
+}
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  adjustImage,
+  normalizeAdjustments,
+  parseAdjustment,
+} from "../adjust.js";
+
+// A one-row image of opaque gray pixels.
+function row(levels) {
+  const data = Buffer.alloc(levels.length * 4);
+  levels.forEach((level, i) => {
+    data.fill(level, i * 4, i * 4 + 3);
+    data[i * 4 + 3] = 255;
+  });
+  return { width: levels.length, height: 1, data };
+}
+
+// The gray levels of a one-row image after the adjustments.
+function adjusted(levels, adjust) {
+  const { data } = adjustImage(row(levels), adjust);
+  return levels.map((_, i) => data[i * 4]);
+}
+
+const RAMP = [0, 64, 128, 192, 255];
+
+test("nothing adjusted leaves the image alone", () => {
+  const image = { width: 1, height: 1, data: Buffer.of(255, 0, 0, 255) };
+  assert.equal(adjustImage(image, {}), image);
+  adjustImage(image, { brightness: 0, contrast: 0, gamma: 1 });
+  assert.deepEqual([...image.data], [255, 0, 0, 255]);
+});
+
+test("brightness", () => {
+  assert.deepEqual(adjusted(RAMP, { brightness: 10 }), [26, 90, 154, 218, 255]);
+  assert.deepEqual(adjusted(RAMP, { brightness: -100 }), [0, 0, 0, 0, 0]);
+  assert.deepEqual(
+    adjusted(RAMP, { brightness: 100 }),
+    [255, 255, 255, 255, 255]
+  );
+});
+
+test("contrast", () => {
+  assert.deepEqual(adjusted(RAMP, { contrast: 100 }), [0, 0, 128, 255, 255]);
+  assert.deepEqual(
+    adjusted(RAMP, { contrast: -100 }),
+    [128, 128, 128, 128, 128]
+  );
+});
+
+test("gamma", () => {
+  assert.deepEqual(adjusted(RAMP, { gamma: 2 }), [0, 128, 181, 221, 255]);
+  assert.deepEqual(adjusted(RAMP, { gamma: 0.5 }), [0, 16, 64, 145, 255]);
+});
+
+test("levels", () => {
+  assert.deepEqual(
+    adjusted([50, 100, 150, 200], { levels: "auto" }),
+    [0, 85, 170, 255]
+  );
+  assert.deepEqual(
+    adjusted([10, 10, 20, 30], { levels: "equalize" }),
+    [0, 0, 128, 255]
+  );
+  // A flat image has no range to stretch.
+  assert.deepEqual(adjusted([90, 90], { levels: "auto" }), [90, 90]);
+});
+
+test("sharpen", () => {
+  assert.deepEqual(
+    adjusted([100, 100, 200, 200], { sharpen: 1 }),
+    [100, 88, 213, 200]
+  );
+  assert.deepEqual(adjusted([70, 70, 70], { sharpen: 3 }), [70, 70, 70]);
+});
+
+test("white point and invert", () => {
+  assert.deepEqual(adjusted(RAMP, { whitePoint: 192 }), [0, 64, 128, 255, 255]);
+  assert.deepEqual(adjusted(RAMP, { invert: true }), [255, 191, 127, 63, 0]);
+  // The white point comes first, whatever the order given.
+  assert.deepEqual(
+    adjusted(RAMP, { invert: true, whitePoint: 192 }),
+    [255, 191, 127, 0, 0]
+  );
+});
+
+test("colors are made gray and transparent pixels left alone", () => {
+  const image = {
+    width: 2,
+    height: 1,
+    data: Buffer.of(255, 0, 0, 255, 10, 20, 30, 0),
+  };
+  adjustImage(image, { invert: true });
+  assert.deepEqual([...image.data], [179, 179, 179, 255, 10, 20, 30, 0]);
+});
+
+test("values from the command line and query strings are parsed", () => {
+  assert.deepEqual(
+    normalizeAdjustments({
+      gamma: "1.4",
+      brightness: "-20",
+      invert: "yes",
+      contrast: undefined,
+      sharpen: null,
+    }),
+    { gamma: 1.4, brightness: -20, invert: true }
+  );
+  assert.equal(parseAdjustment("invert", "0"), false);
+  assert.equal(parseAdjustment("whitePoint", 255), 255);
+});
+
+test("out of range values are refused", () => {
+  for (const [name, value, message] of [
+    ["brightness", 101, /Invalid brightness: 101 \(use -100 to 100\)/],
+    ["brightness", "bright", /Invalid brightness/],
+    ["brightness", "", /Invalid brightness/],
+    ["contrast", -150, /Invalid contrast: -150/],
+    ["gamma", 0, /Invalid gamma: 0 \(use more than 0\)/],
+    ["gamma", 11, /Invalid gamma: 11 \(use 0 to 10\)/],
+    ["sharpen", -1, /Invalid sharpen: -1/],
+    ["whitePoint", 256, /Invalid whitePoint: 256 \(use 0 to 255\)/],
+    ["levels", "max", /Invalid levels: max \(use auto, equalize\)/],
+    ["invert", "maybe", /Invalid invert: maybe/],
+    ["hue", 10, /Unknown adjustment: hue/],
+  ]) {
+    assert.throws(() => parseAdjustment(name, value), message);
+  }
+  assert.throws(() => adjustImage(row(RAMP), { gamma: -1 }), /Invalid gamma/);
+});
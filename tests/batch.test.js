@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+
+import { expandInputs } from "../batch.js";
+
+const root = mkdtempSync(join(tmpdir(), "phomemo-batch-"));
+const cwd = process.cwd();
+
+before(() => {
+  mkdirSync(join(root, "imgs", "more"), { recursive: true });
+  for (const file of ["a1.png", "a2.png", "a10.png", "b.jpg", "notes.txt"]) {
+    writeFileSync(join(root, "imgs", file), "");
+  }
+  writeFileSync(join(root, "imgs", "more", "a1.png"), "");
+  process.chdir(root);
+});
+
+after(() => {
+  process.chdir(cwd);
+  rmSync(root, { recursive: true, force: true });
+});
+
+test("directories list their images in natural order", async () => {
+  assert.deepEqual(await expandInputs("imgs"), [
+    join("imgs", "a1.png"),
+    join("imgs", "a2.png"),
+    join("imgs", "a10.png"),
+    join("imgs", "b.jpg"),
+  ]);
+});
+
+test("globs match images in natural order", async () => {
+  assert.deepEqual(await expandInputs("imgs/**/a1*.png"), [
+    join("imgs", "a1.png"),
+    join("imgs", "a10.png"),
+    join("imgs", "more", "a1.png"),
+  ]);
+});
+
+test("a file listed by several inputs is printed once, where it first appears", async () => {
+  assert.deepEqual(await expandInputs(["imgs", "imgs/a1*.png"]), [
+    join("imgs", "a1.png"),
+    join("imgs", "a2.png"),
+    join("imgs", "a10.png"),
+    join("imgs", "b.jpg"),
+  ]);
+  assert.deepEqual(
+    await expandInputs(["imgs/b.jpg", "./imgs/a2.png", "imgs", "imgs/b.jpg"]),
+    [
+      "imgs/b.jpg",
+      "./imgs/a2.png",
+      join("imgs", "a1.png"),
+      join("imgs", "a10.png"),
+    ]
+  );
+});
+
+test("files are kept as given, whatever their extension", async () => {
+  assert.deepEqual(await expandInputs(["imgs/notes.txt"]), ["imgs/notes.txt"]);
+});
+
+test("inputs that match nothing are errors", async () => {
+  await assert.rejects(expandInputs("missing.png"), /No such file/);
+  await assert.rejects(expandInputs("imgs/*.gif"), /No images or PDFs match/);
+  await assert.rejects(expandInputs("imgs/more/none"), /No such file/);
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+
+import {
+  calibrationKey,
+  loadCalibration,
+  saveCalibration,
+  toneCurve,
+} from "../calibration.js";
+
+const dir = mkdtempSync(join(tmpdir(), "phomemo-calibration-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const darkness = [0, 0.2, 0.38, 0.52, 0.66, 0.78, 0.87, 0.93, 0.97, 0.99, 1];
+
+test("printers are known by their device, or else their model", () => {
+  assert.equal(calibrationKey({ device: "M02S", model: "M02S" }), "M02S");
+  assert.equal(
+    calibrationKey({ device: "Desk printer", model: "M02S" }),
+    "Desk printer"
+  );
+  assert.equal(calibrationKey({ device: null, model: "M02S" }), "M02S");
+  assert.equal(calibrationKey({ model: "M110" }), "M110");
+});
+
+test("calibrations are saved per printer and density", async () => {
+  const file = join(dir, "calibration.json");
+  await saveCalibration("Kitchen", 0x5e, darkness, { file });
+  await saveCalibration(
+    "Office",
+    0x5e,
+    darkness.map((d) => d * d),
+    { file }
+  );
+  await saveCalibration("Kitchen", 0x99, darkness, { file });
+
+  assert.deepEqual(
+    (await loadCalibration("Kitchen", 0x5e, { file })).darkness,
+    darkness
+  );
+  assert.notDeepEqual(
+    (await loadCalibration("Office", 0x5e, { file })).darkness,
+    darkness
+  );
+  assert.equal(await loadCalibration("Office", 0x99, { file }), null);
+  assert.equal(await loadCalibration("M02S", 0x5e, { file }), null);
+  assert.deepEqual(Object.keys(JSON.parse(readFileSync(file, "utf8"))), [
+    "Kitchen",
+    "Office",
+  ]);
+});
+
+test("a missing calibration file holds no calibrations", async () => {
+  const file = join(dir, "missing.json");
+  assert.equal(await loadCalibration("M02S", 0x5e, { file }), null);
+});
+
+test("the tone curve lightens midtones that print too dark", () => {
+  const curve = toneCurve(darkness);
+  assert.equal(curve[0], 0);
+  assert.equal(curve[255], 255);
+  assert.ok(curve[128] > 128);
+});
@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import Jimp from "jimp";
+
+import { CODE_TYPES, encodeCode, renderCode } from "../codes.js";
+
+// Whether the pixel is black.
+const isBlack = (image, x, y) => image.getPixelColor(x, y) === 0x000000ff;
+
+// Whether every pixel of the rectangle is white.
+function isBlank(image, x, y, width, height) {
+  for (let py = y; py < y + height; py++) {
+    for (let px = x; px < x + width; px++) {
+      if (isBlack(image, px, py)) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+test("symbols are encoded into modules", () => {
+  const qr = encodeCode("HELLO", "qr");
+  assert.equal(qr.columns, 21);
+  assert.equal(qr.rows, 21);
+  assert.ok(qr.modules.flat().every((module) => module === 0 || module === 1));
+
+  const ean = encodeCode("590123412345", "ean13");
+  assert.equal(ean.columns, 95);
+  assert.equal(ean.rows, 1);
+  // Start guard: bar, space, bar.
+  assert.deepEqual(ean.modules[0].slice(0, 3), [1, 0, 1]);
+});
+
+test("every QR module is a whole number of dots, in its quiet zone", async () => {
+  const { modules } = encodeCode("HELLO", "qr");
+  const image = await Jimp.read(
+    await renderCode("HELLO", { width: 384, moduleSize: 4 })
+  );
+  const quietZone = CODE_TYPES.qr.quietZone * 4;
+  assert.equal(image.bitmap.width, 384);
+  assert.equal(image.bitmap.height, 21 * 4 + 2 * quietZone);
+
+  const left = (384 - 21 * 4) / 2;
+  for (let y = 0; y < 21; y++) {
+    for (let x = 0; x < 21; x++) {
+      for (let dot = 0; dot < 16; dot++) {
+        const px = left + x * 4 + (dot % 4);
+        const py = quietZone + y * 4 + Math.floor(dot / 4);
+        assert.equal(isBlack(image, px, py), modules[y][x] === 1);
+      }
+    }
+  }
+  assert.ok(isBlank(image, 0, 0, 384, quietZone));
+  assert.ok(isBlank(image, 0, image.bitmap.height - quietZone, 384, quietZone));
+  assert.ok(
+    isBlank(image, left - quietZone, 0, quietZone, image.bitmap.height)
+  );
+  assert.ok(isBlank(image, left + 84, 0, quietZone, image.bitmap.height));
+});
+
+test("the module size defaults to the largest that fits, at most 1mm", async () => {
+  // 8 dots are 1mm at 203 dpi.
+  const qr = await Jimp.read(await renderCode("HELLO", { width: 384 }));
+  assert.equal(qr.bitmap.height, (21 + 8) * 8);
+
+  // 95 modules and a quiet zone of 11 on each side fit 3 dots wide.
+  const ean = await Jimp.read(
+    await renderCode("590123412345", {
+      width: 384,
+      type: "ean13",
+      barHeight: 40,
+    })
+  );
+  const { modules } = encodeCode("590123412345", "ean13");
+  const left = Math.floor((384 - 95 * 3) / 2);
+  assert.ok(left >= CODE_TYPES.ean13.quietZone * 3);
+  assert.equal(ean.bitmap.height, 40);
+  for (let x = 0; x < 384; x++) {
+    const module = Math.floor((x - left) / 3);
+    const black = module >= 0 && module < 95 && modules[0][module] === 1;
+    assert.equal(isBlack(ean, x, 0), black, `column ${x}`);
+    assert.equal(isBlack(ean, x, 39), black, `column ${x}`);
+  }
+});
+
+test("a caption is printed under the symbol", async () => {
+  const plain = await Jimp.read(
+    await renderCode("590123412345", {
+      width: 384,
+      type: "ean13",
+      barHeight: 40,
+    })
+  );
+  const captioned = await Jimp.read(
+    await renderCode("590123412345", {
+      width: 384,
+      type: "ean13",
+      barHeight: 40,
+      caption: true,
+    })
+  );
+  assert.ok(captioned.bitmap.height > plain.bitmap.height);
+  // The bars, a gap of 1mm, then the text.
+  const gap = 8;
+  assert.ok(isBlank(captioned, 0, 40, 384, gap));
+  assert.ok(
+    !isBlank(captioned, 0, 40 + gap, 384, captioned.bitmap.height - 40 - gap)
+  );
+  // The data is captioned with its check digit.
+  const withCheckDigit = await Jimp.read(
+    await renderCode("5901234123457", {
+      width: 384,
+      type: "ean13",
+      barHeight: 40,
+      caption: "5901234123457",
+    })
+  );
+  assert.deepEqual(withCheckDigit.bitmap.data, captioned.bitmap.data);
+});
+
+test("invalid data and sizes are clean errors", async () => {
+  await assert.rejects(renderCode("12345", { width: 384, type: "ean13" }), {
+    message: 'Cannot encode "12345" as EAN-13: EAN-13 must be 12 or 13 digits',
+  });
+  await assert.rejects(
+    renderCode("5901234123450", { width: 384, type: "ean13" }),
+    /Cannot encode "5901234123450" as EAN-13: Incorrect EAN-13 check digit/
+  );
+  await assert.rejects(
+    renderCode("HELLO", { width: 384, type: "pdf417" }),
+    /Unknown code type: pdf417/
+  );
+  await assert.rejects(
+    renderCode("HELLO", { width: 384, errorCorrection: "X" }),
+    /Unknown error correction level: X/
+  );
+  await assert.rejects(
+    renderCode("HELLO", { width: 384, moduleSize: 1.5 }),
+    /Invalid module size: 1.5/
+  );
+  await assert.rejects(
+    renderCode("HELLO", { width: 384, moduleSize: 14 }),
+    /needs 406 dots with its quiet zone, but the paper is 384 dots wide \(use a module size of at most 13\)/
+  );
+});
@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import Jimp from "jimp";
+
+import { decodePrintData, parsePrintData } from "../decode.js";
+import { resolveProfile } from "../profiles.js";
+import { getLabelPrintData, getPrintDataFromPort } from "../protocol.js";
+import { buildSettingsPacket } from "../settings.js";
+
+// Known raster bytes, bytesPerLine per row: every value but 0x14, which the
+// encoder only writes in place of 0x0a. The first byte is 0x0a.
+function rasterBytes(bytesPerLine, lines) {
+  const bytes = Buffer.alloc(bytesPerLine * lines);
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = (0x0a + i * 37 + Math.floor(i / bytesPerLine) * 11) & 0xff;
+    bytes[i] = byte === 0x14 ? 0 : byte;
+  }
+  return bytes;
+}
+
+// Draws raster bytes as an image, the leftmost dot in the highest bit.
+function imageOf(bytes, bytesPerLine) {
+  const image = new Jimp(bytesPerLine * 8, bytes.length / bytesPerLine);
+  image.scan(0, 0, image.bitmap.width, image.bitmap.height, (x, y, idx) => {
+    const byte = bytes[y * bytesPerLine + (x >> 3)];
+    const black = byte & (0x80 >> (x & 7));
+    image.bitmap.data.fill(black ? 0 : 255, idx, idx + 3);
+    image.bitmap.data[idx + 3] = 255;
+  });
+  return image;
+}
+
+// The raster bytes of a decoded PNG.
+async function bytesOf(png, bytesPerLine) {
+  const { bitmap } = await Jimp.read(png);
+  const bytes = Buffer.alloc(bytesPerLine * bitmap.height);
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      if (bitmap.data[(y * bitmap.width + x) * 4] === 0) {
+        bytes[y * bytesPerLine + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return bytes;
+}
+
+test("an encoded image decodes to its commands and its page", async () => {
+  const profile = resolveProfile("M02");
+  const bytes = rasterBytes(profile.bytesPerLine, 300);
+  const data = await getPrintDataFromPort(
+    imageOf(bytes, profile.bytesPerLine),
+    profile
+  );
+
+  const commands = parsePrintData(data);
+  assert.deepEqual(
+    commands.map((command) => command.description),
+    [
+      "initialize printer",
+      "justify left",
+      "header setting 0x04",
+      "raster image, 48 bytes x 256 lines, mode 0",
+      "raster image, 48 bytes x 44 lines, mode 0",
+      "print and feed 2 lines",
+      "print and feed 2 lines",
+      "query battery level",
+      "footer command",
+      "query firmware version",
+      "footer command",
+    ]
+  );
+  assert.equal(commands[3].offset, 9);
+  assert.equal(commands[3].bytes, "1d 76 30 00 30 00 ff 00");
+  assert.equal(
+    commands.reduce((length, command) => length + command.length, 0),
+    data.length
+  );
+
+  // The printer gets 0x14 for every 0x0a; undoing it gives the image back.
+  const substituted = Buffer.from(bytes).map((byte) =>
+    byte === 0x0a ? 0x14 : byte
+  );
+  assert.equal(substituted[0], 0x14);
+  const page = await decodePrintData(data);
+  assert.equal(page.width, 384);
+  assert.equal(page.height, 300);
+  assert.deepEqual(await bytesOf(page.png, 48), substituted);
+  const original = await decodePrintData(data, { undoSubstitution: true });
+  assert.deepEqual(await bytesOf(original.png, 48), bytes);
+
+  // Fed lines are drawn as blank rows.
+  const fed = await decodePrintData(data, { feedLineDots: 10 });
+  assert.equal(fed.height, 340);
+});
+
+test("labels decode with their gaps", async () => {
+  const profile = resolveProfile("M110");
+  const first = rasterBytes(profile.bytesPerLine, 20);
+  const second = rasterBytes(profile.bytesPerLine, 30).reverse();
+  const data = await getLabelPrintData(
+    [
+      imageOf(first, profile.bytesPerLine),
+      imageOf(second, profile.bytesPerLine),
+    ],
+    profile
+  );
+  assert.deepEqual(
+    parsePrintData(data).map((command) => command.type),
+    [
+      "init",
+      "justify",
+      "vendor",
+      "raster",
+      "gapFeed",
+      "raster",
+      "gapFeed",
+      "label",
+    ]
+  );
+
+  const page = await decodePrintData(data, {
+    gapDots: 5,
+    undoSubstitution: true,
+  });
+  assert.equal(page.height, 20 + 5 + 30 + 5);
+  const bytes = await bytesOf(page.png, profile.bytesPerLine);
+  const gap = Buffer.alloc(5 * profile.bytesPerLine);
+  assert.deepEqual(bytes, Buffer.concat([first, gap, second, gap]));
+});
+
+test("settings packets are listed with their commands", () => {
+  const packet = buildSettingsPacket({ density: 4, speed: 3 });
+  const [settings] = parsePrintData(packet);
+  assert.equal(settings.type, "settings");
+  assert.equal(settings.length, packet.length);
+  assert.equal(settings.bytes, "02 08 00 17 00 13 00 41");
+  assert.equal(
+    settings.description,
+    "settings packet (checksum ok): initialize printer, header setting 0x04, set density 0x04, set print speed 0x03"
+  );
+
+  packet[packet.length - 1] ^= 0xff;
+  assert.match(
+    parsePrintData(packet)[0].description,
+    /^settings packet \(bad checksum 0x[0-9a-f]{2}, expected 0x[0-9a-f]{2}\)/
+  );
+});
+
+test("unknown bytes are grouped", async () => {
+  const commands = parsePrintData([0x00, 0x01, 0x02, 0x1b, 0x40, 0x99]);
+  assert.deepEqual(
+    commands.map(({ type, offset, length }) => [type, offset, length]),
+    [
+      ["unknown", 0, 3],
+      ["init", 3, 2],
+      ["unknown", 5, 1],
+    ]
+  );
+  assert.equal(commands[0].description, "3 unknown bytes");
+  assert.equal((await decodePrintData([0x1b, 0x40])).png, null);
+});
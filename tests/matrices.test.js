@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import {
+  existsSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import {
+  BAYER_SIZES,
+  bayerMatrix,
+  blueNoiseMatrix,
+  checkBlueNoiseOptions,
+} from "../matrices.js";
+
+const dir = mkdtempSync(join(tmpdir(), "phomemo-matrices-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Whether the matrix holds every rank from 0 to n² - 1 exactly once.
+function isPermutation(matrix, size) {
+  const sorted = [...matrix].sort((a, b) => a - b);
+  return sorted.length === size * size && sorted.every((rank, i) => rank === i);
+}
+
+// The bytes of a matrix as it is cached.
+const cached = (matrix) => Buffer.from(Uint16Array.from(matrix).buffer);
+
+test("Bayer matrices of every size rank each cell once", () => {
+  assert.deepEqual(BAYER_SIZES, [2, 4, 8, 16]);
+  for (const size of BAYER_SIZES) {
+    assert.ok(isPermutation(bayerMatrix(size), size), `size ${size}`);
+  }
+  assert.deepEqual([...bayerMatrix(2)], [0, 2, 3, 1]);
+  assert.deepEqual(
+    [...bayerMatrix()],
+    [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5]
+  );
+});
+
+test("other Bayer sizes are refused", () => {
+  for (const size of [0, 1, 3, 6, 32, 4.5, "4"]) {
+    assert.throws(
+      () => bayerMatrix(size),
+      /Invalid Bayer matrix size: .* \(use 2, 4, 8, 16\)/
+    );
+  }
+});
+
+test("blue-noise options are checked", () => {
+  for (const size of [7, 129, 8.5]) {
+    assert.throws(
+      () => checkBlueNoiseOptions(size),
+      /Invalid blue-noise matrix size: .* \(use 8 to 128\)/
+    );
+    assert.throws(() => blueNoiseMatrix(size, { cacheDir: null }));
+  }
+  assert.throws(() => checkBlueNoiseOptions(8, -1), /seed/);
+  checkBlueNoiseOptions(8);
+  checkBlueNoiseOptions(128, 0);
+});
+
+test("blue-noise matrices spread their lightest dots apart", () => {
+  const matrix = blueNoiseMatrix(16, { seed: 5, cacheDir: null });
+  assert.ok(isPermutation(matrix, 16));
+  // The lightest tenth of the dots: none touch, diagonally either.
+  const dots = [];
+  matrix.forEach((rank, i) => {
+    if (rank < 26) {
+      dots.push([i % 16, Math.floor(i / 16)]);
+    }
+  });
+  for (const [ax, ay] of dots) {
+    for (const [bx, by] of dots) {
+      const dx = Math.min(Math.abs(ax - bx), 16 - Math.abs(ax - bx));
+      const dy = Math.min(Math.abs(ay - by), 16 - Math.abs(ay - by));
+      assert.ok(dx + dy === 0 || Math.hypot(dx, dy) >= 2);
+    }
+  }
+});
+
+test("built blue-noise matrices are cached per size and seed", () => {
+  const cacheDir = join(dir, "built");
+  const matrix = blueNoiseMatrix(8, { seed: 3, cacheDir });
+  assert.ok(isPermutation(matrix, 8));
+  const file = join(cacheDir, "blue-noise-8-seed-3.bin");
+  assert.deepEqual(readFileSync(file), cached(matrix));
+  assert.equal(blueNoiseMatrix(8, { seed: 3, cacheDir }), matrix);
+});
+
+test("cached blue-noise matrices are read back", () => {
+  const cacheDir = join(dir, "read");
+  blueNoiseMatrix(8, { seed: 4, cacheDir });
+  // A valid matrix that void-and-cluster would never build.
+  const reversed = Array.from({ length: 64 }, (_, i) => 63 - i);
+  writeFileSync(join(cacheDir, "blue-noise-8-seed-11.bin"), cached(reversed));
+  assert.deepEqual([...blueNoiseMatrix(8, { seed: 11, cacheDir })], reversed);
+});
+
+test("a damaged cache file is built again", () => {
+  const cacheDir = join(dir, "damaged");
+  blueNoiseMatrix(8, { seed: 6, cacheDir });
+  const file = join(cacheDir, "blue-noise-8-seed-12.bin");
+  writeFileSync(file, cached(new Array(64).fill(0)));
+  const matrix = blueNoiseMatrix(8, { seed: 12, cacheDir });
+  assert.ok(isPermutation(matrix, 8));
+  assert.deepEqual(readFileSync(file), cached(matrix));
+});
+
+test("matrices are built where the cache can't be written", () => {
+  const notADir = join(dir, "file");
+  writeFileSync(notADir, "");
+  const matrix = blueNoiseMatrix(8, { seed: 13, cacheDir: notADir });
+  assert.ok(isPermutation(matrix, 8));
+});
+
+// Builds a matrix in a new process with the environment, and returns the
+// cache directory it used.
+function cacheDirOf(env) {
+  const script = `import { blueNoiseMatrix, MATRIX_CACHE_DIR } from "./matrices.js";
+    blueNoiseMatrix(8, { seed: 14 });
+    console.log(MATRIX_CACHE_DIR);`;
+  const output = execFileSync(
+    process.execPath,
+    ["--input-type=module", "-e", script],
+    { cwd: fileURLToPath(new URL("..", import.meta.url)), env }
+  );
+  return output.toString().trim();
+}
+
+test("the cache is in ~/.phomemo/matrices, or PHOMEMO_MATRIX_CACHE", () => {
+  const home = join(dir, "home");
+  const { PHOMEMO_MATRIX_CACHE, ...env } = process.env;
+  const cacheDir = join(home, ".phomemo", "matrices");
+  assert.equal(cacheDirOf({ ...env, HOME: home }), cacheDir);
+  assert.ok(existsSync(join(cacheDir, "blue-noise-8-seed-14.bin")));
+
+  const moved = join(dir, "moved");
+  assert.equal(cacheDirOf({ ...env, PHOMEMO_MATRIX_CACHE: moved }), moved);
+  assert.ok(existsSync(join(moved, "blue-noise-8-seed-14.bin")));
+});
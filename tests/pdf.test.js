@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import Jimp from "jimp";
+
+import {
+  getPdfPageSizes,
+  isPdf,
+  loadCanvas,
+  parsePageRanges,
+  renderPdfPages,
+} from "../pdf.js";
+
+// A PDF whose pages are 200 × 100 points, each with a black square in its
+// top left corner, 50 points wide.
+function squaresPdf(pageCount) {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Count ${pageCount} /Kids [${Array.from(
+      { length: pageCount },
+      (_, i) => `${3 + i * 2} 0 R`
+    ).join(" ")}] >>`,
+  ];
+  const content = "0 g 0 50 50 50 re f";
+  for (let i = 0; i < pageCount; i++) {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 100] /Contents ${
+        4 + i * 2
+      } 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  }
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  const size = objects.length + 1;
+  pdf += `xref\n0 ${size}\n0000000000 65535 f \n`;
+  for (const offset of offsets) {
+    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${size} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf);
+}
+
+test("PDFs are told apart by their signature", async () => {
+  assert.equal(await isPdf(squaresPdf(1)), true);
+  assert.equal(await isPdf(Buffer.from("\x89PNG\r\n")), false);
+});
+
+test("page selections", () => {
+  assert.deepEqual(parsePageRanges("1,3-4"), [1, 3, 4]);
+  assert.deepEqual(parsePageRanges(" 2 , 1 "), [2, 1]);
+  for (const value of ["0", "3-1", "a", "1,", ""]) {
+    assert.throws(() => parsePageRanges(value), /Invalid page selection/);
+  }
+});
+
+test("pages are rendered at the width they print at", async () => {
+  const pdf = squaresPdf(2);
+  assert.deepEqual(await getPdfPageSizes(pdf), [
+    { page: 1, width: 200, height: 100 },
+    { page: 2, width: 200, height: 100 },
+  ]);
+  const pngs = await renderPdfPages(pdf, { width: 384, pages: [2] });
+  assert.equal(pngs.length, 1);
+  const image = await Jimp.read(pngs[0]);
+  assert.equal(image.bitmap.width, 384);
+  assert.equal(image.bitmap.height, 192);
+  // The square covers the first quarter of the width, on a white page.
+  assert.equal(image.getPixelColor(10, 10), 0x000000ff);
+  assert.equal(image.getPixelColor(200, 10), 0xffffffff);
+  assert.equal(image.getPixelColor(10, 150), 0xffffffff);
+
+  await assert.rejects(
+    renderPdfPages(pdf, { width: 384, pages: [3] }),
+    /Page 3 doesn't exist, the PDF has 2 page/
+  );
+});
+
+test("a missing canvas module is reported as such", async () => {
+  const missing = () => {
+    const err = new Error("Cannot find native binding");
+    err.code = "ERR_MODULE_NOT_FOUND";
+    throw err;
+  };
+  await assert.rejects(loadCanvas(missing), (err) => {
+    assert.match(err.message, /Printing PDFs needs @napi-rs\/canvas/);
+    assert.match(err.message, /npm install @napi-rs\/canvas/);
+    assert.equal(err.cause.code, "ERR_MODULE_NOT_FOUND");
+    return true;
+  });
+  assert.equal(typeof (await loadCanvas()).createCanvas, "function");
+});
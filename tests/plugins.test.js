@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+
+import { ALGORITHMS, registeredAlgorithm } from "../dithering.js";
+import {
+  loadAlgorithmModule,
+  loadedPluginModules,
+  loadPluginDir,
+} from "../plugins.js";
+
+const dir = mkdtempSync(join(tmpdir(), "phomemo-plugins-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Writes a plugin module to the temporary directory.
+function plugin(file, source) {
+  const modulePath = join(dir, file);
+  writeFileSync(modulePath, source);
+  return modulePath;
+}
+
+test("a missing plugin directory has no plugins", async () => {
+  assert.deepEqual(await loadPluginDir(join(dir, "missing")), []);
+});
+
+test("a plugin directory that can't be read is reported", async () => {
+  const file = plugin("not-a-dir.txt", "");
+  const errors = [];
+  assert.deepEqual(
+    await loadPluginDir(file, { onError: (err) => errors.push(err) }),
+    []
+  );
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /Cannot read the plugin directory/);
+  assert.equal(errors[0].cause.code, "ENOTDIR");
+  await assert.rejects(loadPluginDir(file), /Cannot read the plugin directory/);
+});
+
+test("a plugin with an invalid algorithm registers none of them", async () => {
+  const modulePath = plugin(
+    "half-broken.mjs",
+    `export default [
+      { name: "PLUGIN_GOOD", dither() {} },
+      { name: "PLUGIN_BAD", options: { size: { type: "huge" } }, dither() {} },
+    ];`
+  );
+  await assert.rejects(loadAlgorithmModule(modulePath), /needs a type/);
+  assert.equal(ALGORITHMS.PLUGIN_GOOD, undefined);
+  assert.equal(registeredAlgorithm("PLUGIN_GOOD"), null);
+  assert.ok(
+    !loadedPluginModules().some((url) => url.endsWith("half-broken.mjs"))
+  );
+});
+
+test("a plugin defining a name twice registers neither", async () => {
+  const modulePath = plugin(
+    "twice.mjs",
+    `export default [
+      { name: "PLUGIN_TWICE", dither() {} },
+      { name: "PLUGIN_TWICE", dither() {} },
+    ];`
+  );
+  await assert.rejects(loadAlgorithmModule(modulePath), /PLUGIN_TWICE/);
+  assert.equal(ALGORITHMS.PLUGIN_TWICE, undefined);
+});
+
+test("a plugin can't replace a built-in algorithm", async () => {
+  const modulePath = plugin(
+    "builtin.mjs",
+    `export default [
+      { name: "PLUGIN_FIRST", dither() {} },
+      { name: "ATKINSON", dither() {} },
+    ];`
+  );
+  await assert.rejects(loadAlgorithmModule(modulePath), /already is/);
+  assert.equal(ALGORITHMS.PLUGIN_FIRST, undefined);
+});
+
+test("a valid plugin registers all its algorithms, once", async () => {
+  const modulePath = plugin(
+    "valid.mjs",
+    `export default [
+      { name: "PLUGIN_ONE", dither() {} },
+      { name: "PLUGIN_TWO", options: { n: { type: "integer", default: 2 } }, dither() {} },
+    ];`
+  );
+  assert.deepEqual(await loadAlgorithmModule(modulePath), [
+    "PLUGIN_ONE",
+    "PLUGIN_TWO",
+  ]);
+  assert.deepEqual(await loadAlgorithmModule(modulePath), [
+    "PLUGIN_ONE",
+    "PLUGIN_TWO",
+  ]);
+  assert.equal(ALGORITHMS.PLUGIN_TWO, "PLUGIN_TWO");
+  assert.equal(registeredAlgorithm("PLUGIN_TWO").options.n.default, 2);
+});
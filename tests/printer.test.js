@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { PhomemoPrinter } from "../printer.js";
+import { renderText } from "../text.js";
+import { MemoryTransport } from "../transport.js";
+
+// A connected printer of the model, writing to memory.
+async function connected(model) {
+  const transport = new MemoryTransport();
+  const printer = new PhomemoPrinter({ transport, model });
+  await printer.connect();
+  return { printer, transport };
+}
+
+test("text is printed as rendered, without dithering it again", async () => {
+  const options = { fontSize: 24, align: "center", markdown: true };
+  const { printer, transport } = await connected("M02");
+  printer.printImage = () => assert.fail("printText went through printImage");
+  await printer.printText("# Title\n\nSome *text*", options);
+
+  const { printer: expected, transport: bitmap } = await connected("M02");
+  const png = await renderText("# Title\n\nSome *text*", {
+    ...options,
+    width: expected.profile.printableWidth,
+  });
+  await expected.printBitmap(png);
+  assert.deepEqual(transport.data, bitmap.data);
+});
+
+test("text needs a connected printer", async () => {
+  const printer = new PhomemoPrinter({ transport: new MemoryTransport() });
+  await assert.rejects(printer.printText("Hello"), /not connected/);
+});
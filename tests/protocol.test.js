@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import { test } from "node:test";
+
+import Jimp from "jimp";
+
+import { PhomemoPrinter } from "../printer.js";
+import { resolveProfile } from "../profiles.js";
+import { getLabelPrintData, getPrintDataFromPort } from "../protocol.js";
+import { MemoryTransport } from "../transport.js";
+
+// The expected byte streams are checked in. Run the tests with
+// UPDATE_FIXTURES=1 to write them again after a deliberate protocol change.
+const fixture = (name) => new URL(`fixtures/${name}`, import.meta.url);
+
+function matchesFixture(data, name) {
+  if (process.env.UPDATE_FIXTURES) {
+    writeFileSync(fixture(name), data);
+  }
+  assert.deepEqual(data, readFileSync(fixture(name)));
+}
+
+// A dithered image: a diagonal pattern, with the first 8 dots of the first
+// row packing to 0x0a, which the encoder sends as 0x14.
+function bitmap(width, height, seed = 0) {
+  const image = new Jimp(width, height, 0xffffffff);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const black =
+        y === 0 && x < 8
+          ? x === 4 || x === 6
+          : (x * 7 + y * 13 + seed) % 11 < 4;
+      if (black) {
+        image.setPixelColor(0x000000ff, x, y);
+      }
+    }
+  }
+  return image;
+}
+
+// Sends the data through a printer that reports its status, and returns
+// everything written once the printer has reported the job complete.
+async function sendThroughPrinter(data, model) {
+  const transport = new MemoryTransport({ notify: true });
+  const printer = new PhomemoPrinter({ transport, model });
+  await printer.connect();
+  await printer.sendJob(data);
+  const completion = printer.waitForCompletion({ timeout: 1000 });
+  transport.receive([0x1a, 0x0f, 0x0c]);
+  assert.equal(await completion, true);
+  return transport.data;
+}
+
+test("an image over 256 lines is sent in two raster blocks", async () => {
+  const profile = resolveProfile("M02");
+  const data = await getPrintDataFromPort(bitmap(384, 300), profile);
+  matchesFixture(await sendThroughPrinter(data, "M02"), "print-m02.bin");
+});
+
+test("a narrow image repeats its last column", async () => {
+  const profile = resolveProfile("M02S");
+  const data = await getPrintDataFromPort(bitmap(100, 20), profile);
+  matchesFixture(
+    await sendThroughPrinter(data, "M02S"),
+    "print-m02s-narrow.bin"
+  );
+});
+
+test("an exact feed is sent as blank raster lines", async () => {
+  const profile = resolveProfile("M02");
+  const data = await getPrintDataFromPort(bitmap(384, 20), profile, {
+    feed: 24,
+  });
+  matchesFixture(await sendThroughPrinter(data, "M02"), "print-m02-feed.bin");
+});
+
+test("labels are fed to the next gap", async () => {
+  const profile = resolveProfile("M110");
+  const labels = [bitmap(384, 40), bitmap(384, 40, 5)];
+  const data = await getLabelPrintData(labels, profile);
+  matchesFixture(await sendThroughPrinter(data, "M110"), "labels-m110.bin");
+});
+
+test("labels on black mark paper", async () => {
+  const profile = resolveProfile("M110");
+  const data = await getLabelPrintData([bitmap(384, 16)], profile, {
+    media: "marks",
+  });
+  matchesFixture(
+    await sendThroughPrinter(data, "M110"),
+    "labels-m110-marks.bin"
+  );
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+import { dither } from "../dithering.js";
+import { checkSeed, createRandom, MAX_SEED } from "../random.js";
+
+const RANDOM_ALGORITHMS = ["RANDOM", "DITHERPUNK", "EVEN_BETTER_SCREENING"];
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const dir = mkdtempSync(join(tmpdir(), "phomemo-random-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// A gray ramp, so every algorithm has something to dither.
+function ramp(width = 64, height = 32) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const gray = Math.round(((i % width) / (width - 1)) * 255);
+    data.fill(gray, i * 4, i * 4 + 3);
+    data[i * 4 + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+test("the same seed gives the same numbers", () => {
+  const numbers = (seed) => Array.from({ length: 5 }, createRandom(seed));
+  assert.deepEqual(numbers(42), numbers(42));
+  assert.notDeepEqual(numbers(42), numbers(43));
+  assert.ok(numbers(0).every((n) => n >= 0 && n < 1));
+  assert.ok(numbers(MAX_SEED).every((n) => n >= 0 && n < 1));
+});
+
+test("seeds are whole numbers from 0 to 2^32 - 1", () => {
+  assert.equal(checkSeed(0), 0);
+  assert.equal(checkSeed(MAX_SEED), MAX_SEED);
+  for (const seed of [-1, MAX_SEED + 1, 1.5, "1", NaN]) {
+    assert.throws(() => checkSeed(seed), /Invalid seed/);
+  }
+});
+
+test("seeded algorithms dither the same way every time", () => {
+  for (const algorithm of RANDOM_ALGORITHMS) {
+    const dithered = (seed) => dither(ramp(), algorithm, { seed }).data;
+    assert.deepEqual(dithered(42), dithered(42), algorithm);
+    assert.notDeepEqual(dithered(42), dithered(43), algorithm);
+  }
+});
+
+// Runs the CLI in the repository and returns the print data it wrote.
+async function printData(algorithm, seed) {
+  const output = join(dir, `${algorithm}-${seed}-${Math.random()}.bin`);
+  await promisify(execFile)(
+    process.execPath,
+    [
+      "index.js",
+      "-f",
+      "test.png",
+      "-a",
+      algorithm,
+      "--seed",
+      String(seed),
+      "-s",
+      "25",
+      "-o",
+      output,
+      "-y",
+    ],
+    { cwd: root, timeout: 60000 }
+  );
+  return readFileSync(output);
+}
+
+test("--seed gives byte-identical print data", async () => {
+  for (const algorithm of RANDOM_ALGORITHMS) {
+    const first = await printData(algorithm, 42);
+    assert.deepEqual(await printData(algorithm, 42), first, algorithm);
+    assert.notDeepEqual(await printData(algorithm, 7), first, algorithm);
+  }
+});
+
+test("an invalid --seed is a usage error", async () => {
+  await assert.rejects(printData("RANDOM", -1), (err) => {
+    assert.equal(err.code, 2);
+    assert.match(err.stderr, /seed/);
+    return true;
+  });
+});
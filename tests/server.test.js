@@ -0,0 +1,247 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+
+import Jimp from "jimp";
+
+import { calibrationKey, saveCalibration, toneCurve } from "../calibration.js";
+import { DEFAULT_DENSITY, PhomemoPrinter } from "../printer.js";
+import { createPrintServer } from "../server.js";
+import { MemoryTransport } from "../transport.js";
+
+// A small gray ramp, so every algorithm has something to dither.
+async function rampPng() {
+  const image = new Jimp(64, 32, 0xffffffff);
+  image.scan(0, 0, 64, 32, function (x, y, idx) {
+    const gray = Math.round((x / 63) * 255);
+    this.bitmap.data.fill(gray, idx, idx + 3);
+  });
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+// The bytes a printer of its own gets for the same image.
+async function expectedBytes(png, options) {
+  const transport = new MemoryTransport();
+  const printer = new PhomemoPrinter({ transport });
+  await printer.connect();
+  await printer.printImage(png, options);
+  return transport.data;
+}
+
+let png;
+let transport;
+let server;
+let base;
+
+const dir = mkdtempSync(join(tmpdir(), "phomemo-server-"));
+
+// Starts a server on a free port and returns its address.
+async function listen(printer, options) {
+  const server = createPrintServer(printer, options);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+before(async () => {
+  png = await rampPng();
+  transport = new MemoryTransport();
+  ({ server, base } = await listen(new PhomemoPrinter({ transport }), {
+    calibrationFile: null,
+  }));
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+async function request(path, init, at = base) {
+  const res = await fetch(`${at}${path}`, init);
+  return { status: res.status, body: await res.json() };
+}
+
+// Polls GET /jobs/:id until the job has finished.
+async function finished(id, at = base) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const { status, body } = await request(`/jobs/${id}`, undefined, at);
+    assert.equal(status, 200);
+    if (body.finishedAt) {
+      return body;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+test("GET /printer before any job", async () => {
+  const { status, body } = await request("/printer");
+  assert.equal(status, 200);
+  assert.equal(body.connected, false);
+  assert.equal(body.queued, 0);
+  assert.equal(body.profile.name, new PhomemoPrinter().profile.name);
+});
+
+test("POST /print with the image as the body", async () => {
+  const before = transport.writes.length;
+  const { status, body } = await request("/print?algorithm=ATKINSON&scale=50", {
+    method: "POST",
+    headers: { "Content-Type": "image/png" },
+    body: png,
+  });
+  assert.equal(status, 202);
+  assert.equal(body.status, "queued");
+  assert.equal(body.options.algorithm, "ATKINSON");
+  assert.equal(body.options.scale, 50);
+
+  const job = await finished(body.id);
+  assert.equal(job.status, "done");
+  assert.equal(job.error, undefined);
+  const sent = Buffer.concat(transport.writes.slice(before));
+  assert.deepEqual(
+    sent,
+    await expectedBytes(png, { algorithm: "ATKINSON", scale: 50 })
+  );
+});
+
+test("POST /print with the image in JSON", async () => {
+  const before = transport.writes.length;
+  const { status, body } = await request("/print", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ image: png.toString("base64"), rotate: true }),
+  });
+  assert.equal(status, 202);
+  assert.equal(body.options.algorithm, "FLOYD_STEINBERG");
+  assert.equal(body.options.rotate, true);
+
+  const job = await finished(body.id);
+  assert.equal(job.status, "done");
+  const sent = Buffer.concat(transport.writes.slice(before));
+  assert.deepEqual(sent, await expectedBytes(png, { rotate: true }));
+});
+
+test("GET /printer after a job", async () => {
+  const { status, body } = await request("/printer");
+  assert.equal(status, 200);
+  assert.equal(body.connected, true);
+  assert.equal(body.queued, 0);
+  assert.equal(body.status.printing, true);
+});
+
+test("a job that fails is reported", async () => {
+  const { status, body } = await request("/print", {
+    method: "POST",
+    body: Buffer.from("not an image"),
+  });
+  assert.equal(status, 202);
+  const job = await finished(body.id);
+  assert.equal(job.status, "failed");
+  assert.equal(typeof job.error.message, "string");
+});
+
+test("invalid requests are answered with 400", async () => {
+  const json = (body) => ({
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body,
+  });
+  const cases = [
+    ["/print", json("null"), /must be an object/],
+    ["/print", json("[1, 2]"), /must be an object/],
+    ["/print", json('"image"'), /must be an object/],
+    ["/print", json("{"), /Invalid JSON/],
+    ["/print", json("{}"), /needs an image/],
+    ["/print", { method: "POST" }, /No image given/],
+    ["/print?algorithm=NOPE", { method: "POST", body: png }, /Unknown/],
+    ["/print?algorithm=constructor", { method: "POST", body: png }, /Unknown/],
+    ["/print?algorithm=__proto__", { method: "POST", body: png }, /Unknown/],
+    ["/print?scale=-1", { method: "POST", body: png }, /Invalid scale/],
+    ["/print?density=0x100", { method: "POST", body: png }, /Invalid density/],
+  ];
+  for (const [path, init, message] of cases) {
+    const { status, body } = await request(path, init);
+    assert.equal(status, 400, path);
+    assert.match(body.error, message);
+  }
+});
+
+test("unknown jobs, paths and methods", async () => {
+  assert.equal((await request("/jobs/nope")).status, 404);
+  assert.equal((await request("/nope")).status, 404);
+  assert.equal((await request("/print")).status, 405);
+  assert.equal((await request("/printer", { method: "POST" })).status, 405);
+});
+
+// The bytes a printer gets for setting the density.
+async function densityBytes(density) {
+  const transport = new MemoryTransport();
+  const printer = new PhomemoPrinter({ transport });
+  await printer.connect();
+  await printer.setDensity(density);
+  return transport.data;
+}
+
+// Prints the image on a server of its own and returns the bytes sent.
+async function printed(at, transport, path) {
+  const before = transport.writes.length;
+  const { body } = await request(path, { method: "POST", body: png }, at);
+  assert.equal((await finished(body.id, at)).status, "done");
+  return Buffer.concat(transport.writes.slice(before));
+}
+
+test("every job prints at its own density", async () => {
+  const transport = new MemoryTransport();
+  const { server, base } = await listen(new PhomemoPrinter({ transport }), {
+    calibrationFile: null,
+  });
+  try {
+    const plain = await expectedBytes(png, {});
+    assert.deepEqual(
+      await printed(base, transport, "/print?density=0x99"),
+      Buffer.concat([await densityBytes(0x99), plain])
+    );
+    // The next job without a density doesn't print darker.
+    assert.deepEqual(
+      await printed(base, transport, "/print"),
+      Buffer.concat([await densityBytes(DEFAULT_DENSITY), plain])
+    );
+    assert.deepEqual(await printed(base, transport, "/print"), plain);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("jobs are printed with the printer's calibration", async () => {
+  const calibrationFile = join(dir, "calibration.json");
+  const printer = new PhomemoPrinter({ transport: new MemoryTransport() });
+  const key = calibrationKey({ model: printer.profile.name });
+  const darkness = [0, 0.4, 0.7, 0.9, 1];
+  await saveCalibration(key, DEFAULT_DENSITY, darkness, {
+    file: calibrationFile,
+  });
+  const messages = [];
+  const { server, base } = await listen(printer, {
+    calibrationFile,
+    log: (message) => messages.push(message),
+  });
+  try {
+    const calibrated = await expectedBytes(png, {
+      toneCurve: toneCurve(darkness),
+    });
+    assert.notDeepEqual(calibrated, await expectedBytes(png, {}));
+    assert.deepEqual(
+      await printed(base, printer.transport, "/print"),
+      calibrated
+    );
+    assert.ok(messages.some((message) => message.includes("calibration")));
+    // It isn't calibrated at other densities.
+    assert.deepEqual(
+      await printed(base, printer.transport, "/print?density=0x99"),
+      Buffer.concat([await densityBytes(0x99), await expectedBytes(png, {})])
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { PhomemoPrinter } from "../printer.js";
+import {
+  buildDensityControlPacket,
+  buildSettingsPacket,
+  frameSettings,
+  parseSettingsPacket,
+} from "../settings.js";
+import { MemoryTransport } from "../transport.js";
+
+const hex = (buffer) => buffer.toString("hex");
+
+// The inverted sum of the body's bytes, computed independently of settings.js.
+function expectedChecksum(packet) {
+  const bodyLength = packet.readUInt16BE(4);
+  const body = packet.subarray(8, 8 + bodyLength);
+  return ~body.reduce((sum, byte) => sum + byte, 0) & 0xff;
+}
+
+test("density packet matches the Phomemo app's bytes", () => {
+  assert.equal(
+    hex(buildDensityControlPacket(4)),
+    "0208001a00160041000bff23011b401f1102041f1137041f110b1f11350035"
+  );
+  assert.equal(
+    hex(buildDensityControlPacket(0x99)),
+    "0208001a00160041000bff23011b401f1102041f1137991f110b1f113500a0"
+  );
+});
+
+test("settings packet holds the commands in order", () => {
+  assert.equal(
+    hex(buildSettingsPacket({ density: 4 })),
+    "02080013000f0041000bff23011b401f1102041f113704d5"
+  );
+  assert.equal(
+    hex(
+      buildSettingsPacket({
+        autoOff: 30,
+        speed: 3,
+        density: 0x99,
+        paper: "gaps",
+      })
+    ),
+    "0208001e001a0041000bff23011b401f1102041f1137991f113c031f110a1f11211e28"
+  );
+});
+
+test("checksum is the inverted sum of the body", () => {
+  for (const settings of [
+    { density: 0 },
+    { density: 0xff },
+    { speed: 5, autoOff: 0xff },
+    { paper: "marks" },
+  ]) {
+    const packet = buildSettingsPacket(settings);
+    assert.equal(packet[packet.length - 1], expectedChecksum(packet));
+  }
+  const packet = frameSettings([]);
+  assert.equal(packet[packet.length - 1], expectedChecksum(packet));
+});
+
+test("lengths cover the body and the packet type", () => {
+  const packet = buildSettingsPacket({ speed: 2 });
+  const length = packet.readUInt16BE(2);
+  const bodyLength = packet.readUInt16BE(4);
+  assert.equal(length, bodyLength + 4);
+  assert.equal(packet.length, 4 + length + 1);
+});
+
+test("parseSettingsPacket round-trips a packet", () => {
+  const settings = {
+    density: 0x80,
+    speed: 1,
+    paper: "continuous",
+    autoOff: 10,
+  };
+  const packet = buildSettingsPacket(settings);
+  const parsed = parseSettingsPacket(
+    Buffer.concat([Buffer.of(0x1b, 0x40), packet]),
+    2
+  );
+  assert.equal(parsed.length, packet.length);
+  assert.equal(parsed.checksum, parsed.expected);
+  assert.equal(
+    hex(parsed.commands),
+    "1b401f1102041f1137801f113c011f110b1f11210a"
+  );
+  // Framing the parsed commands again gives the same packet.
+  assert.deepEqual(frameSettings([...parsed.commands.subarray(6)]), packet);
+});
+
+test("parseSettingsPacket spots a bad checksum and incomplete packets", () => {
+  const packet = buildDensityControlPacket(4);
+  const corrupted = Buffer.from(packet);
+  corrupted[corrupted.length - 1] ^= 0xff;
+  const parsed = parseSettingsPacket(corrupted);
+  assert.notEqual(parsed.checksum, parsed.expected);
+  assert.equal(
+    parseSettingsPacket(packet.subarray(0, packet.length - 1)),
+    null
+  );
+  assert.equal(parseSettingsPacket(Buffer.of(0x1b, 0x40, 0x00)), null);
+});
+
+test("invalid settings are refused", () => {
+  assert.throws(() => buildSettingsPacket({}), /No settings to change/);
+  assert.throws(() => buildSettingsPacket({ speed: 6 }), /Invalid speed: 6/);
+  assert.throws(() => buildSettingsPacket({ density: 256 }), /Invalid density/);
+  assert.throws(
+    () => buildSettingsPacket({ paper: "foil" }),
+    /Unknown paper type/
+  );
+  assert.throws(
+    () => buildSettingsPacket({ volume: 1 }),
+    /Unknown setting: volume/
+  );
+});
+
+// A connected printer of the model, writing to memory.
+async function printer(model, commands) {
+  const transport = new MemoryTransport();
+  const printer = new PhomemoPrinter({ transport, model });
+  if (commands) {
+    printer.profile = { ...printer.profile, commands };
+  }
+  await printer.connect();
+  return { printer, transport };
+}
+
+test("settings are sent to models that take settings packets", async () => {
+  const { printer: m02, transport } = await printer("M02");
+  await m02.applySettings({ speed: 3, autoOff: 30 });
+  await m02.setDensity(4);
+  assert.deepEqual(transport.writes, [
+    buildSettingsPacket({ speed: 3, autoOff: 30 }),
+    buildDensityControlPacket(4),
+  ]);
+});
+
+test("settings are refused by models that don't take them", async () => {
+  const { printer: m110, transport } = await printer("M110");
+  await assert.rejects(
+    m110.applySettings({ speed: 3 }),
+    /M110 does not support printer settings/
+  );
+  await assert.rejects(m110.setDensity(4), /does not support density/);
+  assert.deepEqual(transport.writes, []);
+});
+
+test("the density is a setting of its own", async () => {
+  const { printer: custom, transport } = await printer("M02", ["settings"]);
+  await custom.applySettings({ speed: 3 });
+  await assert.rejects(
+    custom.applySettings({ speed: 3, density: 4 }),
+    /does not support density/
+  );
+  await assert.rejects(custom.setDensity(4), /does not support density/);
+  assert.equal(transport.writes.length, 1);
+});
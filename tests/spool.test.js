@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+
+import { PhomemoPrinter } from "../printer.js";
+import { processQueue, Spool } from "../spool.js";
+import { MemoryTransport } from "../transport.js";
+
+const root = mkdtempSync(join(tmpdir(), "phomemo-spool-"));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+let spools = 0;
+const newSpool = () => new Spool(join(root, `spool-${spools++}`));
+
+// Records the jobs sent to every device; the devices in `offline` can't be
+// connected to.
+function fakePrinters({ offline = [] } = {}) {
+  const sent = [];
+  const createPrinter = (job) => {
+    const transport = new MemoryTransport();
+    if (offline.includes(job.device)) {
+      transport.open = async () => {
+        throw new Error(`${job.device} is off`);
+      };
+    }
+    transport.write = async (data) => {
+      sent.push({ device: job.device, data: Buffer.from(data).toString() });
+    };
+    return new PhomemoPrinter({ transport, model: "M02" });
+  };
+  return { sent, createPrinter };
+}
+
+test("jobs are sent in order", async () => {
+  const spool = newSpool();
+  const a = await spool.add(Buffer.from("a"), { device: "M02" });
+  const b = await spool.add(Buffer.from("b"), { device: "M02" });
+  const { sent, createPrinter } = fakePrinters();
+  const result = await processQueue(spool, { createPrinter });
+  assert.deepEqual(result, { done: [a.id, b.id], failed: [], locked: false });
+  assert.deepEqual(
+    sent.map((job) => job.data),
+    ["a", "b"]
+  );
+  assert.equal((await spool.get(a.id)).status, "done");
+});
+
+test("a job waiting to be retried doesn't hold up the others", async () => {
+  const spool = newSpool();
+  const off = await spool.add(Buffer.from("off"), { device: "Off" });
+  const on = await spool.add(Buffer.from("on"), { device: "On" });
+  const { sent, createPrinter } = fakePrinters({ offline: ["Off"] });
+  const result = await processQueue(spool, {
+    createPrinter,
+    retries: 1,
+    retryDelay: 200,
+  });
+  assert.deepEqual(result.done, [on.id]);
+  assert.deepEqual(result.failed, [off.id]);
+  assert.deepEqual(sent, [{ device: "On", data: "on" }]);
+  const failed = await spool.get(off.id);
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.lastError, "Off is off");
+});
+
+test("jobs that aren't due yet are skipped", async () => {
+  const spool = newSpool();
+  const later = await spool.add(Buffer.from("later"));
+  await spool.update(later.id, {
+    nextAttemptAt: new Date(Date.now() + 300).toISOString(),
+  });
+  const now = await spool.add(Buffer.from("now"));
+  const { sent, createPrinter } = fakePrinters();
+  const result = await processQueue(spool, { createPrinter });
+  assert.deepEqual(result.done, [now.id, later.id]);
+  assert.deepEqual(
+    sent.map((job) => job.data),
+    ["now", "later"]
+  );
+});
+
+test("a cancelled job is not sent after its wait", async () => {
+  const spool = newSpool();
+  const job = await spool.add(Buffer.from("cancelled"));
+  await spool.update(job.id, {
+    nextAttemptAt: new Date(Date.now() + 300).toISOString(),
+  });
+  setTimeout(() => spool.cancel(job.id), 100);
+  const { sent, createPrinter } = fakePrinters();
+  const result = await processQueue(spool, { createPrinter });
+  assert.deepEqual(result, { done: [], failed: [], locked: false });
+  assert.deepEqual(sent, []);
+});
+
+test("only one run sends the queue", async () => {
+  const spool = newSpool();
+  const ids = [];
+  for (const data of ["a", "b", "c"]) {
+    ids.push((await spool.add(Buffer.from(data))).id);
+  }
+  const { sent, createPrinter } = fakePrinters();
+  const results = await Promise.all([
+    processQueue(spool, { createPrinter }),
+    processQueue(spool, { createPrinter }),
+  ]);
+  assert.deepEqual(results.map((result) => result.locked).sort(), [
+    false,
+    true,
+  ]);
+  assert.deepEqual(
+    results.flatMap((result) => result.done),
+    ids
+  );
+  assert.deepEqual(
+    sent.map((job) => job.data),
+    ["a", "b", "c"]
+  );
+});
+
+test("the lock of a process that stopped is taken over", async () => {
+  const spool = newSpool();
+  const job = await spool.add(Buffer.from("a"));
+  // Process ids are below 2^22 on Linux.
+  writeFileSync(join(spool.dir, "queue.lock"), "99999999");
+  const { createPrinter } = fakePrinters();
+  const result = await processQueue(spool, { createPrinter });
+  assert.deepEqual(result.done, [job.id]);
+
+  const release = await spool.lock();
+  assert.equal(await spool.lock(), null);
+  await release();
+  const again = await spool.lock();
+  assert.equal(typeof again, "function");
+  await again();
+});
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { PhomemoPrinter } from "../printer.js";
+import { decodeStatus, STATUS_QUERIES, statusError } from "../status.js";
+import { MemoryTransport } from "../transport.js";
+
+// The decoded events without their raw bytes.
+const types = (data) => decodeStatus(data).map(({ raw, ...event }) => event);
+
+test("notifications are decoded", () => {
+  assert.deepEqual(types([0x1a, 0x06, 0x88]), [{ type: "paperOut" }]);
+  assert.deepEqual(types([0x1a, 0x06, 0x89]), [{ type: "paperOk" }]);
+  assert.deepEqual(types([0x1a, 0x05, 0x99]), [{ type: "coverOpen" }]);
+  assert.deepEqual(types([0x1a, 0x05, 0x88]), [{ type: "coverClosed" }]);
+  assert.deepEqual(types([0x1a, 0x03, 0xa9]), [{ type: "overheat" }]);
+  assert.deepEqual(types([0x1a, 0x03, 0xa8]), [{ type: "temperatureOk" }]);
+  assert.deepEqual(types([0x1a, 0x0f, 0x0c]), [{ type: "printComplete" }]);
+  assert.deepEqual(types([0x1a, 0x04, 0x50]), [{ type: "battery", level: 80 }]);
+  assert.deepEqual(types([0x1a, 0x07, 0x01, 0x02, 0x03]), [
+    { type: "firmware", version: "1.2.3" },
+  ]);
+});
+
+test("one notification can hold several messages", () => {
+  const events = decodeStatus([0x1a, 0x04, 0x1e, 0x1a, 0x05, 0x99]);
+  assert.deepEqual(
+    events.map((event) => event.type),
+    ["battery", "coverOpen"]
+  );
+  assert.deepEqual([...events[1].raw], [0x1a, 0x05, 0x99]);
+});
+
+test("unknown and cut off messages are kept as they are", () => {
+  assert.deepEqual(types([0x1a, 0x06, 0x42]), [
+    { type: "unknown", code: 0x06, value: 0x42 },
+  ]);
+  const [cutOff] = decodeStatus([0x1a, 0x06]);
+  assert.equal(cutOff.type, "unknown");
+  assert.deepEqual([...cutOff.raw], [0x1a, 0x06]);
+  const [other] = decodeStatus([0x01, 0x02, 0x03]);
+  assert.equal(other.type, "unknown");
+  assert.deepEqual([...other.raw], [0x01, 0x02, 0x03]);
+});
+
+test("events that stop printing become errors with a code", () => {
+  for (const [type, code, message] of [
+    ["paperOut", "PAPER_OUT", /out of paper/],
+    ["coverOpen", "COVER_OPEN", /cover is open/],
+    ["overheat", "OVERHEAT", /overheated/],
+  ]) {
+    const err = statusError({ type });
+    assert.equal(err.code, code);
+    assert.match(err.message, message);
+  }
+  for (const type of ["paperOk", "battery", "printComplete", "unknown"]) {
+    assert.equal(statusError({ type }), null);
+  }
+});
+
+// A connected printer that reports its status, writing to memory.
+async function connected() {
+  const transport = new MemoryTransport({ notify: true });
+  const printer = new PhomemoPrinter({ transport, model: "M02" });
+  await printer.connect();
+  return { printer, transport };
+}
+
+test("the printer keeps track of what it reports", async () => {
+  const { printer, transport } = await connected();
+  const events = [];
+  printer.on("status", (event) => events.push(event.type));
+  transport.receive([0x1a, 0x06, 0x88, 0x1a, 0x05, 0x99]);
+  transport.receive([0x1a, 0x03, 0xa9]);
+  transport.receive([0x1a, 0x04, 0x32]);
+  assert.deepEqual(events, ["paperOut", "coverOpen", "overheat", "battery"]);
+  assert.equal(printer.status.paper, "out");
+  assert.equal(printer.status.cover, "open");
+  assert.equal(printer.status.overheated, true);
+  assert.equal(printer.status.battery, 50);
+
+  transport.receive([0x1a, 0x06, 0x89, 0x1a, 0x05, 0x88, 0x1a, 0x03, 0xa8]);
+  assert.equal(printer.status.paper, "ok");
+  assert.equal(printer.status.cover, "closed");
+  assert.equal(printer.status.overheated, false);
+});
+
+test("printing fails fast while the printer can't print", async () => {
+  for (const [notification, code] of [
+    [[0x1a, 0x06, 0x88], "PAPER_OUT"],
+    [[0x1a, 0x05, 0x99], "COVER_OPEN"],
+    [[0x1a, 0x03, 0xa9], "OVERHEAT"],
+  ]) {
+    const { printer, transport } = await connected();
+    transport.receive(notification);
+    assert.throws(() => printer.assertReady(), { code });
+    await assert.rejects(printer.printText("Hello"), { code });
+    assert.deepEqual(transport.writes, []);
+  }
+});
+
+test("a problem reported while sending stops the job", async () => {
+  const { printer, transport } = await connected();
+  transport.write = (data, { signal }) =>
+    new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => reject(signal.reason));
+    });
+  const job = printer.write([0x1b, 0x40]);
+  transport.receive([0x1a, 0x05, 0x99]);
+  await assert.rejects(job, { code: "COVER_OPEN" });
+});
+
+test("battery and firmware queries are answered by notifications", async () => {
+  const { printer, transport } = await connected();
+  transport.write = async (data) => {
+    if (data.equals(Buffer.from(STATUS_QUERIES.battery))) {
+      transport.receive([0x1a, 0x04, 0x4b]);
+    } else if (data.equals(Buffer.from(STATUS_QUERIES.firmware))) {
+      transport.receive([0x1a, 0x07, 0x02, 0x00, 0x11]);
+    }
+  };
+  assert.equal(await printer.queryBattery(), 75);
+  assert.equal(await printer.queryFirmware(), "2.0.17");
+
+  transport.write = async () => {};
+  await assert.rejects(printer.queryBattery({ timeout: 20 }), /battery level/);
+});
+
+test("waiting for a job reports how it ended", async () => {
+  const { printer, transport } = await connected();
+  printer.status.printing = true;
+  setTimeout(() => transport.receive([0x1a, 0x0f, 0x0c]), 10);
+  assert.equal(await printer.waitForCompletion(), true);
+  assert.equal(printer.status.printing, false);
+
+  printer.status.printing = true;
+  setTimeout(() => transport.receive([0x1a, 0x06, 0x88]), 10);
+  await assert.rejects(printer.waitForCompletion(), { code: "PAPER_OUT" });
+
+  printer.status.printing = true;
+  assert.equal(await printer.waitForCompletion({ timeout: 20 }), false);
+});
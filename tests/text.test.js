@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import Jimp from "jimp";
+
+import { renderText } from "../text.js";
+
+test("text is rendered in black and white at the given width", async () => {
+  const image = await Jimp.read(
+    await renderText("Café €5", { width: 384, fontSize: 16 })
+  );
+  assert.equal(image.bitmap.width, 384);
+  assert.ok(image.bitmap.height > 0);
+  const levels = new Set();
+  image.scan(0, 0, 384, image.bitmap.height, (x, y, idx) => {
+    levels.add(image.bitmap.data[idx]);
+  });
+  assert.deepEqual(
+    [...levels].sort((a, b) => a - b),
+    [0, 255]
+  );
+});
+
+test("characters the fonts can't draw are refused", async () => {
+  await assert.rejects(renderText("snow ☃ man", { width: 384 }), {
+    message:
+      'The font can\'t draw "☃" (U+2603): only printable Latin-1 characters and € can be printed as text',
+  });
+  await assert.rejects(
+    renderText("# 日本", { width: 384, markdown: true }),
+    /can't draw "日" \(U\+65E5\)/
+  );
+  await assert.rejects(renderText("ok 👍", { width: 384 }), /\(U\+1F44D\)/);
+});
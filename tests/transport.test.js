@@ -0,0 +1,219 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { test } from "node:test";
+
+import { BleTransport, writeChunked } from "../transport.js";
+
+// Records the chunks written to it, like a noble characteristic. The writes
+// listed in `failures` (0 = the first write) fail.
+function fakeCharacteristic({
+  properties = ["write", "writeWithoutResponse"],
+  failures = [],
+} = {}) {
+  const characteristic = {
+    properties,
+    calls: [],
+    get chunks() {
+      return this.calls.filter((call) => call.ok).map((call) => call.chunk);
+    },
+    write(chunk, withoutResponse, callback) {
+      const ok = !failures.includes(this.calls.length);
+      this.calls.push({ chunk: Buffer.from(chunk), withoutResponse, ok });
+      setImmediate(() => callback(ok ? null : new Error("write dropped")));
+    },
+  };
+  return characteristic;
+}
+
+const data = Buffer.from(Array.from({ length: 100 }, (_, i) => i));
+const fast = { chunkDelay: 0, retryDelay: 0 };
+
+test("chunks are the MTU minus the ATT header", async () => {
+  const characteristic = fakeCharacteristic();
+  await writeChunked(characteristic, data, { ...fast, mtu: 43 });
+  assert.deepEqual(
+    characteristic.chunks.map((chunk) => chunk.length),
+    [40, 40, 20]
+  );
+  assert.deepEqual(Buffer.concat(characteristic.chunks), data);
+});
+
+test("chunks default to the initial MTU of 23", async () => {
+  const characteristic = fakeCharacteristic();
+  await writeChunked(characteristic, data, fast);
+  assert.equal(characteristic.chunks.length, 5);
+  assert.ok(characteristic.chunks.every((chunk) => chunk.length <= 20));
+  assert.deepEqual(Buffer.concat(characteristic.chunks), data);
+});
+
+test("chunkSize overrides the MTU", async () => {
+  const characteristic = fakeCharacteristic();
+  await writeChunked(characteristic, data, {
+    ...fast,
+    mtu: 512,
+    chunkSize: 30,
+  });
+  assert.deepEqual(
+    characteristic.chunks.map((chunk) => chunk.length),
+    [30, 30, 30, 10]
+  );
+});
+
+test("a dropped write is retried", async () => {
+  const characteristic = fakeCharacteristic({ failures: [1, 2] });
+  await writeChunked(characteristic, data, {
+    ...fast,
+    mtu: 53,
+    withResponse: false,
+    retries: 2,
+  });
+  assert.equal(characteristic.calls.length, 4);
+  assert.deepEqual(
+    characteristic.calls[1].chunk,
+    characteristic.calls[3].chunk
+  );
+  assert.deepEqual(Buffer.concat(characteristic.chunks), data);
+});
+
+test("a chunk fails after its retries", async () => {
+  const characteristic = fakeCharacteristic({ failures: [1, 2, 3] });
+  await assert.rejects(
+    writeChunked(characteristic, data, {
+      ...fast,
+      mtu: 53,
+      withResponse: false,
+      retries: 2,
+    }),
+    (err) => {
+      assert.equal(err.message, "Writing chunk 2 of 2 failed: write dropped");
+      assert.equal(err.cause.message, "write dropped");
+      return true;
+    }
+  );
+  assert.equal(characteristic.calls.length, 4);
+});
+
+test("retries wait retryDelay, doubled for each attempt", async () => {
+  const characteristic = fakeCharacteristic({ failures: [0, 1] });
+  const start = Date.now();
+  await writeChunked(characteristic, Buffer.from("abc"), {
+    withResponse: false,
+    retryDelay: 20,
+  });
+  // 20 ms, then 40 ms.
+  assert.ok(Date.now() - start >= 55);
+  assert.equal(characteristic.calls.length, 3);
+});
+
+test('"auto" falls back to writes with response after a failure', async () => {
+  const characteristic = fakeCharacteristic({ failures: [1] });
+  await writeChunked(characteristic, data, { ...fast, mtu: 28 });
+  assert.deepEqual(
+    characteristic.calls.map((call) => call.withoutResponse),
+    [true, true, false, false, false]
+  );
+  assert.deepEqual(Buffer.concat(characteristic.chunks), data);
+});
+
+test('"auto" keeps writing without response when that is all there is', async () => {
+  const characteristic = fakeCharacteristic({
+    properties: ["writeWithoutResponse"],
+    failures: [1],
+  });
+  await writeChunked(characteristic, data, { ...fast, mtu: 28 });
+  assert.ok(characteristic.calls.every((call) => call.withoutResponse));
+});
+
+test('"auto" writes with response when that is all there is', async () => {
+  const characteristic = fakeCharacteristic({ properties: ["write"] });
+  await writeChunked(characteristic, data, { ...fast, mtu: 53 });
+  assert.ok(characteristic.calls.every((call) => !call.withoutResponse));
+});
+
+test("an explicit withResponse never falls back", async () => {
+  const characteristic = fakeCharacteristic({ failures: [0] });
+  await writeChunked(characteristic, data, {
+    ...fast,
+    mtu: 53,
+    withResponse: false,
+  });
+  assert.ok(characteristic.calls.every((call) => call.withoutResponse));
+});
+
+test("aborting the signal stops before the next chunk", async () => {
+  const controller = new AbortController();
+  const characteristic = fakeCharacteristic();
+  const write = characteristic.write;
+  characteristic.write = function (chunk, withoutResponse, callback) {
+    write.call(this, chunk, withoutResponse, callback);
+    if (this.calls.length === 2) {
+      controller.abort();
+    }
+  };
+  await assert.rejects(
+    writeChunked(characteristic, data, {
+      ...fast,
+      signal: controller.signal,
+    }),
+    { name: "AbortError" }
+  );
+  assert.equal(characteristic.calls.length, 2);
+});
+
+test("an aborted signal writes nothing", async () => {
+  const characteristic = fakeCharacteristic();
+  await assert.rejects(
+    writeChunked(characteristic, data, {
+      ...fast,
+      signal: AbortSignal.abort(),
+    }),
+    { name: "AbortError" }
+  );
+  assert.equal(characteristic.calls.length, 0);
+});
+
+// A noble peripheral with one writable characteristic.
+function fakePeripheral() {
+  const peripheral = new EventEmitter();
+  Object.assign(peripheral, {
+    state: "disconnected",
+    connects: 0,
+    advertisement: { localName: "M02" },
+    async connectAsync() {
+      this.connects++;
+      this.state = "connected";
+    },
+    async discoverAllServicesAndCharacteristicsAsync() {
+      return { characteristics: [fakeCharacteristic()] };
+    },
+    async disconnectAsync() {
+      this.drop();
+    },
+    drop() {
+      this.state = "disconnected";
+      this.emit("disconnect");
+    },
+  });
+  return peripheral;
+}
+
+test("a dropped Bluetooth connection is closed, and opened again", async () => {
+  const peripheral = fakePeripheral();
+  const transport = new BleTransport({ peripheral, ...fast });
+  await transport.open();
+  assert.equal(transport.isOpen, true);
+
+  peripheral.drop();
+  assert.equal(transport.isOpen, false);
+  await assert.rejects(transport.write(data), /Transport is not open/);
+
+  await transport.open();
+  assert.equal(transport.isOpen, true);
+  assert.equal(peripheral.connects, 2);
+  await transport.write(data);
+  assert.equal(peripheral.listenerCount("disconnect"), 1);
+
+  await transport.close();
+  assert.equal(transport.isOpen, false);
+  assert.equal(peripheral.listenerCount("disconnect"), 0);
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+
+import Jimp from "jimp";
+
+import { loadAlgorithmModule } from "../plugins.js";
+import { resolveProfile } from "../profiles.js";
+import { runTestJobs } from "../workers.js";
+
+const dir = mkdtempSync(join(tmpdir(), "phomemo-workers-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test(
+  "a worker that exits without replying fails its job",
+  { timeout: 60000 },
+  async () => {
+    // Only ever run on a worker: in this thread it would end the tests.
+    const modulePath = join(dir, "exit.mjs");
+    writeFileSync(
+      modulePath,
+      `export default { name: "PLUGIN_EXIT", dither() { process.exit(3); } };`
+    );
+    await loadAlgorithmModule(modulePath);
+
+    const input = await new Jimp(32, 16, 0x808080ff).getBufferAsync(
+      Jimp.MIME_PNG
+    );
+    const profile = resolveProfile("M02");
+    const job = (algorithm, i) => ({
+      input,
+      scale: 100,
+      algorithm,
+      outputPath: join(dir, `${i}-${algorithm}.png`),
+      profile,
+      options: {},
+    });
+    const jobs = ["PLUGIN_EXIT", "ATKINSON", "ATKINSON", "THRESHOLD"].map(job);
+
+    const results = await runTestJobs(jobs, { threads: 2 });
+    assert.match(results[0].error.message, /worker stopped with exit code 3/);
+    assert.equal(results[0].outputPath, null);
+    for (const result of results.slice(1)) {
+      assert.equal(result.error, null);
+      assert.equal(result.outputPath, result.job.outputPath);
+    }
+  }
+);
@@ -0,0 +1,261 @@
+/**
+ * text.js
+ *
+ * Renders plain text and simple Markdown into a black & white bitmap at the
+ * printer width, so notes and log snippets print like receipts.
+ *
+ * Supported Markdown:
+ *    - # Headings (level 1 prints at double size, all levels print bold)
+ *    - "- ", "* " and "1. " list items (indent nested items with 2 spaces)
+ *    - ---, *** and ___ horizontal rules
+ *
+ * Text is drawn with the Open Sans bitmap fonts that ship with Jimp, so
+ * rendering works offline. Available sizes: 8, 10, 12, 14, 16, 32, 64, 128 px.
+ * The fonts only have the printable Latin-1 characters and the euro sign;
+ * text with any other character is refused rather than printed without it.
+ */
+
+import Jimp from "jimp"; // For image processing.
+
+export const FONT_SIZES = [8, 10, 12, 14, 16, 32, 64, 128];
+
+const ALIGNMENTS = {
+  left: Jimp.HORIZONTAL_ALIGN_LEFT,
+  center: Jimp.HORIZONTAL_ALIGN_CENTER,
+  right: Jimp.HORIZONTAL_ALIGN_RIGHT,
+};
+
+// Loaded fonts, keyed by size.
+const fontCache = {};
+
+// Returns the available font size closest to the requested one.
+function nearestFontSize(size) {
+  return FONT_SIZES.reduce((best, candidate) =>
+    Math.abs(candidate - size) < Math.abs(best - size) ? candidate : best
+  );
+}
+
+async function loadFont(size) {
+  if (!fontCache[size]) {
+    fontCache[size] = await Jimp.loadFont(Jimp[`FONT_SANS_${size}_BLACK`]);
+  }
+  return fontCache[size];
+}
+
+// Throws for the first character the font has no glyph for, which Jimp
+// would silently leave out.
+function checkGlyphs(font, text) {
+  for (const char of text) {
+    if (!font.chars[char]) {
+      const code = char.codePointAt(0).toString(16).toUpperCase();
+      const name = `U+${code.padStart(4, "0")}`;
+      throw new Error(
+        `The font can't draw ${JSON.stringify(char)} (${name}): only ` +
+          "printable Latin-1 characters and € can be printed as text"
+      );
+    }
+  }
+}
+
+/**
+ * Splits the text into blocks: paragraphs, headings, list items, rules and
+ * blank lines. Without markdown every line is a paragraph.
+ */
+function parseBlocks(text, markdown) {
+  const blocks = [];
+  for (const rawLine of text.replace(/\r\n?/g, "\n").split("\n")) {
+    const line = rawLine.replace(/\t/g, "    ").trimEnd();
+    if (line.trim().length === 0) {
+      blocks.push({ type: "blank" });
+      continue;
+    }
+    if (!markdown) {
+      blocks.push({ type: "paragraph", text: line });
+      continue;
+    }
+    let match;
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push({ type: "rule" });
+    } else if ((match = line.match(/^\s*(#{1,6})\s+(.*)$/))) {
+      blocks.push({ type: "heading", level: match[1].length, text: match[2] });
+    } else if ((match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/))) {
+      const ordered = /\d/.test(match[2]);
+      blocks.push({
+        type: "item",
+        depth: Math.floor(match[1].length / 2),
+        marker: ordered ? match[2] : null,
+        text: match[3],
+      });
+    } else {
+      blocks.push({ type: "paragraph", text: line.trim() });
+    }
+  }
+  return blocks;
+}
+
+// Draws text, printing it again one dot further right for every extra
+// unit of boldness (the bitmap fonts have no bold face).
+function printText(image, font, x, y, text, maxWidth, alignmentX, boldness) {
+  for (let offset = 0; offset <= boldness; offset++) {
+    image.print(font, x + offset, y, { text, alignmentX }, maxWidth - boldness);
+  }
+}
+
+// Fills a rectangle with black.
+function fillRect(image, x, y, width, height) {
+  image.scan(x, y, width, height, function (px, py, idx) {
+    this.bitmap.data[idx] = 0;
+    this.bitmap.data[idx + 1] = 0;
+    this.bitmap.data[idx + 2] = 0;
+  });
+}
+
+// Draws a round bullet with its center at (cx, cy).
+function drawBullet(image, cx, cy, radius) {
+  const size = radius * 2 + 1;
+  image.scan(cx - radius, cy - radius, size, size, function (px, py, idx) {
+    if ((px - cx) ** 2 + (py - cy) ** 2 <= radius * radius) {
+      this.bitmap.data[idx] = 0;
+      this.bitmap.data[idx + 1] = 0;
+      this.bitmap.data[idx + 2] = 0;
+    }
+  });
+}
+
+// Space between a list marker and the item text.
+function markerGap(lineHeight) {
+  return Math.round(lineHeight * 0.25);
+}
+
+// Left indent of a list item's text. Numbered items leave room for
+// two digit markers, so their text lines up.
+function itemIndent(font, block, lineHeight) {
+  const step = Math.round(lineHeight * 0.8);
+  if (!block.marker) {
+    return (block.depth + 1) * step;
+  }
+  const markerWidth = Math.max(
+    Jimp.measureText(font, "00."),
+    Jimp.measureText(font, block.marker)
+  );
+  return block.depth * step + markerWidth + markerGap(lineHeight);
+}
+
+/**
+ * renderText(text, options)
+ *
+ * Renders text into a PNG that is exactly `options.width` pixels wide and as
+ * tall as the text needs. The result is pure black & white, so every
+ * dithering algorithm keeps it as is.
+ *
+ * @param {String} text - UTF-8 text; only Latin-1 characters and € are supported by the fonts.
+ * @param {Object} options
+ * @param {Number} options.width - Width in pixels, usually the printable width of the profile.
+ * @param {Number} [options.fontSize=32] - Font size in pixels, rounded to the closest available size.
+ * @param {Boolean} [options.bold=false] - Print body text bold.
+ * @param {String} [options.align="left"] - left, center or right.
+ * @param {Boolean} [options.markdown=false] - Interpret headings, lists and rules.
+ * @returns {Promise<Buffer>} The rendered PNG.
+ * @throws {Error} If the text has a character the fonts can't draw.
+ */
+export async function renderText(
+  text,
+  { width, fontSize = 32, bold = false, align = "left", markdown = false } = {}
+) {
+  if (!ALIGNMENTS[align]) {
+    throw new Error(`Unknown alignment: ${align} (use left, center or right)`);
+  }
+  const baseSize = nearestFontSize(fontSize);
+  const boldness = Math.max(1, Math.round(baseSize / 16));
+  const baseFont = await loadFont(baseSize);
+  const lineHeight = baseFont.common.lineHeight;
+  const padding = Math.round(lineHeight / 4);
+
+  // Lay out every block first, so the canvas can be created at its final height.
+  const layout = [];
+  let height = 0;
+  for (const block of parseBlocks(text, markdown)) {
+    if (block.type === "blank") {
+      height += Math.round(lineHeight / 2);
+      continue;
+    }
+    if (block.type === "rule") {
+      const thickness = boldness + 1;
+      layout.push({ ...block, y: height + padding, thickness });
+      height += padding * 2 + thickness;
+      continue;
+    }
+    const isHeading = block.type === "heading";
+    const size =
+      isHeading && block.level === 1 ? nearestFontSize(baseSize * 2) : baseSize;
+    const font = await loadFont(size);
+    checkGlyphs(font, block.text);
+    const indent =
+      block.type === "item" ? itemIndent(font, block, lineHeight) : 0;
+    const maxWidth = width - indent;
+    const blockHeight = Jimp.measureTextHeight(font, block.text, maxWidth);
+    layout.push({
+      ...block,
+      font,
+      indent,
+      maxWidth,
+      y: height,
+      lineHeight: font.common.lineHeight,
+      boldness: isHeading || bold ? Math.max(1, Math.round(size / 16)) : 0,
+      alignmentX: block.type === "item" ? ALIGNMENTS.left : ALIGNMENTS[align],
+    });
+    height += blockHeight + (isHeading ? padding : 0);
+  }
+
+  const image = new Jimp(width, Math.max(1, height), 0xffffffff);
+  for (const block of layout) {
+    if (block.type === "rule") {
+      fillRect(image, 0, block.y, width, block.thickness);
+      continue;
+    }
+    if (block.type === "item") {
+      // The marker sits in the indent, left of the item text.
+      const gap = markerGap(block.lineHeight);
+      if (block.marker) {
+        const markerWidth = Jimp.measureText(block.font, block.marker);
+        image.print(
+          block.font,
+          block.indent - gap - markerWidth,
+          block.y,
+          block.marker
+        );
+      } else {
+        const radius = Math.max(1, Math.round(block.lineHeight / 10));
+        const cx = block.indent - gap - radius;
+        const cy = block.y + Math.round(block.lineHeight * 0.55);
+        drawBullet(image, cx, cy, radius);
+      }
+    }
+    printText(
+      image,
+      block.font,
+      block.indent,
+      block.y,
+      block.text,
+      block.maxWidth,
+      block.alignmentX,
+      block.boldness
+    );
+  }
+
+  // The fonts are anti-aliased; snap every pixel to black or white.
+  image.scan(
+    0,
+    0,
+    image.bitmap.width,
+    image.bitmap.height,
+    function (x, y, idx) {
+      const data = this.bitmap.data;
+      const value = data[idx] < 128 ? 0 : 255;
+      data[idx] = data[idx + 1] = data[idx + 2] = value;
+      data[idx + 3] = 255;
+    }
+  );
+
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
@@ -0,0 +1,406 @@
+/**
+ * transport.js
+ *
+ * Transports carry the encoded byte stream to its destination.
+ * Every transport implements the same small interface:
+ *
+ *    await transport.open();      // Connect / open the destination.
+ *    await transport.write(data); // Send a Buffer of bytes. Accepts { signal } to abort.
+ *    await transport.close();     // Disconnect / flush and close.
+ *    transport.isOpen;            // Whether open() succeeded and the connection is still up.
+ *    transport.deviceName;        // Optional: the printer's name, used to detect its model.
+ *    transport.canNotify;         // Optional: whether "data" events carry printer notifications.
+ *
+ * Transports are EventEmitters. Those that can receive data from the printer
+ * emit a "data" event with a Buffer for every notification.
+ *
+ * Available transports:
+ *    - BleTransport: a Phomemo printer over Bluetooth LE (noble), in MTU-sized chunks
+ *    - FileTransport: dumps the exact bytes to a file or stdout
+ *    - MemoryTransport: records every write, for tests and previews
+ */
+
+import { EventEmitter } from "events";
+import { createWriteStream } from "fs";
+
+let noblePromise = null;
+
+// Loads noble on first use. Importing noble initializes the Bluetooth adapter,
+// so the library stays usable on machines without Bluetooth until a scan is needed.
+async function loadNoble() {
+  if (!noblePromise) {
+    noblePromise = import("@abandonware/noble").then(
+      (module) => module.default
+    );
+  }
+  return noblePromise;
+}
+
+// Returns a promise that resolves after a given number of ms.
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// The ATT header takes 3 bytes of every packet, the rest is payload.
+const ATT_HEADER_SIZE = 3;
+// The MTU every BLE connection starts with, used until a larger one is negotiated.
+const DEFAULT_MTU = 23;
+
+// Writes a single chunk and waits for noble's callback.
+function writeChunk(characteristic, chunk, withoutResponse) {
+  return new Promise((resolve, reject) => {
+    characteristic.write(chunk, withoutResponse, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * writeChunked(characteristic, data, options)
+ *
+ * Writes data to a noble characteristic in MTU-sized chunks.
+ *
+ * Write-without-response packets are not acknowledged, so they are paced:
+ * after every `credits` packets the sender pauses for `chunkDelay` ms to let
+ * the printer drain its buffer. Writes with response are paced by the
+ * printer's acknowledgements instead.
+ *
+ * A failed chunk is retried up to `retries` times. In "auto" mode the first
+ * failure also switches the rest of the job to write-with-response, if the
+ * characteristic supports it.
+ *
+ * @param {Object} characteristic - A noble characteristic (or anything with
+ *   the same `write(data, withoutResponse, callback)` and `properties`).
+ * @param {Buffer} data - The bytes to send.
+ * @param {Object} [options]
+ * @param {Number} [options.chunkSize] - Payload bytes per packet (default: MTU - 3).
+ * @param {Number} [options.mtu=23] - Negotiated MTU, used when chunkSize isn't given.
+ * @param {Number} [options.chunkDelay=10] - Pause in ms after each burst of packets.
+ * @param {Number} [options.credits=1] - Packets sent per burst.
+ * @param {Boolean|String} [options.withResponse="auto"] - true, false or "auto".
+ * @param {Number} [options.retries=3] - Retries per chunk.
+ * @param {Number} [options.retryDelay=100] - Pause in ms before a retry, doubled for each attempt.
+ * @param {AbortSignal} [options.signal] - Stops the job before the next chunk when aborted.
+ */
+export async function writeChunked(
+  characteristic,
+  data,
+  {
+    chunkSize,
+    mtu = DEFAULT_MTU,
+    chunkDelay = 10,
+    credits = 1,
+    withResponse = "auto",
+    retries = 3,
+    retryDelay = 100,
+    signal,
+  } = {}
+) {
+  const size = chunkSize || Math.max(1, (mtu || DEFAULT_MTU) - ATT_HEADER_SIZE);
+  const properties = characteristic.properties || [];
+  const canWriteWithResponse = properties.includes("write");
+  let withoutResponse =
+    withResponse === "auto"
+      ? properties.includes("writeWithoutResponse") || !canWriteWithResponse
+      : !withResponse;
+
+  const total = Math.ceil(data.length / size);
+  for (let index = 0; index < total; index++) {
+    signal?.throwIfAborted();
+    const chunk = data.subarray(index * size, (index + 1) * size);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await writeChunk(characteristic, chunk, withoutResponse);
+        break;
+      } catch (err) {
+        if (attempt >= retries) {
+          throw new Error(
+            `Writing chunk ${index + 1} of ${total} failed: ${err.message}`,
+            { cause: err }
+          );
+        }
+        if (
+          withResponse === "auto" &&
+          withoutResponse &&
+          canWriteWithResponse
+        ) {
+          // Fall back to acknowledged writes for the rest of the job.
+          withoutResponse = false;
+        }
+        await delay(retryDelay * 2 ** attempt);
+      }
+    }
+    const lastChunk = index === total - 1;
+    if (withoutResponse && !lastChunk && (index + 1) % credits === 0) {
+      await delay(chunkDelay);
+    }
+  }
+}
+
+/**
+ * Scans for Bluetooth devices for a specified duration.
+ * Discovered devices with a valid localName are returned, keyed by that name.
+ *
+ * @param {Number} [scanDurationInMs=5000] - How long to scan.
+ * @returns {Promise<Object>} Map of localName to noble peripheral.
+ */
+export async function scanDevices(scanDurationInMs = 5000) {
+  const noble = await loadNoble();
+  const discoveredDevices = {};
+  const onDiscover = (peripheral) => {
+    const { localName } = peripheral.advertisement;
+    if (localName === undefined || localName.trim().length === 0) {
+      // Skip peripherals with invalid names.
+      return;
+    }
+    discoveredDevices[localName] = peripheral;
+  };
+  noble.on("discover", onDiscover);
+  try {
+    await noble.startScanningAsync();
+    // Wait for the specified scanning duration.
+    await delay(scanDurationInMs);
+  } finally {
+    await noble.stopScanningAsync();
+    noble.removeListener("discover", onDiscover);
+  }
+  return discoveredDevices;
+}
+
+// Connects to a peripheral and discovers all its services and characteristics.
+// Returns the characteristic that supports 'write' and the one that supports
+// 'notify' (for status messages), either of which may be missing.
+async function getCharacteristics(peripheral) {
+  await peripheral.connectAsync();
+  const { characteristics } =
+    await peripheral.discoverAllServicesAndCharacteristicsAsync();
+  // Filter characteristics to find one that supports writing.
+  const [writable] = characteristics.filter((characteristic) => {
+    return characteristic.properties.includes("write");
+  });
+  const [notify] = characteristics.filter((characteristic) => {
+    return characteristic.properties.includes("notify");
+  });
+  return { writable, notify };
+}
+
+/**
+ * Sends the byte stream to a printer over Bluetooth LE.
+ */
+export class BleTransport extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.peripheral] - An already discovered noble peripheral.
+   * @param {String} [options.name] - Bluetooth name of the printer to scan for.
+   * @param {Number} [options.scanDuration=5000] - Scan duration in ms when searching by name.
+   * @param {Number} [options.chunkSize] - Payload bytes per packet, see writeChunked.
+   * @param {Number} [options.chunkDelay] - Pause in ms after each burst, see writeChunked.
+   * @param {Number} [options.credits] - Packets per burst, see writeChunked.
+   * @param {Boolean|String} [options.withResponse] - true, false or "auto", see writeChunked.
+   * @param {Number} [options.retries] - Retries per chunk, see writeChunked.
+   */
+  constructor({
+    peripheral = null,
+    name = null,
+    scanDuration = 5000,
+    ...writeOptions
+  } = {}) {
+    super();
+    this.peripheral = peripheral;
+    this.name = name;
+    this.scanDuration = scanDuration;
+    this.writeOptions = writeOptions;
+    this.characteristic = null;
+    this.notifyCharacteristic = null;
+    this.onNotification = (data) => this.emit("data", data);
+    // The printer turned off or went out of range: the next open() connects
+    // again.
+    this.onDisconnect = () => this.release();
+  }
+
+  get isOpen() {
+    return this.characteristic !== null;
+  }
+
+  get canNotify() {
+    return this.notifyCharacteristic !== null;
+  }
+
+  // The advertised name of the printer, used to pick its profile.
+  get deviceName() {
+    return this.peripheral?.advertisement?.localName || this.name;
+  }
+
+  // Connects to the printer and looks up its writable characteristic.
+  // Scans for a device named `name` if no peripheral was given.
+  async open() {
+    if (!this.peripheral) {
+      if (!this.name) {
+        throw new Error("Either a peripheral or a printer name is required");
+      }
+      const devices = await scanDevices(this.scanDuration);
+      this.peripheral = devices[this.name] || null;
+      if (!this.peripheral) {
+        throw new Error(`Printer "${this.name}" not found`);
+      }
+    }
+    const { writable, notify } = await getCharacteristics(this.peripheral);
+    if (!writable) {
+      await this.peripheral.disconnectAsync();
+      throw new Error("The device does not expose a writable characteristic");
+    }
+    this.characteristic = writable;
+    this.peripheral.once("disconnect", this.onDisconnect);
+    if (notify) {
+      // Status messages are optional, printing works without them.
+      try {
+        notify.on("data", this.onNotification);
+        await notify.subscribeAsync();
+        this.notifyCharacteristic = notify;
+      } catch (err) {
+        notify.removeListener("data", this.onNotification);
+      }
+    }
+  }
+
+  // Writes the data in MTU-sized chunks and waits until it's sent.
+  // Aborting `signal` stops the job between two chunks.
+  async write(data, { signal } = {}) {
+    if (!this.characteristic) {
+      throw new Error("Transport is not open");
+    }
+    await writeChunked(this.characteristic, Buffer.from(data), {
+      mtu: this.peripheral.mtu,
+      ...this.writeOptions,
+      signal,
+    });
+  }
+
+  // Forgets the characteristics of the connection, so isOpen is false. The
+  // peripheral is kept, to connect to it again.
+  release() {
+    this.peripheral?.removeListener("disconnect", this.onDisconnect);
+    if (this.notifyCharacteristic) {
+      this.notifyCharacteristic.removeListener("data", this.onNotification);
+      this.notifyCharacteristic = null;
+    }
+    this.characteristic = null;
+  }
+
+  // Disconnects from the Bluetooth device.
+  async close() {
+    this.release();
+    if (this.peripheral && this.peripheral.state !== "disconnected") {
+      await this.peripheral.disconnectAsync();
+    }
+  }
+}
+
+/**
+ * Dumps the exact byte stream to a file, or to stdout when the path is "-".
+ */
+export class FileTransport extends EventEmitter {
+  /**
+   * @param {String} filePath - Output file, or "-" for stdout.
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.stream = null;
+  }
+
+  get isOpen() {
+    return this.stream !== null;
+  }
+
+  async open() {
+    if (this.filePath === "-") {
+      this.stream = process.stdout;
+      return;
+    }
+    const stream = createWriteStream(this.filePath);
+    await new Promise((resolve, reject) => {
+      stream.once("open", resolve).once("error", reject);
+    });
+    this.stream = stream;
+  }
+
+  async write(data) {
+    if (!this.stream) {
+      throw new Error("Transport is not open");
+    }
+    await new Promise((resolve, reject) => {
+      this.stream.write(Buffer.from(data), (err) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  async close() {
+    const stream = this.stream;
+    this.stream = null;
+    // Never close stdout, other output may follow.
+    if (stream && stream !== process.stdout) {
+      await new Promise((resolve, reject) => {
+        stream.end((err) => (err ? reject(err) : resolve()));
+      });
+    }
+  }
+}
+
+/**
+ * Records every write in memory.
+ * `writes` holds each written chunk, `data` the whole stream.
+ * Call `receive()` to simulate a notification from the printer.
+ */
+export class MemoryTransport extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Boolean} [options.notify=false] - Act like a printer that reports
+   *   its status, i.e. one that sends a notification when a job is complete.
+   */
+  constructor({ notify = false } = {}) {
+    super();
+    this.writes = [];
+    this.opened = false;
+    this.notify = notify;
+  }
+
+  get isOpen() {
+    return this.opened;
+  }
+
+  get data() {
+    return Buffer.concat(this.writes);
+  }
+
+  get canNotify() {
+    return this.notify;
+  }
+
+  // Emits the bytes as if the printer had sent them.
+  receive(data) {
+    this.emit("data", Buffer.from(data));
+  }
+
+  async open() {
+    this.opened = true;
+  }
+
+  async write(data) {
+    if (!this.opened) {
+      throw new Error("Transport is not open");
+    }
+    this.writes.push(Buffer.from(data));
+  }
+
+  async close() {
+    this.opened = false;
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * workers.js
+ *
+ * Runs the dithering jobs of the --test gallery on worker threads, one job per
+ * algorithm and set of adjustments, so they use every CPU core. Each job is a
+ * call of makeTestDitheredImage (see image.js) and goes to the next free
+ * worker. This module is also the workers' entry point. Workers load the
+ * plugin modules loaded here (see plugins.js), so plugin algorithms run on
+ * them too.
+ */
+
+import { availableParallelism } from "os";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
+
+import { makeTestDitheredImage } from "./image.js";
+import { loadAlgorithmModule, loadedPluginModules } from "./plugins.js";
+
+// One worker per CPU core.
+export const DEFAULT_THREADS = availableParallelism();
+
+// Runs one job in this thread. Buffers arrive in workers as plain Uint8Arrays.
+async function runJob({
+  input,
+  scale,
+  algorithm,
+  outputPath,
+  profile,
+  options,
+}) {
+  const image =
+    input instanceof Uint8Array && !Buffer.isBuffer(input)
+      ? Buffer.from(input.buffer, input.byteOffset, input.byteLength)
+      : input;
+  return makeTestDitheredImage(
+    image,
+    scale,
+    algorithm,
+    outputPath,
+    profile,
+    options
+  );
+}
+
+// Sends a job to a worker and waits for its reply. A worker that stops
+// without replying, e.g. a plugin called process.exit(), fails the job.
+async function runOnWorker(worker, job) {
+  worker.postMessage(job);
+  const reply = await new Promise((resolve, reject) => {
+    const onMessage = (message) => {
+      done();
+      resolve(message);
+    };
+    const onError = (err) => {
+      done();
+      reject(err);
+    };
+    const onExit = (code) => {
+      done();
+      reject(new Error(`The worker stopped with exit code ${code}`));
+    };
+    const done = () => {
+      worker.removeListener("message", onMessage);
+      worker.removeListener("error", onError);
+      worker.removeListener("exit", onExit);
+    };
+    worker.on("message", onMessage).on("error", onError).on("exit", onExit);
+  });
+  if (reply.error) {
+    throw Object.assign(new Error(reply.error), { reply: true });
+  }
+  return reply.outputPath;
+}
+
+/**
+ * Runs test image jobs on worker threads. With one thread, or one job, they
+ * run in this thread instead, without the cost of starting a worker.
+ *
+ * @param {Array<Object>} jobs - The arguments of makeTestDitheredImage:
+ *   { input, scale, algorithm, outputPath, profile, options }.
+ * @param {Object} [opts]
+ * @param {Number} [opts.threads] - At most this many workers; one per CPU core by default.
+ * @param {Function} [opts.onResult] - Called with each result as its job finishes.
+ * @returns {Promise<Array<Object>>} { job, outputPath, error } for every job, in
+ *   the order of the jobs; `error` is null unless the job failed.
+ */
+export async function runTestJobs(
+  jobs,
+  { threads = DEFAULT_THREADS, onResult = () => {} } = {}
+) {
+  const results = new Array(jobs.length);
+  const finish = (i, outputPath, error) => {
+    results[i] = { job: jobs[i], outputPath, error };
+    onResult(results[i]);
+  };
+  const count = Math.min(threads, jobs.length);
+  if (count <= 1) {
+    for (const [i, job] of jobs.entries()) {
+      try {
+        finish(i, await runJob(job), null);
+      } catch (err) {
+        finish(i, null, err);
+      }
+    }
+    return results;
+  }
+
+  // Every worker takes the next job as soon as it's done with one.
+  let next = 0;
+  const plugins = loadedPluginModules();
+  const startWorker = () =>
+    new Worker(new URL(import.meta.url), { workerData: { plugins } });
+  const work = async () => {
+    let worker = startWorker();
+    try {
+      while (next < jobs.length) {
+        const i = next++;
+        try {
+          finish(i, await runOnWorker(worker, jobs[i]), null);
+        } catch (err) {
+          finish(i, null, err);
+          if (!err.reply) {
+            // The worker itself failed, e.g. it ran out of memory.
+            await worker.terminate();
+            worker = startWorker();
+          }
+        }
+      }
+    } finally {
+      await worker.terminate();
+    }
+  };
+  await Promise.all(Array.from({ length: count }, work));
+  return results;
+}
+
+if (!isMainThread) {
+  const ready = Promise.all(
+    (workerData?.plugins ?? []).map((url) => loadAlgorithmModule(url))
+  );
+  // Jobs report the error of a plugin that can't be loaded.
+  ready.catch(() => {});
+  parentPort.on("message", async (job) => {
+    try {
+      await ready;
+      parentPort.postMessage({ outputPath: await runJob(job) });
+    } catch (err) {
+      parentPort.postMessage({ error: err.message });
+    }
+  });
+}